@@ -1,15 +1,135 @@
 import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
-import { StatusBar } from "react-native";
+import { AppState, StatusBar } from "react-native";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { FontAwesome5 } from "@expo/vector-icons";
 import { useKeepAwake } from "expo-keep-awake";
 import { Audio } from "expo-av";
 import styled from "styled-components/native";
 import { useRouter } from "expo-router";
-import PlayerCard from "./components/PlayerCard";
+import PlayerCard, { LIFE_DELTA_HINT_MS } from "./components/PlayerCard";
 import SetupScreen from "./components/SetupScreen";
 import MenuModal from "./components/MenuModal";
-import { loadLifeSession, saveLifeSession } from "./data/lifeSession";
+import MatchLogModal from "./components/MatchLogModal";
+import SyncModal from "./components/SyncModal";
+import RandomizerModal from "./components/RandomizerModal";
+import PlanechaseModal from "./components/PlanechaseModal";
+import ArchenemyModal from "./components/ArchenemyModal";
+import ProliferateModal from "./components/ProliferateModal";
+import LayoutEditor from "./components/LayoutEditor";
+import SoundSettingsModal from "./components/SoundSettingsModal";
+import SessionsModal from "./components/SessionsModal";
+import GameSummaryModal from "./components/GameSummaryModal";
+import {
+  MAX_COMMANDERS,
+  buildCommanders,
+  commanderLabel,
+  getTotalTax,
+  resizeDamage,
+} from "./data/commanders";
+import {
+  MAX_CUSTOM_COUNTERS,
+  clampCounter,
+  createCounter,
+  normalizeCounters,
+  startingValue,
+} from "./data/counters";
+import {
+  PLAYER_FLAGS,
+  createDesignations,
+  getNextRooms,
+  normalizeDesignations,
+  normalizeFlags,
+} from "./data/designations";
+import {
+  DEFAULT_FORMAT,
+  createCustomFormat,
+  normalizeCustomFormats,
+  normalizeFormat,
+} from "./data/formats";
+import { normalizeLifeGraph, recordLife } from "./data/gameSummary";
+import {
+  MANUAL_REASONS,
+  UNATTRIBUTED_REASONS,
+  lossReasons,
+  normalizeElimination,
+} from "./data/elimination";
+import {
+  MAX_PLAYERS,
+  MIN_PLAYERS,
+  layoutRows,
+  menuOffset,
+  normalizeLayout,
+  normalizeLayouts,
+} from "./data/layouts";
+import {
+  createSessionMeta,
+  deleteLifeSession,
+  listLifeSessions,
+  loadLatestLifeSession,
+  loadLifeSession,
+  renameLifeSession,
+  saveLifeSession,
+} from "./data/lifeSession";
+import { CARD_COLORS, normalizeSeatProfile, normalizeSeatProfiles } from "./data/profiles";
+import { identityColor, normalizeSeatDeck, normalizeSeatDecks } from "./data/seatDecks";
+import {
+  PLANECHASE_QUERY,
+  SCHEME_QUERY,
+  abandonScheme,
+  createArchenemy,
+  createPlanechase,
+  normalizeArchenemy,
+  normalizePlanechase,
+  planeswalk,
+  restartArchenemy,
+  restartPlanechase,
+  rollPlanechase,
+  setSchemeInMotion,
+  variantCardFromScryfall,
+} from "./data/variants";
+import { getPrimaryImage, searchAllCards } from "./data/scryfall";
+import {
+  createSoundSettings,
+  loadSoundSettings,
+  pickSound,
+  saveSoundSettings,
+  soundEventsBetween,
+  soundSource,
+} from "./data/sounds";
+import { createPeerId, createSync, withSync } from "./data/sync";
+import { canHostOnDevice, startSyncHost } from "./data/syncHost";
+import { connectSync } from "./data/syncTransport";
+import {
+  defaultTeams,
+  getAliveSides,
+  normalizeTeams,
+  onePerSide,
+  tableOrder,
+  teamLabel,
+  teamSeating,
+} from "./data/teams";
+import {
+  createClock,
+  createTurn,
+  getExtraTurnsLeft,
+  getPlayerTimeLeft,
+  getRoundTimeLeft,
+  formatClock,
+  normalizeClock,
+  normalizeTurn,
+  resetClock,
+  settleClock,
+} from "./data/turnClock";
+import { initDb, saveMatch } from "./data/db";
+import { ROLL_HISTORY_LIMIT, rollPlanarDie } from "./data/dice";
+import {
+  appendEvents,
+  buildEvents,
+  getEliminationOrder,
+  getEliminationTurns,
+  hasMatchProgress,
+  normalizeLog,
+} from "./data/matchLog";
 
 const initialState = {
   playerCount: 4,
@@ -17,8 +137,99 @@ const initialState = {
   showSetup: true,
   menuOpen: false,
   soundEnabled: true,
+  history: { past: [], future: [] },
+  eventLog: [],
+  lifeGraph: null,
+  match: null,
+  turn: createTurn(),
+  clock: createClock(),
+  format: DEFAULT_FORMAT,
+  customFormats: [],
+  teams: null,
+  seatDecks: [],
+  seatProfiles: [],
+  designations: createDesignations(),
+  planechase: null,
+  archenemy: null,
+  sync: createSync(),
+  syncServer: "",
+  layouts: {},
+  sessionExtras: {},
 };
 
+// Parts of the state saved with a session.
+const SESSION_KEYS = [
+  "playerCount",
+  "players",
+  "match",
+  "showSetup",
+  "soundEnabled",
+  "history",
+  "eventLog",
+  "lifeGraph",
+  "turn",
+  "designations",
+  "planechase",
+  "archenemy",
+  "clock",
+  "format",
+  "customFormats",
+  "teams",
+  "seatDecks",
+  "seatProfiles",
+  "syncServer",
+  "layouts",
+];
+
+// Saving rewrites the whole session, undo history and log included, so quick
+// taps are saved together once they settle.
+const SAVE_DELAY_MS = 1000;
+
+const HISTORY_LIMIT = 50;
+
+const UNDOABLE_ACTIONS = new Set([
+  "RESET_MATCH",
+  "SET_NAME",
+  "SET_ACTIVE_PLAYER",
+  "PASS_TURN",
+  "SET_MONARCH",
+  "TAKE_INITIATIVE",
+  "VENTURE_UNDERCITY",
+  "SET_DAY_NIGHT",
+  "TOGGLE_PLAYER_FLAG",
+  "SET_COMMANDER_COUNT",
+  "ASSIGN_DECK",
+  "ADD_COUNTER",
+  "REMOVE_COUNTER",
+  "ADJUST_COUNTER",
+  "ADJUST_LIFE",
+  "ADJUST_POISON",
+  "ADJUST_TAX",
+  "ADJUST_ENERGY",
+  "ADJUST_CMD_DAMAGE",
+  "SET_LIFE",
+  "DRAIN_OPPONENTS",
+  "LOSE_LIFE_ALL",
+  "PROLIFERATE",
+  "CONCEDE",
+  "ALTERNATE_WIN",
+  "REVIVE_PLAYER",
+  "SET_ELIMINATED_BY",
+]);
+
+const COALESCED_ACTIONS = new Set([
+  "ADJUST_LIFE",
+  "ADJUST_POISON",
+  "ADJUST_TAX",
+  "ADJUST_ENERGY",
+  "ADJUST_CMD_DAMAGE",
+  "ADJUST_COUNTER",
+]);
+
+// Two-Headed Giant style teams share one life total and poison count, so
+// these changes are copied to every teammate.
+const SHARED_ACTIONS = new Set(["ADJUST_LIFE", "ADJUST_POISON", "ADJUST_CMD_DAMAGE"]);
+
 const MANA_ACCENTS = [
   "#d9c27c", // white
   "#3f83c8", // blue
@@ -28,23 +239,17 @@ const MANA_ACCENTS = [
   "#9c9c9c", // colorless
 ];
 
-const CARD_COLORS = [
-  "#2b6cb0", // blue
-  "#2f855a", // green
-  "#c05621", // orange
-  "#b83280", // magenta
-  "#805ad5", // purple
-  "#d69e2e", // yellow
-  "#718096", // gray
-  "#38b2ac", // teal
-];
-
-const ELIMINATION_SFX = [
-  require("./assets/sfx/emotional_damage.mp3"),
-  require("./assets/sfx/gta_wasted.mp3"),
-  require("./assets/sfx/roblox_oof.mp3"),
-  require("./assets/sfx/xp_shutdown.mp3"),
-];
+function playSound(source, volume = 1) {
+  Audio.Sound.createAsync(source, { shouldPlay: true, volume })
+    .then(({ sound }) => {
+      sound.setOnPlaybackStatusUpdate((status) => {
+        if (status.isLoaded && status.didJustFinish) {
+          sound.unloadAsync();
+        }
+      });
+    })
+    .catch(() => {});
+}
 
 function shuffle(list) {
   const arr = [...list];
@@ -55,66 +260,188 @@ function shuffle(list) {
   return arr;
 }
 
-function buildPlayers(count) {
+function buildPlayers(count, format = DEFAULT_FORMAT, teams = null, decks = [], profiles = []) {
   const colors = shuffle(CARD_COLORS);
+  const teamColors = {};
   return Array.from({ length: count }, (_, i) => {
     const id = String(i + 1);
-    return {
+    const teamId = teams?.[i] ?? null;
+    const profile = profiles[i] ?? null;
+    if (teamId && !teamColors[teamId]) {
+      teamColors[teamId] = colors[Object.keys(teamColors).length % colors.length];
+    }
+    const player = {
       id,
-      name: "Player name",
-      life: 40,
+      name: profile?.name ?? "Player name",
+      profileId: profile?.id ?? null,
+      life: format.startingLife,
       poison: 0,
-      tax: 0,
       energy: 0,
+      commanders: buildCommanders(1),
       commanderDamage: {},
+      counters: [],
+      flags: {},
+      deck: null,
       accent: MANA_ACCENTS[i % MANA_ACCENTS.length],
-      cardColor: colors[i % colors.length],
+      cardColor: teamId ? teamColors[teamId] : profile?.color ?? colors[i % colors.length],
+      teamId,
       isDead: false,
+      elimination: null,
+      manualOut: null,
+      ignoredLosses: [],
     };
-  }).map((player, _, all) => {
+    return decks[i] ? withDeck(player, decks[i]) : player;
+  }).map((player, i, all) => {
     const damage = {};
     all.forEach((p) => {
-      if (p.id !== player.id) damage[p.id] = 0;
+      if (p.id !== player.id) damage[p.id] = resizeDamage([], p.commanders.length);
     });
     return { ...player, commanderDamage: damage };
   });
 }
 
-function hasLost(player) {
-  if (player.life <= 0) return true;
-  if (player.poison >= 10) return true;
-  const cmdValues = Object.values(player.commanderDamage || {});
-  return cmdValues.some((value) => value >= 21);
+// Linking a deck names the commanders after the deck's commander and partner,
+// giving the player a second commander for a pair, and colors the card by its
+// color identity. A commander name the player typed in by hand is left alone.
+// Callers resize commander damage with `withCommanderCount`.
+function withDeck(player, deck) {
+  const previous = [player.deck?.commanderName ?? "", player.deck?.partnerName ?? ""];
+  const names = [deck?.commanderName ?? "", deck?.partnerName ?? ""];
+  const count = deck?.partnerName ? Math.max(player.commanders.length, 2) : player.commanders.length;
+  return {
+    ...player,
+    deck,
+    commanders: buildCommanders(count, player.commanders).map((commander, index) =>
+      index < names.length && (!commander.name || commander.name === previous[index])
+        ? { ...commander, name: names[index] }
+        : commander
+    ),
+    cardColor: deck ? identityColor(deck.colorIdentity) : player.cardColor,
+  };
 }
 
-function withLoss(player) {
-  return { ...player, isDead: hasLost(player) };
+// Gives a player `count` commanders; everyone's damage from them follows.
+function withCommanderCount(players, playerId, count, format) {
+  return players.map((p) =>
+    p.id === playerId
+      ? { ...p, commanders: buildCommanders(count, p.commanders) }
+      : withLoss({
+          ...p,
+          commanderDamage: {
+            ...p.commanderDamage,
+            [playerId]: resizeDamage(p.commanderDamage[playerId], count),
+          },
+        }, format)
+  );
+}
+
+function withArchenemy(players, archenemy) {
+  if (!archenemy) return players;
+  return players.map((p, index) =>
+    index === archenemy.seat ? { ...p, life: archenemy.startingLife } : p
+  );
+}
+
+// A conceded or otherwise declared loss always wins. Loss conditions that
+// held when the player was revived are ignored until they stop holding, so a
+// wrongly flagged player can keep playing at 0 life.
+function withLoss(player, format) {
+  const reasons = lossReasons(player, format);
+  const ignoredLosses = (player.ignoredLosses ?? []).filter((reason) =>
+    reasons.some((loss) => loss.reason === reason)
+  );
+  const loss =
+    player.manualOut ?? reasons.find((entry) => !ignoredLosses.includes(entry.reason)) ?? null;
+  const previous =
+    player.isDead && player.elimination?.reason === loss?.reason ? player.elimination : null;
+  return {
+    ...player,
+    ignoredLosses,
+    isDead: Boolean(loss),
+    elimination: loss ? { reason: loss.reason, by: previous ? previous.by : loss.by ?? null } : null,
+  };
+}
+
+// A team is eliminated together: once any teammate is out, every player on
+// that team is out for the same reason.
+function withTeamLoss(players, format) {
+  const checked = players.map((p) => (p.teamId ? withLoss(p, format) : p));
+  const lostTeams = {};
+  checked.forEach((p) => {
+    if (p.teamId && p.isDead && !lostTeams[p.teamId]) lostTeams[p.teamId] = p.elimination;
+  });
+  return checked.map((p) =>
+    p.teamId && lostTeams[p.teamId]
+      ? { ...p, isDead: true, elimination: lostTeams[p.teamId] }
+      : p
+  );
+}
+
+function isTeammate(player, other) {
+  return other.id === player.id || Boolean(player.teamId && other.teamId === player.teamId);
+}
+
+// Group actions change several players at once. Teammates share life and
+// poison, so their changes are summed and applied to the whole team.
+function applyDeltas(players, key, deltas, format, max = Infinity) {
+  const shared = key === "life" || key === "poison";
+  const teamDeltas = {};
+  players.forEach((p) => {
+    if (shared && p.teamId && deltas[p.id]) {
+      teamDeltas[p.teamId] = (teamDeltas[p.teamId] ?? 0) + deltas[p.id];
+    }
+  });
+  return players.map((p) => {
+    const delta = shared && p.teamId ? teamDeltas[p.teamId] ?? 0 : deltas[p.id] ?? 0;
+    if (!delta) return p;
+    return withLoss({ ...p, [key]: clamp(p[key] + delta, 0, max) }, format);
+  });
+}
+
+function isOpponent(player, other) {
+  return other.id !== player.id && (!player.teamId || other.teamId !== player.teamId);
 }
 
 function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
 
-function normalizePlayers(rawPlayers, fallbackCount = 4) {
+// Sessions saved with a single `tax` number are upgraded to a commanders list
+// when loaded (see data/lifeSession.js).
+function normalizeCommanders(player) {
+  const raw = Array.isArray(player?.commanders) && player.commanders.length
+    ? player.commanders.slice(0, MAX_COMMANDERS)
+    : [{ name: "", tax: 0 }];
+  return raw.map((commander) => ({
+    name: typeof commander?.name === "string" ? commander.name : "",
+    tax: clamp(Number(commander?.tax) || 0, 0, Infinity),
+  }));
+}
+
+function normalizePlayers(rawPlayers, fallbackCount = 4, format = DEFAULT_FORMAT) {
   if (!Array.isArray(rawPlayers) || !rawPlayers.length) return [];
 
-  const count = clamp(rawPlayers.length, 2, 6);
-  const fallback = buildPlayers(Math.max(fallbackCount, count));
+  const count = clamp(rawPlayers.length, MIN_PLAYERS, MAX_PLAYERS);
+  const fallback = buildPlayers(Math.max(fallbackCount, count), format);
+  const damageLimit = format.commanderDamageLimit ?? Infinity;
   const ids = rawPlayers.map((player, index) => String(player?.id ?? index + 1));
 
-  return rawPlayers.map((player, index) => {
+  const commanders = rawPlayers.map((player) => normalizeCommanders(player));
+
+  const players = rawPlayers.map((player, index) => {
     const base = fallback[index];
     const playerId = ids[index];
     const normalizedDamage = {};
 
     ids.forEach((id, idIndex) => {
       if (id === playerId) return;
-      const rawValue = Number(player?.commanderDamage?.[id]);
-      const fallbackValue = base.commanderDamage?.[id] ?? 0;
-      normalizedDamage[id] = clamp(
-        Number.isFinite(rawValue) ? rawValue : fallbackValue,
-        0,
-        21
+      const rawDamage = player?.commanderDamage?.[id];
+      const rawValues = Array.isArray(rawDamage) ? rawDamage : [rawDamage];
+      normalizedDamage[id] = resizeDamage(rawValues, commanders[idIndex].length).map(
+        (value) => {
+          const number = Number(value);
+          return clamp(Number.isFinite(number) ? number : 0, 0, damageLimit);
+        }
       );
     });
 
@@ -123,27 +450,109 @@ function normalizePlayers(rawPlayers, fallbackCount = 4) {
       id: playerId,
       name: typeof player?.name === "string" && player.name.trim() ? player.name : "Player name",
       life: clamp(Number(player?.life) || 0, 0, Infinity),
-      poison: clamp(Number(player?.poison) || 0, 0, 10),
-      tax: clamp(Number(player?.tax) || 0, 0, Infinity),
+      poison: clamp(Number(player?.poison) || 0, 0, format.poisonLimit ?? Infinity),
       energy: clamp(Number(player?.energy) || 0, 0, Infinity),
       accent: typeof player?.accent === "string" ? player.accent : base.accent,
       cardColor: typeof player?.cardColor === "string" ? player.cardColor : base.cardColor,
+      commanders: commanders[index],
       commanderDamage: normalizedDamage,
-    });
+      counters: normalizeCounters(player?.counters),
+      flags: normalizeFlags(player?.flags),
+      deck: normalizeSeatDeck(player?.deck),
+      profileId: typeof player?.profileId === "string" ? player.profileId : null,
+      teamId: typeof player?.teamId === "string" ? player.teamId : null,
+      isDead: Boolean(player?.isDead),
+      elimination: normalizeElimination(player?.elimination),
+      manualOut: MANUAL_REASONS.includes(player?.manualOut?.reason)
+        ? normalizeElimination(player.manualOut)
+        : null,
+      ignoredLosses: Array.isArray(player?.ignoredLosses)
+        ? player.ignoredLosses.filter((reason) => typeof reason === "string")
+        : [],
+    }, format);
   });
+  return withTeamLoss(players, format);
+}
+
+function createMatch(at) {
+  return { id: `match_${at}`, startedAt: at };
+}
+
+function normalizeMatch(rawMatch, fallback) {
+  const startedAt = Number(rawMatch?.startedAt);
+  if (typeof rawMatch?.id !== "string" || !Number.isFinite(startedAt)) return fallback;
+  return { id: rawMatch.id, startedAt };
+}
+
+function normalizeSnapshot(rawSnapshot, playerCount, current, restart) {
+  const players = normalizePlayers(rawSnapshot?.players, playerCount, current.format);
+  if (!players.length) return null;
+  const playerIds = players.map((p) => p.id);
+  const snapshot = {
+    players,
+    match: normalizeMatch(rawSnapshot?.match, current.match),
+    turn: normalizeTurn(rawSnapshot?.turn, playerIds),
+    designations: normalizeDesignations(rawSnapshot?.designations, playerIds),
+  };
+  if (!restart) return snapshot;
+  return {
+    ...snapshot,
+    planechase: normalizePlanechase(rawSnapshot?.planechase),
+    archenemy: normalizeArchenemy(rawSnapshot?.archenemy, playerCount),
+    clock: normalizeClock(rawSnapshot?.clock),
+  };
+}
+
+function normalizeHistoryEntries(rawEntries, playerCount, current) {
+  if (!Array.isArray(rawEntries)) return [];
+  return rawEntries
+    .slice(-HISTORY_LIMIT)
+    .map((entry) => {
+      const restart = entry?.restart === true;
+      const snapshot = normalizeSnapshot(entry?.snapshot, playerCount, current, restart);
+      if (!snapshot) return null;
+      return {
+        snapshot,
+        key: typeof entry.key === "string" ? entry.key : null,
+        at: Number.isFinite(Number(entry.at)) ? Number(entry.at) : 0,
+        restart,
+      };
+    })
+    .filter(Boolean);
+}
+
+function normalizeHistory(rawHistory, playerCount, current) {
+  return {
+    past: normalizeHistoryEntries(rawHistory?.past, playerCount, current),
+    future: normalizeHistoryEntries(rawHistory?.future, playerCount, current),
+  };
 }
 
 function normalizeSession(rawSession) {
   if (!rawSession || typeof rawSession !== "object") return null;
 
   const rawCount = Number(rawSession.playerCount);
-  const playerCount = clamp(Number.isFinite(rawCount) ? rawCount : 4, 2, 6);
-  const players = normalizePlayers(rawSession.players, playerCount);
+  const playerCount = clamp(Number.isFinite(rawCount) ? rawCount : 4, MIN_PLAYERS, MAX_PLAYERS);
+  const format = normalizeFormat(rawSession.format);
+  const players = normalizePlayers(rawSession.players, playerCount, format);
   const hasPlayers = players.length > 0;
+  const match = hasPlayers ? normalizeMatch(rawSession.match, createMatch(Date.now())) : null;
+  // Fields this version doesn't use, such as ones added by a newer build, are
+  // kept and written back with the session.
+  const sessionExtras = {};
+  Object.keys(rawSession).forEach((key) => {
+    if (key !== "schema" && !SESSION_KEYS.includes(key)) sessionExtras[key] = rawSession[key];
+  });
 
   return {
     playerCount: hasPlayers ? players.length : playerCount,
     players,
+    match,
+    format,
+    customFormats: normalizeCustomFormats(rawSession.customFormats),
+    teams: normalizeTeams(rawSession.teams, playerCount),
+    seatDecks: normalizeSeatDecks(rawSession.seatDecks, playerCount),
+    seatProfiles: normalizeSeatProfiles(rawSession.seatProfiles, playerCount),
     showSetup:
       typeof rawSession.showSetup === "boolean"
         ? rawSession.showSetup
@@ -152,19 +561,70 @@ function normalizeSession(rawSession) {
       typeof rawSession.soundEnabled === "boolean"
         ? rawSession.soundEnabled
         : true,
+    history: hasPlayers
+      ? normalizeHistory(rawSession.history, players.length, { match, format })
+      : { past: [], future: [] },
+    eventLog: hasPlayers ? normalizeLog(rawSession.eventLog) : [],
+    lifeGraph: hasPlayers ? normalizeLifeGraph(rawSession.lifeGraph, match, players) : null,
+    turn: normalizeTurn(rawSession.turn, players.map((p) => p.id)),
+    designations: normalizeDesignations(rawSession.designations, players.map((p) => p.id)),
+    planechase: normalizePlanechase(rawSession.planechase),
+    archenemy: normalizeArchenemy(rawSession.archenemy, playerCount),
+    clock: normalizeClock(rawSession.clock),
+    syncServer: typeof rawSession.syncServer === "string" ? rawSession.syncServer : "",
+    layouts: normalizeLayouts(rawSession.layouts),
+    sessionExtras,
   };
 }
 
 function reducer(state, action) {
   switch (action.type) {
     case "SET_COUNT":
-      return { ...state, playerCount: action.count };
-    case "INIT_PLAYERS":
       return {
         ...state,
-        players: buildPlayers(state.playerCount),
+        playerCount: action.count,
+        teams: state.teams && action.count > 2 ? defaultTeams(action.count) : null,
+        seatDecks: normalizeSeatDecks(state.seatDecks, action.count),
+        seatProfiles: normalizeSeatProfiles(state.seatProfiles, action.count),
+        archenemy:
+          state.archenemy && state.archenemy.seat >= action.count
+            ? { ...state.archenemy, seat: 0 }
+            : state.archenemy,
+      };
+    case "INIT_PLAYERS": {
+      // Seats are rearranged before the players are built, so each player
+      // keeps the team, deck and profile picked for their setup seat.
+      const teams = normalizeTeams(state.teams, state.playerCount);
+      const seating = teamSeating(
+        teams,
+        layoutRows(state.playerCount, state.layouts[state.playerCount])
+      );
+      return {
+        ...state,
+        players: withArchenemy(
+          buildPlayers(
+            state.playerCount,
+            state.format,
+            teams && seating.map((seat) => teams[seat]),
+            seating.map((seat) => state.seatDecks[seat] ?? null),
+            seating.map((seat) => state.seatProfiles[seat] ?? null)
+          ),
+          state.archenemy
+        ),
+        match: createMatch(action.at ?? Date.now()),
+        turn: createTurn(),
+        designations: createDesignations(),
+        planechase: state.planechase && restartPlanechase(state.planechase),
+        archenemy: state.archenemy && restartArchenemy(state.archenemy),
+        clock: resetClock(state.clock),
         showSetup: false,
       };
+    }
+    case "SET_LAYOUT":
+      return {
+        ...state,
+        layouts: { ...state.layouts, [action.count]: normalizeLayout(action.layout, action.count) },
+      };
     case "OPEN_SETUP":
       return { ...state, showSetup: true, menuOpen: false };
     case "TOGGLE_SOUND":
@@ -179,22 +639,43 @@ function reducer(state, action) {
       };
     case "RESET_MATCH":
       const colors = shuffle(CARD_COLORS);
+      const teamIds = [...new Set(state.players.map((p) => p.teamId).filter(Boolean))];
       return {
         ...state,
         menuOpen: false,
+        match: createMatch(action.at ?? Date.now()),
+        turn: createTurn(),
+        designations: createDesignations(),
+        planechase: state.planechase && restartPlanechase(state.planechase),
+        archenemy: state.archenemy && restartArchenemy(state.archenemy),
+        clock: resetClock(state.clock),
         players: state.players.map((p, idx) => {
           const resetDamage = {};
-          Object.keys(p.commanderDamage).forEach((k) => (resetDamage[k] = 0));
+          Object.keys(p.commanderDamage).forEach(
+            (k) => (resetDamage[k] = p.commanderDamage[k].map(() => 0))
+          );
           return withLoss({
             ...p,
-            life: 40,
+            life:
+              state.archenemy?.seat === idx
+                ? state.archenemy.startingLife
+                : state.format.startingLife,
             poison: 0,
-            tax: 0,
             energy: 0,
+            commanders: p.commanders.map((commander) => ({ ...commander, tax: 0 })),
             commanderDamage: resetDamage,
-            cardColor: colors[idx % colors.length],
+            counters: p.counters.map((counter) => ({ ...counter, value: startingValue(counter) })),
+            flags: {},
+            cardColor: p.deck
+              ? identityColor(p.deck.colorIdentity)
+              : p.teamId
+                ? colors[teamIds.indexOf(p.teamId) % colors.length]
+                : colors[idx % colors.length],
             isDead: false,
-          });
+            elimination: null,
+            manualOut: null,
+            ignoredLosses: [],
+          }, state.format);
         }),
       };
     case "SET_NAME":
@@ -206,19 +687,16 @@ function reducer(state, action) {
       };
     case "ADJUST_LIFE":
     case "ADJUST_POISON":
-    case "ADJUST_TAX":
     case "ADJUST_ENERGY": {
       const keyMap = {
         ADJUST_LIFE: "life",
         ADJUST_POISON: "poison",
-        ADJUST_TAX: "tax",
         ADJUST_ENERGY: "energy",
       };
       const key = keyMap[action.type];
       const maxMap = {
         life: Infinity,
-        poison: 10,
-        tax: Infinity,
+        poison: state.format.poisonLimit ?? Infinity,
         energy: Infinity,
       };
       const max = maxMap[key] ?? Infinity;
@@ -229,82 +707,746 @@ function reducer(state, action) {
             ? withLoss({
                 ...p,
                 [key]: clamp(p[key] + action.delta, 0, max),
-              })
+              }, state.format)
             : p
         ),
       };
     }
-    case "ADJUST_CMD_DAMAGE":
+    case "SET_LIFE": {
+      const player = state.players.find((p) => p.id === action.playerId);
+      const value = Math.round(Number(action.value));
+      if (!player || !Number.isFinite(value)) return state;
+      return {
+        ...state,
+        players: applyDeltas(
+          state.players,
+          "life",
+          { [player.id]: Math.max(0, value) - player.life },
+          state.format
+        ),
+      };
+    }
+    case "DRAIN_OPPONENTS": {
+      const player = state.players.find((p) => p.id === action.playerId);
+      if (!player || player.isDead || !(action.amount > 0)) return state;
+      const opponents = state.players.filter((p) => !p.isDead && isOpponent(player, p));
+      if (!opponents.length) return state;
+      const deltas = { [player.id]: action.amount * opponents.length };
+      opponents.forEach((p) => {
+        deltas[p.id] = -action.amount;
+      });
+      return { ...state, players: applyDeltas(state.players, "life", deltas, state.format) };
+    }
+    case "LOSE_LIFE_ALL": {
+      if (!(action.amount > 0)) return state;
+      const deltas = {};
+      state.players.forEach((p) => {
+        if (!p.isDead) deltas[p.id] = -action.amount;
+      });
+      return { ...state, players: applyDeltas(state.players, "life", deltas, state.format) };
+    }
+    case "PROLIFERATE": {
+      const targets = Array.isArray(action.targets) ? action.targets : [];
+      const poison = {};
+      const energy = {};
+      const poisoned = targets.filter((target) => target.key === "poison");
+      onePerSide(state.players, poisoned.map((target) => target.playerId)).forEach((playerId) => {
+        poison[playerId] = 1;
+      });
+      targets.forEach(({ playerId, key }) => {
+        if (key === "energy") energy[playerId] = 1;
+      });
+      let players = applyDeltas(
+        state.players,
+        "poison",
+        poison,
+        state.format,
+        state.format.poisonLimit ?? Infinity
+      );
+      players = applyDeltas(players, "energy", energy, state.format);
+      players = players.map((p) => {
+        const counterIds = targets
+          .filter((target) => target.playerId === p.id)
+          .map((target) => target.key);
+        if (!p.counters.some((counter) => counterIds.includes(counter.id))) return p;
+        return withLoss({
+          ...p,
+          counters: p.counters.map((counter) =>
+            counterIds.includes(counter.id)
+              ? { ...counter, value: clampCounter(counter, counter.value + 1) }
+              : counter
+          ),
+        }, state.format);
+      });
+      return { ...state, players };
+    }
+    case "CONCEDE": {
+      const reason = action.reason === "milled" ? "milled" : "concede";
       return {
         ...state,
         players: state.players.map((p) =>
-          p.id === action.playerId
+          p.id === action.playerId && !p.isDead
+            ? withLoss({ ...p, manualOut: { reason, by: null } }, state.format)
+            : p
+        ),
+      };
+    }
+    case "ALTERNATE_WIN": {
+      const winner = state.players.find((p) => p.id === action.playerId);
+      if (!winner || winner.isDead) return state;
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          !p.isDead && isOpponent(winner, p)
+            ? withLoss({ ...p, manualOut: { reason: "alternate-win", by: winner.id } }, state.format)
+            : p
+        ),
+      };
+    }
+    case "REVIVE_PLAYER": {
+      const player = state.players.find((p) => p.id === action.playerId);
+      if (!player?.isDead) return state;
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          isTeammate(player, p)
+            ? withLoss({
+                ...p,
+                manualOut: null,
+                ignoredLosses: lossReasons(p, state.format).map((loss) => loss.reason),
+              }, state.format)
+            : p
+        ),
+      };
+    }
+    case "SET_ELIMINATED_BY": {
+      const player = state.players.find((p) => p.id === action.playerId);
+      if (!player?.elimination) return state;
+      const by = state.players.some((p) => p.id === action.by) ? action.by : null;
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          isTeammate(player, p) && p.elimination ? { ...p, elimination: { ...p.elimination, by } } : p
+        ),
+      };
+    }
+    case "ADJUST_TAX": {
+      const index = action.commanderIndex ?? 0;
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          p.id === action.playerId && p.commanders[index]
             ? {
-                ...withLoss({
-                  ...p,
-                  commanderDamage: {
-                    ...p.commanderDamage,
-                    [action.fromId]: clamp(
-                      (p.commanderDamage[action.fromId] || 0) + action.delta,
-                      0,
-                      21
-                    ),
-                  },
-                  life: clamp(
-                    p.life -
-                      (clamp(
-                        (p.commanderDamage[action.fromId] || 0) + action.delta,
-                        0,
-                        21
-                      ) -
-                        (p.commanderDamage[action.fromId] || 0)),
-                    0,
-                    Infinity
-                  ),
-                }),
+                ...p,
+                commanders: p.commanders.map((commander, i) =>
+                  i === index
+                    ? { ...commander, tax: clamp(commander.tax + action.delta, 0, Infinity) }
+                    : commander
+                ),
               }
             : p
         ),
       };
+    }
+    case "ADJUST_CMD_DAMAGE": {
+      const index = action.commanderIndex ?? 0;
+      const source = state.players.find((p) => p.id === action.fromId);
+      const limit = state.format.commanderDamageLimit;
+      if (!limit || !source?.commanders[index]) return state;
+      return {
+        ...state,
+        players: state.players.map((p) => {
+          if (p.id !== action.playerId) return p;
+          const values = resizeDamage(p.commanderDamage[action.fromId], source.commanders.length);
+          const current = values[index];
+          const nextValue = clamp(current + action.delta, 0, limit);
+          values[index] = nextValue;
+          return withLoss({
+            ...p,
+            commanderDamage: { ...p.commanderDamage, [action.fromId]: values },
+            life: clamp(p.life - (nextValue - current), 0, Infinity),
+          }, state.format);
+        }),
+      };
+    }
+    case "SET_COMMANDER_COUNT": {
+      const count = clamp(action.count, 1, MAX_COMMANDERS);
+      return {
+        ...state,
+        players: withCommanderCount(state.players, action.playerId, count, state.format),
+      };
+    }
+    case "SET_SEAT_DECK":
+      return {
+        ...state,
+        seatDecks: normalizeSeatDecks(state.seatDecks, state.playerCount).map((deck, seat) =>
+          seat === action.seat ? action.deck : deck
+        ),
+      };
+    case "SET_SEAT_PROFILE":
+      return {
+        ...state,
+        seatProfiles: normalizeSeatProfiles(state.seatProfiles, state.playerCount).map(
+          (profile, seat) => {
+            if (seat === action.seat) return normalizeSeatProfile(action.profile);
+            return profile?.id === action.profile?.id ? null : profile;
+          }
+        ),
+      };
+    case "ASSIGN_DECK": {
+      const players = state.players.map((p) =>
+        p.id === action.playerId ? withDeck(p, action.deck ?? null) : p
+      );
+      const count = players.find((p) => p.id === action.playerId)?.commanders.length;
+      if (!count) return state;
+      return {
+        ...state,
+        players: withCommanderCount(players, action.playerId, count, state.format),
+      };
+    }
+    case "ADD_COUNTER": {
+      const counter = createCounter(action.counter, action.at ?? Date.now());
+      if (!counter) return state;
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          p.id === action.playerId && p.counters.length < MAX_CUSTOM_COUNTERS
+            ? withLoss({ ...p, counters: [...p.counters, counter] }, state.format)
+            : p
+        ),
+      };
+    }
+    case "REMOVE_COUNTER":
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          p.id === action.playerId
+            ? withLoss({
+                ...p,
+                counters: p.counters.filter((counter) => counter.id !== action.counterId),
+              }, state.format)
+            : p
+        ),
+      };
+    case "ADJUST_COUNTER":
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          p.id === action.playerId
+            ? withLoss({
+                ...p,
+                counters: p.counters.map((counter) =>
+                  counter.id === action.counterId
+                    ? { ...counter, value: clampCounter(counter, counter.value + action.delta) }
+                    : counter
+                ),
+              }, state.format)
+            : p
+        ),
+      };
+    case "SELECT_FORMAT": {
+      const format = normalizeFormat(action.format);
+      const teams =
+        format.teams && !state.teams && state.playerCount > 2
+          ? defaultTeams(state.playerCount)
+          : state.teams;
+      return { ...state, format, teams };
+    }
+    case "TOGGLE_TEAMS":
+      return {
+        ...state,
+        teams: state.teams || state.playerCount <= 2 ? null : defaultTeams(state.playerCount),
+      };
+    case "SET_SEAT_TEAM":
+      if (!state.teams) return state;
+      return {
+        ...state,
+        teams: state.teams.map((teamId, seat) => (seat === action.seat ? action.teamId : teamId)),
+      };
+    case "SAVE_CUSTOM_FORMAT": {
+      const format = createCustomFormat(action.format, action.at ?? Date.now());
+      return { ...state, format, customFormats: [...state.customFormats, format] };
+    }
+    case "DELETE_CUSTOM_FORMAT":
+      return {
+        ...state,
+        customFormats: state.customFormats.filter((f) => f.id !== action.formatId),
+        format: state.format.id === action.formatId ? DEFAULT_FORMAT : state.format,
+      };
+    case "SET_MONARCH":
+    case "TAKE_INITIATIVE": {
+      if (action.playerId && !state.players.some((p) => p.id === action.playerId)) return state;
+      const key = action.type === "SET_MONARCH" ? "monarchId" : "initiativeId";
+      return {
+        ...state,
+        designations: { ...state.designations, [key]: action.playerId ?? null },
+      };
+    }
+    case "VENTURE_UNDERCITY": {
+      const current = state.designations.undercity[action.playerId];
+      if (!state.players.some((p) => p.id === action.playerId)) return state;
+      if (!getNextRooms(current).includes(action.roomId)) return state;
+      return {
+        ...state,
+        designations: {
+          ...state.designations,
+          undercity: { ...state.designations.undercity, [action.playerId]: action.roomId },
+        },
+      };
+    }
+    case "SET_DAY_NIGHT":
+      return {
+        ...state,
+        designations: { ...state.designations, dayNight: action.value ?? null },
+      };
+    case "TOGGLE_PLAYER_FLAG":
+      if (!PLAYER_FLAGS.some((flag) => flag.id === action.flag)) return state;
+      return {
+        ...state,
+        players: state.players.map((p) => {
+          if (p.id !== action.playerId) return p;
+          const { [action.flag]: current, ...rest } = p.flags;
+          return { ...p, flags: current ? rest : { ...rest, [action.flag]: true } };
+        }),
+      };
+    case "SET_PLANECHASE":
+      return {
+        ...state,
+        planechase: action.cards?.length ? createPlanechase(action.cards) : null,
+      };
+    case "ROLL_PLANAR_DIE":
+      if (!state.planechase) return state;
+      return {
+        ...state,
+        planechase: rollPlanechase(state.planechase, action.face, state.turn),
+      };
+    case "PLANESWALK":
+      if (!state.planechase) return state;
+      return { ...state, planechase: planeswalk(state.planechase) };
+    case "RESET_PLANAR_COST":
+      if (!state.planechase) return state;
+      return { ...state, planechase: { ...state.planechase, rolls: 0, rollTurn: null, rollPlayerId: null } };
+    case "SET_ARCHENEMY":
+      return {
+        ...state,
+        archenemy: action.cards?.length
+          ? createArchenemy(
+              action.cards,
+              state.archenemy?.seat,
+              state.archenemy?.startingLife
+            )
+          : null,
+      };
+    case "SET_ARCHENEMY_OPTIONS":
+      if (!state.archenemy) return state;
+      return {
+        ...state,
+        archenemy: {
+          ...state.archenemy,
+          seat: action.seat ?? state.archenemy.seat,
+          startingLife: action.startingLife ?? state.archenemy.startingLife,
+        },
+      };
+    case "SET_SCHEME_IN_MOTION":
+      if (!state.archenemy) return state;
+      return { ...state, archenemy: setSchemeInMotion(state.archenemy) };
+    case "ABANDON_SCHEME":
+      if (!state.archenemy) return state;
+      return { ...state, archenemy: abandonScheme(state.archenemy, action.schemeId) };
+    case "SET_ACTIVE_PLAYER": {
+      if (!state.players.some((p) => p.id === action.playerId)) return state;
+      if (action.start || !state.turn.activeId) {
+        return {
+          ...state,
+          turn: { activeId: action.playerId, startingId: action.playerId, number: 1, round: 1 },
+        };
+      }
+      return { ...state, turn: { ...state.turn, activeId: action.playerId } };
+    }
+    case "PASS_TURN": {
+      // The turn goes around the table as the players sit, not in player
+      // order, which zigzags across the board in most layouts.
+      const { activeId, startingId } = state.turn;
+      const count = state.players.length;
+      const seated = tableOrder(layoutRows(count, state.layouts[count])).map(
+        (seat) => state.players[seat]
+      );
+      const currentIndex = seated.findIndex((p) => p.id === activeId);
+      if (currentIndex === -1) return state;
+      let nextIndex = -1;
+      for (let step = 1; step <= count; step += 1) {
+        const candidate = (currentIndex + step) % count;
+        if (!seated[candidate].isDead) {
+          nextIndex = candidate;
+          break;
+        }
+      }
+      if (nextIndex === -1 || nextIndex === currentIndex) return state;
+      // A new round starts each time the turn passes the starting player's seat.
+      const startIndex = Math.max(0, seated.findIndex((p) => p.id === startingId));
+      const fromStart = (index) => (index - startIndex + count) % count;
+      return {
+        ...state,
+        turn: {
+          ...state.turn,
+          activeId: seated[nextIndex].id,
+          number: state.turn.number + 1,
+          round:
+            fromStart(nextIndex) <= fromStart(currentIndex)
+              ? state.turn.round + 1
+              : state.turn.round,
+        },
+      };
+    }
+    case "TOGGLE_CLOCK": {
+      const enabled = !state.clock.enabled;
+      const at = action.at ?? Date.now();
+      return {
+        ...state,
+        clock: {
+          ...resetClock(state.clock),
+          enabled,
+          runningSince: enabled && state.turn.activeId ? at : null,
+        },
+      };
+    }
+    case "SET_CLOCK_OPTIONS":
+      return {
+        ...state,
+        clock: {
+          ...state.clock,
+          budgetMs: action.budgetMs ?? state.clock.budgetMs,
+          roundLimitMs: action.roundLimitMs ?? state.clock.roundLimitMs,
+          extraTurns: action.extraTurns ?? state.clock.extraTurns,
+        },
+      };
+    case "TOGGLE_CLOCK_PAUSE": {
+      const at = action.at ?? Date.now();
+      if (state.clock.runningSince !== null) {
+        return {
+          ...state,
+          clock: { ...settleClock(state.clock, state.turn.activeId, at), runningSince: null },
+        };
+      }
+      if (!state.turn.activeId) return state;
+      return { ...state, clock: { ...state.clock, runningSince: at } };
+    }
+    case "CALL_TIME":
+      if (state.clock.timeCalledTurn !== null) return state;
+      return { ...state, clock: { ...state.clock, timeCalledTurn: state.turn.number } };
     default:
       return state;
   }
 }
 
-function buildRows(count) {
-  const layouts = {
-    2: [[180], [0]],
-    3: [[90], [90, 270]],
-    4: [[90, 270], [90, 270]],
-    5: [[90, 270], [90, 270], [90]],
-    6: [[90, 270], [90, 270], [90, 270]],
+// Restarting a match also resets the variants and the clock, so its undo
+// step carries them too. Other steps leave them out, or undoing a life tap
+// would roll back planar die rolls and clock time made since.
+const RESTART_ACTIONS = new Set(["RESET_MATCH"]);
+
+function snapshotGame(state, restart = false) {
+  const snapshot = {
+    players: state.players,
+    match: state.match,
+    turn: state.turn,
+    designations: state.designations,
   };
+  if (!restart) return snapshot;
+  return {
+    ...snapshot,
+    planechase: state.planechase,
+    archenemy: state.archenemy,
+    clock: state.clock,
+  };
+}
+
+function restoreGame(state, snapshot) {
+  return { ...state, ...snapshot };
+}
+
+function coalesceKey(action) {
+  if (!COALESCED_ACTIONS.has(action.type)) return null;
+  return [
+    action.type,
+    action.playerId,
+    action.fromId ?? action.counterId ?? "",
+    action.commanderIndex ?? 0,
+  ].join(":");
+}
+
+// Undo/redo layer: every undoable action pushes a snapshot of the game state
+// taken before it ran. Rapid taps on the same counter of the same player are
+// folded into one step, matching the life delta hint window on PlayerCard.
+function withHistory(baseReducer) {
+  return (state, action) => {
+    const { past, future } = state.history;
+
+    if (action.type === "UNDO") {
+      if (!past.length) return state;
+      const entry = past[past.length - 1];
+      return {
+        ...restoreGame(state, entry.snapshot),
+        history: {
+          past: past.slice(0, -1),
+          future: [{ ...entry, snapshot: snapshotGame(state, entry.restart) }, ...future],
+        },
+      };
+    }
+
+    if (action.type === "REDO") {
+      if (!future.length) return state;
+      const [entry, ...rest] = future;
+      return {
+        ...restoreGame(state, entry.snapshot),
+        history: {
+          past: [...past, { ...entry, snapshot: snapshotGame(state, entry.restart), key: null }],
+          future: rest,
+        },
+      };
+    }
+
+    const next = baseReducer(state, action);
+
+    if (action.type === "INIT_PLAYERS") {
+      return { ...next, history: { past: [], future: [] } };
+    }
+    if (!UNDOABLE_ACTIONS.has(action.type)) return next;
+
+    const restart = RESTART_ACTIONS.has(action.type);
+    const before = snapshotGame(state, restart);
+    if (JSON.stringify(before) === JSON.stringify(snapshotGame(next, restart))) return next;
 
-  return layouts[count] || layouts[4];
+    const at = action.at ?? Date.now();
+    const key = coalesceKey(action);
+    const last = past[past.length - 1];
+    if (key && last?.key === key && at - last.at <= LIFE_DELTA_HINT_MS) {
+      return {
+        ...next,
+        history: { past: [...past.slice(0, -1), { ...last, at }], future: [] },
+      };
+    }
+
+    return {
+      ...next,
+      history: {
+        past: [...past, { snapshot: before, key, at, restart }].slice(-HISTORY_LIMIT),
+        future: [],
+      },
+    };
+  };
+}
+
+// Event log layer: records what each dispatched action changed, with the
+// state before and after, so the timeline survives undo and restarts.
+function withEventLog(baseReducer) {
+  return (state, action) => {
+    const next = baseReducer(state, action);
+    if (next === state || action.type === "HYDRATE_SESSION") return next;
+    const matchId = next.match?.id ?? null;
+    const events = buildEvents(state, next, action).map((event) => ({ ...event, matchId }));
+    const baseLog = action.type === "INIT_PLAYERS" ? [] : state.eventLog;
+    const eventLog = appendEvents(baseLog, events, LIFE_DELTA_HINT_MS);
+    return eventLog === next.eventLog ? next : { ...next, eventLog };
+  };
+}
+
+// Life graph layer: samples everyone's life after each change that moved it,
+// whatever the cause, and starts over with each new match.
+function withLifeGraph(baseReducer) {
+  return (state, action) => {
+    const next = baseReducer(state, action);
+    if (next === state || action.type === "HYDRATE_SESSION") return next;
+    if (next.players === state.players && next.match === state.match) return next;
+    const at = action.at ?? Date.now();
+    const lifeGraph = recordLife(next.lifeGraph, next.match, next.players, at, LIFE_DELTA_HINT_MS);
+    return lifeGraph === next.lifeGraph ? next : { ...next, lifeGraph };
+  };
+}
+
+// Clock layer: whenever the active player changes, whatever the cause (a pass,
+// a correction or an undo), the running time is charged to the player whose
+// turn just ended.
+function withClock(baseReducer) {
+  return (state, action) => {
+    const next = baseReducer(state, action);
+    const prevActive = state.turn.activeId;
+    const nextActive = next.turn.activeId;
+    if (next === state || action.type === "HYDRATE_SESSION") return next;
+    if (prevActive === nextActive || !next.clock.enabled) return next;
+
+    const at = action.at ?? Date.now();
+    let clock = settleClock(next.clock, prevActive, at);
+    if (!nextActive) {
+      clock = { ...clock, runningSince: null };
+    } else if (!prevActive && clock.runningSince === null) {
+      clock = { ...clock, runningSince: at };
+    }
+    return { ...next, clock };
+  };
+}
+
+// Team layer: life and poison changes on one teammate are mirrored onto the
+// rest of the team, then team eliminations are settled.
+function withTeams(baseReducer) {
+  return (state, action) => {
+    const next = baseReducer(state, action);
+    if (next.players === state.players || !next.players.some((p) => p.teamId)) return next;
+    const source = SHARED_ACTIONS.has(action.type)
+      ? next.players.find((p) => p.id === action.playerId)
+      : null;
+    const players = next.players.map((p) =>
+      source?.teamId && p.teamId === source.teamId && p.id !== source.id
+        ? { ...p, life: source.life, poison: source.poison }
+        : p
+    );
+    return { ...next, players: withTeamLoss(players, next.format) };
+  };
+}
+
+// Elimination layer: a player knocked out by life, poison or a counter is
+// credited to whoever caused it: the commander or player dealing the damage,
+// the drainer, or otherwise the player whose turn it is.
+function withEliminations(baseReducer) {
+  return (state, action) => {
+    const next = baseReducer(state, action);
+    if (next.players === state.players || action.type === "HYDRATE_SESSION") return next;
+    const culpritId =
+      action.fromId ??
+      (action.type === "DRAIN_OPPONENTS" ? action.playerId : next.turn.activeId);
+    const culprit = next.players.find((p) => p.id === culpritId);
+    if (!culprit) return next;
+    let changed = false;
+    const players = next.players.map((p) => {
+      const prev = state.players.find((x) => x.id === p.id);
+      if (!prev || prev.isDead || !p.isDead || p.elimination.by) return p;
+      if (!UNATTRIBUTED_REASONS.includes(p.elimination.reason) || isTeammate(p, culprit)) return p;
+      changed = true;
+      return { ...p, elimination: { ...p.elimination, by: culprit.id } };
+    });
+    return changed ? { ...next, players } : next;
+  };
+}
+
+const gameReducer = withSync(
+  withEventLog(withLifeGraph(withClock(withHistory(withEliminations(withTeams(reducer))))))
+);
+
+function buildMatchRecord(state, endedAt) {
+  const sides = getAliveSides(state.players);
+  const winners = sides.length === 1 ? sides[0] : [];
+  const winnerName = winners[0]?.teamId
+    ? `${teamLabel(winners[0].teamId)} (${winners.map((p) => p.name).join(" & ")})`
+    : winners[0]?.name ?? null;
+  const order = getEliminationOrder(state.eventLog, state.match.id);
+  const eliminationTurns = getEliminationTurns(state.eventLog, state.match.id);
+
+  return {
+    match: {
+      id: state.match.id,
+      startedAt: state.match.startedAt,
+      endedAt,
+      durationMs: Math.max(0, endedAt - state.match.startedAt),
+      playerCount: state.players.length,
+      winnerName,
+      endReason: winners.length ? "win" : "restart",
+    },
+    participants: state.players.map((player, index) => {
+      const position = order.indexOf(player.id);
+      return {
+        seat: index + 1,
+        playerId: player.id,
+        name: player.name,
+        finalLife: player.life,
+        finalPoison: player.poison,
+        finalTax: getTotalTax(player),
+        finalEnergy: player.energy,
+        commanderDamage: Object.entries(player.commanderDamage).flatMap(([fromId, values]) => {
+          const fromIndex = state.players.findIndex((p) => p.id === fromId);
+          const source = state.players[fromIndex];
+          return values.map((damage, commanderIndex) => ({
+            fromSeat: fromIndex + 1,
+            fromName: source?.name ?? null,
+            commander: source ? commanderLabel(source, commanderIndex) : null,
+            damage,
+          }));
+        }),
+        eliminationOrder: position === -1 ? null : position + 1,
+        eliminationTurn: player.isDead ? eliminationTurns[player.id] ?? null : null,
+        eliminationReason: player.elimination?.reason ?? null,
+        eliminatedBySeat: player.elimination?.by
+          ? state.players.findIndex((p) => p.id === player.elimination.by) + 1 || null
+          : null,
+        isWinner: winners.includes(player),
+        profileId: player.profileId ?? null,
+        deckId: player.deck?.id ?? null,
+        commanderName:
+          player.commanders
+            .map((commander) => commander.name.trim())
+            .filter(Boolean)
+            .join(" & ") || null,
+      };
+    }),
+  };
 }
 
 export default function App() {
   useKeepAwake();
   const router = useRouter();
-  const [state, dispatch] = useReducer(reducer, initialState);
+  const [state, rawDispatch] = useReducer(gameReducer, initialState);
+  const dispatch = (action) => rawDispatch({ ...action, at: Date.now() });
   const [isHydrated, setIsHydrated] = useState(false);
-  const rows = useMemo(() => buildRows(state.playerCount), [state.playerCount]);
-  const prevPlayersRef = useRef(state.players);
+  const rows = useMemo(
+    () => layoutRows(state.playerCount, state.layouts[state.playerCount]),
+    [state.playerCount, state.layouts]
+  );
+  const prevGameRef = useRef(state);
   const lastSfxRef = useRef(null);
+  const [soundSettings, setSoundSettings] = useState(createSoundSettings);
+  // Read by the playback effect, which should only run on game changes.
+  const soundSettingsRef = useRef(soundSettings);
+  const [soundSettingsOpen, setSoundSettingsOpen] = useState(false);
+  const [layoutOpen, setLayoutOpen] = useState(false);
+  const [sessionMeta, setSessionMeta] = useState(null);
+  // The newest unsaved session, written once taps settle or the app leaves
+  // the foreground.
+  const pendingSaveRef = useRef(null);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
+  const [savedSessions, setSavedSessions] = useState([]);
   const [highrollOpen, setHighrollOpen] = useState(false);
   const [highrollResults, setHighrollResults] = useState([]);
+  const [logOpen, setLogOpen] = useState(false);
+  const [summaryOpen, setSummaryOpen] = useState(false);
+  const summaryRef = useRef({ matchId: null, alive: 0 });
+  const lastRecordedRef = useRef(null);
+  const [syncOpen, setSyncOpen] = useState(false);
+  const [randomizerOpen, setRandomizerOpen] = useState(false);
+  const [rollHistory, setRollHistory] = useState([]);
+  const rollIdRef = useRef(0);
+  const [variantStatus, setVariantStatus] = useState({ planechase: null, archenemy: null });
+  const [variantOpen, setVariantOpen] = useState(null);
+  const [proliferateOpen, setProliferateOpen] = useState(false);
+  const peerIdRef = useRef(createPeerId());
+  const syncRef = useRef(null);
+  const hostRef = useRef(null);
+  const [hostAddress, setHostAddress] = useState(null);
+  const [hostError, setHostError] = useState("");
+  const [now, setNow] = useState(Date.now());
+  const clockRunning = state.clock.enabled && state.clock.runningSince !== null;
 
   useEffect(() => {
     let mounted = true;
 
     (async () => {
-      const session = await loadLifeSession();
+      const [saved, sounds] = await Promise.all([loadLatestLifeSession(), loadSoundSettings()]);
       if (!mounted) return;
+      soundSettingsRef.current = sounds;
+      setSoundSettings(sounds);
 
-      const normalized = normalizeSession(session);
+      const normalized = normalizeSession(saved?.session);
       if (normalized) {
         dispatch({ type: "HYDRATE_SESSION", payload: normalized });
       }
+      setSessionMeta(saved?.meta ?? createSessionMeta());
       setIsHydrated(true);
     })();
 
@@ -313,58 +1455,163 @@ export default function App() {
     };
   }, []);
 
+  const flushSave = () => {
+    const pending = pendingSaveRef.current;
+    pendingSaveRef.current = null;
+    return pending ? saveLifeSession(pending.meta, pending.payload) : Promise.resolve();
+  };
+
   useEffect(() => {
-    if (!isHydrated) return;
+    if (!isHydrated || !sessionMeta) return;
 
     const payload = {
+      ...state.sessionExtras,
       playerCount: state.playerCount,
       players: state.players,
+      match: state.match,
       showSetup: state.showSetup,
       soundEnabled: state.soundEnabled,
+      history: state.history,
+      eventLog: state.eventLog,
+      lifeGraph: state.lifeGraph,
+      turn: state.turn,
+      designations: state.designations,
+      planechase: state.planechase,
+      archenemy: state.archenemy,
+      clock: state.clock,
+      format: state.format,
+      customFormats: state.customFormats,
+      teams: state.teams,
+      seatDecks: state.seatDecks,
+      seatProfiles: state.seatProfiles,
+      syncServer: state.syncServer,
+      layouts: state.layouts,
     };
-    saveLifeSession(payload);
+    pendingSaveRef.current = { meta: sessionMeta, payload };
+    const timer = setTimeout(flushSave, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
   }, [
     isHydrated,
+    sessionMeta,
     state.playerCount,
     state.players,
+    state.match,
     state.showSetup,
     state.soundEnabled,
+    state.history,
+    state.eventLog,
+    state.lifeGraph,
+    state.turn,
+    state.designations,
+    state.planechase,
+    state.archenemy,
+    state.clock,
+    state.format,
+    state.customFormats,
+    state.teams,
+    state.seatDecks,
+    state.seatProfiles,
+    state.syncServer,
+    state.layouts,
+    state.sessionExtras,
   ]);
 
   useEffect(() => {
-    const prevPlayers = prevPlayersRef.current;
-    if (!prevPlayers.length) {
-      prevPlayersRef.current = state.players;
-      return;
+    const subscription = AppState.addEventListener("change", (next) => {
+      if (next !== "active") flushSave();
+    });
+    return () => {
+      subscription.remove();
+      flushSave();
+    };
+  }, []);
+
+  useEffect(
+    () => () => {
+      syncRef.current?.close();
+      hostRef.current?.close();
+    },
+    []
+  );
+
+  useEffect(() => {
+    const { outbox, status } = state.sync;
+    if (!outbox.length || status !== "online" || !syncRef.current) return;
+    let sent = 0;
+    while (sent < outbox.length && syncRef.current.send(outbox[sent])) sent += 1;
+    if (sent) dispatch({ type: "SYNC_FLUSHED", count: sent });
+  }, [state.sync]);
+
+  useEffect(() => {
+    if (!clockRunning) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [clockRunning]);
+
+  const roundTimeLeft = state.clock.enabled ? getRoundTimeLeft(state.clock, now) : null;
+  const extraTurnsLeft = getExtraTurnsLeft(state.clock, state.turn);
+
+  useEffect(() => {
+    if (state.sync.role === "guest") return;
+    if (roundTimeLeft === 0 && state.clock.timeCalledTurn === null) {
+      dispatch({ type: "CALL_TIME" });
     }
+  });
 
-    const newlyDead = state.players.filter((p) => {
-      const prev = prevPlayers.find((x) => x.id === p.id);
-      return prev && !prev.isDead && p.isDead;
-    });
+  useEffect(() => {
+    const prev = prevGameRef.current;
+    const game = {
+      match: state.match,
+      players: state.players,
+      designations: state.designations,
+      turn: state.turn,
+    };
+    prevGameRef.current = game;
+    // Switching to another saved game is not something happening at the table.
+    if (!prev.players.length || prev.match?.id !== game.match?.id || !state.soundEnabled) return;
 
-    if (newlyDead.length && state.soundEnabled) {
-      let nextIndex = Math.floor(Math.random() * ELIMINATION_SFX.length);
-      if (ELIMINATION_SFX.length > 1) {
-        while (nextIndex === lastSfxRef.current) {
-          nextIndex = Math.floor(Math.random() * ELIMINATION_SFX.length);
-        }
+    for (const eventId of soundEventsBetween(prev, game)) {
+      const picked = pickSound(soundSettingsRef.current, eventId, lastSfxRef.current);
+      if (picked) {
+        lastSfxRef.current = picked.sound.id;
+        playSound(soundSource(picked.sound), picked.volume);
+        break;
       }
-      lastSfxRef.current = nextIndex;
-      const source = ELIMINATION_SFX[nextIndex];
-      Audio.Sound.createAsync(source, { shouldPlay: true })
-        .then(({ sound }) => {
-          sound.setOnPlaybackStatusUpdate((status) => {
-            if (status.isLoaded && status.didJustFinish) {
-              sound.unloadAsync();
-            }
-          });
-        })
-        .catch(() => {});
-    }
-
-    prevPlayersRef.current = state.players;
-  }, [state.players, state.soundEnabled]);
+    }
+  }, [state.match, state.players, state.designations, state.turn, state.soundEnabled]);
+
+  const updateSoundSettings = (next) => {
+    soundSettingsRef.current = next;
+    setSoundSettings(next);
+    saveSoundSettings(next);
+  };
+
+  const recordMatch = (snapshot) => {
+    if (!snapshot.match || !hasMatchProgress(snapshot.eventLog, snapshot.match.id)) return;
+    const signature = `${snapshot.match.id}:${JSON.stringify(snapshot.players)}`;
+    if (lastRecordedRef.current === signature) return;
+    lastRecordedRef.current = signature;
+    const { match, participants } = buildMatchRecord(snapshot, Date.now());
+    initDb()
+      .then(() => saveMatch(match, participants))
+      .catch(() => {});
+  };
+
+  useEffect(() => {
+    if (!isHydrated || state.players.length < 2) return;
+    if (getAliveSides(state.players).length <= 1) recordMatch(state);
+  });
+
+  // The summary opens by itself once, at the moment a match is decided.
+  useEffect(() => {
+    const matchId = state.match?.id ?? null;
+    const alive = getAliveSides(state.players).length;
+    const prev = summaryRef.current;
+    summaryRef.current = { matchId, alive };
+    if (state.players.length < 2 || prev.matchId !== matchId) return;
+    if (prev.alive > 1 && alive <= 1) setSummaryOpen(true);
+  }, [state.match, state.players]);
 
   const resolveHighroll = (initial) => {
     let results = [...initial];
@@ -399,14 +1646,160 @@ export default function App() {
   const maxRoll = Math.max(0, ...highrollResults.map((r) => r.roll || 0));
   const winners = highrollResults.filter((r) => r.roll === maxRoll);
   const isTie = winners.length > 1;
-  const menuTopMap = {
-    2: "51.2%",
-    4: "51.6%",
-    6: "50.8%",
+  const menuButtonStyle = { top: menuOffset(rows) };
+
+  const toggleVariant = async (kind) => {
+    const type = kind === "planechase" ? "SET_PLANECHASE" : "SET_ARCHENEMY";
+    if (state[kind]) {
+      dispatch({ type, cards: null });
+      return;
+    }
+    setVariantStatus((prev) => ({ ...prev, [kind]: "loading" }));
+    try {
+      const cards = await searchAllCards(kind === "planechase" ? PLANECHASE_QUERY : SCHEME_QUERY);
+      dispatch({
+        type,
+        cards: cards.map((card) => variantCardFromScryfall(card, getPrimaryImage(card))),
+      });
+      setVariantStatus((prev) => ({ ...prev, [kind]: null }));
+    } catch {
+      setVariantStatus((prev) => ({ ...prev, [kind]: "error" }));
+    }
+  };
+
+  const startSync = (role, server, room) => {
+    syncRef.current?.close();
+    dispatch({
+      type: "SYNC_START",
+      role,
+      // The address to remember is the one typed in to join a game.
+      server: role === "guest" ? server : undefined,
+      room,
+      peerId: peerIdRef.current,
+    });
+    syncRef.current = connectSync({
+      server,
+      room,
+      role,
+      peerId: peerIdRef.current,
+      onMessage: (message) => rawDispatch({ type: "SYNC_MESSAGE", message }),
+      onStatus: (status) => rawDispatch({ type: "SYNC_STATUS", status }),
+    });
+  };
+
+  const stopHosting = () => {
+    hostRef.current?.close();
+    hostRef.current = null;
+    setHostAddress(null);
   };
-  const menuButtonStyle = menuTopMap[state.playerCount]
-    ? { top: menuTopMap[state.playerCount] }
-    : undefined;
+
+  // The host runs the relay itself and joins its own room through it, like
+  // any other device.
+  const hostGame = async (room) => {
+    syncRef.current?.close();
+    stopHosting();
+    setHostError("");
+    try {
+      hostRef.current = await startSyncHost();
+    } catch {
+      setHostError("Couldn't start hosting. Check that this device is on Wi-Fi.");
+      return;
+    }
+    setHostAddress(hostRef.current.address);
+    startSync("host", "127.0.0.1", room);
+  };
+
+  const stopSync = () => {
+    syncRef.current?.close();
+    syncRef.current = null;
+    stopHosting();
+    dispatch({ type: "SYNC_STOP" });
+  };
+
+  const syncModal = (
+    <SyncModal
+      visible={syncOpen}
+      sync={state.sync}
+      server={state.syncServer}
+      canHost={canHostOnDevice()}
+      hostAddress={hostAddress}
+      hostError={hostError}
+      onHost={hostGame}
+      onJoin={(server, room) => startSync("guest", server, room)}
+      onLeave={stopSync}
+      onClose={() => setSyncOpen(false)}
+    />
+  );
+
+  const openSessions = () => {
+    setSessionsOpen(true);
+    flushSave().then(listLifeSessions).then(setSavedSessions);
+  };
+
+  const resumeSession = async (id) => {
+    const saved = await loadLifeSession(id);
+    const normalized = normalizeSession(saved?.session);
+    if (!normalized) return;
+    // Formats, sounds, the sync server and seat layouts belong to the device,
+    // not to one game.
+    delete normalized.customFormats;
+    delete normalized.soundEnabled;
+    delete normalized.syncServer;
+    delete normalized.layouts;
+    recordMatch(state);
+    flushSave();
+    setSessionMeta(saved.meta);
+    dispatch({ type: "HYDRATE_SESSION", payload: normalized });
+    setSessionsOpen(false);
+  };
+
+  const renameSession = async (id, name) => {
+    if (id === sessionMeta?.id) setSessionMeta({ ...sessionMeta, name });
+    else await renameLifeSession(id, name);
+    listLifeSessions().then(setSavedSessions);
+  };
+
+  const deleteSession = async (id) => {
+    await deleteLifeSession(id);
+    listLifeSessions().then(setSavedSessions);
+  };
+
+  // A game still being played keeps its save; the new pod gets its own.
+  const startGame = () => {
+    recordMatch(state);
+    const paused =
+      state.match &&
+      hasMatchProgress(state.eventLog, state.match.id) &&
+      getAliveSides(state.players).length > 1;
+    if (paused) {
+      flushSave();
+      setSessionMeta(createSessionMeta());
+    }
+    dispatch({ type: "INIT_PLAYERS" });
+  };
+
+  const sessionsModal = (
+    <SessionsModal
+      visible={sessionsOpen}
+      sessions={savedSessions}
+      currentId={sessionMeta?.id}
+      onResume={resumeSession}
+      onRename={renameSession}
+      onDelete={deleteSession}
+      onClose={() => setSessionsOpen(false)}
+    />
+  );
+
+  const layoutEditor = (
+    <LayoutEditor
+      visible={layoutOpen}
+      count={state.playerCount}
+      layout={state.layouts[state.playerCount]}
+      players={state.players.length === state.playerCount ? state.players : []}
+      onChange={(layout) => dispatch({ type: "SET_LAYOUT", count: state.playerCount, layout })}
+      onClose={() => setLayoutOpen(false)}
+    />
+  );
 
   const rerollHighroll = () => {
     if (!highrollResults.length) return;
@@ -425,8 +1818,36 @@ export default function App() {
         <SetupScreen
           playerCount={state.playerCount}
           onSelect={(count) => dispatch({ type: "SET_COUNT", count })}
-          onStart={() => dispatch({ type: "INIT_PLAYERS" })}
+          onEditLayout={() => setLayoutOpen(true)}
+          onStart={startGame}
+          onSessions={state.sync.role ? null : openSessions}
+          format={state.format}
+          customFormats={state.customFormats}
+          onSelectFormat={(format) => dispatch({ type: "SELECT_FORMAT", format })}
+          onSaveCustomFormat={(format) => dispatch({ type: "SAVE_CUSTOM_FORMAT", format })}
+          onDeleteCustomFormat={(formatId) =>
+            dispatch({ type: "DELETE_CUSTOM_FORMAT", formatId })
+          }
+          teams={state.teams}
+          seatDecks={state.seatDecks}
+          onSetSeatDeck={(seat, deck) => dispatch({ type: "SET_SEAT_DECK", seat, deck })}
+          seatProfiles={state.seatProfiles}
+          onSetSeatProfile={(seat, profile) =>
+            dispatch({ type: "SET_SEAT_PROFILE", seat, profile })
+          }
+          onToggleTeams={() => dispatch({ type: "TOGGLE_TEAMS" })}
+          onSetSeatTeam={(seat, teamId) => dispatch({ type: "SET_SEAT_TEAM", seat, teamId })}
+          onSync={() => setSyncOpen(true)}
+          planechase={state.planechase}
+          archenemy={state.archenemy}
+          variantStatus={variantStatus}
+          onTogglePlanechase={() => toggleVariant("planechase")}
+          onToggleArchenemy={() => toggleVariant("archenemy")}
+          onArchenemyOptions={(options) => dispatch({ type: "SET_ARCHENEMY_OPTIONS", ...options })}
         />
+        {syncModal}
+        {layoutEditor}
+        {sessionsModal}
       </ScreenRoot>
     );
   }
@@ -439,21 +1860,50 @@ export default function App() {
           {rows.map((row, rowIndex) => {
             return (
               <Row key={`row-${rowIndex}`}>
-                {row.map((rotation, colIndex) => {
-                  const playerIndex =
-                    rows.slice(0, rowIndex).reduce((sum, r) => sum + r.length, 0) +
-                    colIndex;
+                {row.map(({ slot, seat: playerIndex, rotation }) => {
                   const player = state.players[playerIndex];
-                  if (!player) return <CardSlot key={`empty-${rowIndex}-${colIndex}`} />;
+                  if (!player) return <CardSlot key={`empty-${slot}`} />;
                   return (
                     <CardSlot key={player.id}>
                       <PlayerCard
                         player={player}
                         rotation={rotation}
                         opponents={state.players.filter((p) => p.id !== player.id)}
+                        format={state.format}
+                        designations={state.designations}
+                        isArchenemy={state.archenemy?.seat === playerIndex}
+                        isActive={state.turn.activeId === player.id}
+                        hasActivePlayer={!!state.turn.activeId}
+                        timeLeft={
+                          state.clock.enabled
+                            ? getPlayerTimeLeft(state.clock, player.id, state.turn.activeId, now)
+                            : null
+                        }
+                        onPassTurn={() => dispatch({ type: "PASS_TURN" })}
+                        onTakeTurn={() =>
+                          dispatch({ type: "SET_ACTIVE_PLAYER", playerId: player.id })
+                        }
                         onAdjustLife={(delta) =>
                           dispatch({ type: "ADJUST_LIFE", playerId: player.id, delta })
                         }
+                        onSetLife={(value) =>
+                          dispatch({ type: "SET_LIFE", playerId: player.id, value })
+                        }
+                        onDrain={(amount) =>
+                          dispatch({ type: "DRAIN_OPPONENTS", playerId: player.id, amount })
+                        }
+                        onLoseLifeAll={(amount) => dispatch({ type: "LOSE_LIFE_ALL", amount })}
+                        onProliferate={() => setProliferateOpen(true)}
+                        onConcede={(reason) =>
+                          dispatch({ type: "CONCEDE", playerId: player.id, reason })
+                        }
+                        onAlternateWin={() =>
+                          dispatch({ type: "ALTERNATE_WIN", playerId: player.id })
+                        }
+                        onRevive={() => dispatch({ type: "REVIVE_PLAYER", playerId: player.id })}
+                        onSetEliminatedBy={(by) =>
+                          dispatch({ type: "SET_ELIMINATED_BY", playerId: player.id, by })
+                        }
                         onAdjustPoison={(delta) =>
                           dispatch({
                             type: "ADJUST_POISON",
@@ -461,8 +1911,13 @@ export default function App() {
                             delta,
                           })
                         }
-                        onAdjustTax={(delta) =>
-                          dispatch({ type: "ADJUST_TAX", playerId: player.id, delta })
+                        onAdjustTax={(commanderIndex, delta) =>
+                          dispatch({
+                            type: "ADJUST_TAX",
+                            playerId: player.id,
+                            commanderIndex,
+                            delta,
+                          })
                         }
                         onAdjustEnergy={(delta) =>
                           dispatch({
@@ -471,11 +1926,36 @@ export default function App() {
                             delta,
                           })
                         }
-                        onAdjustCommanderDamage={(fromId, delta) =>
+                        onAdjustCommanderDamage={(fromId, commanderIndex, delta) =>
                           dispatch({
                             type: "ADJUST_CMD_DAMAGE",
                             playerId: player.id,
                             fromId,
+                            commanderIndex,
+                            delta,
+                          })
+                        }
+                        onSetCommanderCount={(count) =>
+                          dispatch({
+                            type: "SET_COMMANDER_COUNT",
+                            playerId: player.id,
+                            count,
+                          })
+                        }
+                        onAssignDeck={(deck) =>
+                          dispatch({ type: "ASSIGN_DECK", playerId: player.id, deck })
+                        }
+                        onAddCounter={(counter) =>
+                          dispatch({ type: "ADD_COUNTER", playerId: player.id, counter })
+                        }
+                        onRemoveCounter={(counterId) =>
+                          dispatch({ type: "REMOVE_COUNTER", playerId: player.id, counterId })
+                        }
+                        onAdjustCounter={(counterId, delta) =>
+                          dispatch({
+                            type: "ADJUST_COUNTER",
+                            playerId: player.id,
+                            counterId,
                             delta,
                           })
                         }
@@ -493,18 +1973,30 @@ export default function App() {
               </Row>
             );
           })}
+
+          <MenuButton
+            onPress={() => dispatch({ type: "TOGGLE_MENU" })}
+            style={menuButtonStyle}
+          >
+            <MenuCore>
+              <FontAwesome5 name="dice-d20" size={32} color="#eef2f6" />
+            </MenuCore>
+          </MenuButton>
+
+          {state.turn.activeId ? (
+            <TurnStatus pointerEvents="none" style={menuButtonStyle}>
+              <TurnStatusText>
+                {`T${state.turn.number} · R${state.turn.round}`}
+                {roundTimeLeft !== null && extraTurnsLeft === null
+                  ? ` · ${formatClock(roundTimeLeft)}`
+                  : ""}
+                {extraTurnsLeft !== null ? ` · Time! ${extraTurnsLeft} left` : ""}
+              </TurnStatusText>
+            </TurnStatus>
+          ) : null}
         </Board>
       </SafeAreaView>
 
-      <MenuButton
-        onPress={() => dispatch({ type: "TOGGLE_MENU" })}
-        style={menuButtonStyle}
-      >
-        <MenuCore>
-          <FontAwesome5 name="dice-d20" size={32} color="#eef2f6" />
-        </MenuCore>
-      </MenuButton>
-
       <MenuModal
         visible={state.menuOpen}
         onClose={() => dispatch({ type: "TOGGLE_MENU" })}
@@ -516,10 +2008,28 @@ export default function App() {
           dispatch({ type: "TOGGLE_MENU" });
           router.push("/search");
         }}
-        onReset={() => dispatch({ type: "RESET_MATCH" })}
-        onChangePlayers={() => dispatch({ type: "OPEN_SETUP" })}
+        onReset={() => {
+          recordMatch(state);
+          dispatch({ type: "RESET_MATCH" });
+        }}
+        canUndo={state.history.past.length > 0}
+        canRedo={state.history.future.length > 0}
+        onUndo={() => dispatch({ type: "UNDO" })}
+        onRedo={() => dispatch({ type: "REDO" })}
+        onChangePlayers={
+          state.sync.role === "guest" ? null : () => dispatch({ type: "OPEN_SETUP" })
+        }
+        syncStatus={state.sync.role ? `${state.sync.room} · ${state.sync.status}` : null}
+        onSync={() => {
+          dispatch({ type: "TOGGLE_MENU" });
+          setSyncOpen(true);
+        }}
         soundEnabled={state.soundEnabled}
         onToggleSound={() => dispatch({ type: "TOGGLE_SOUND" })}
+        onSoundSettings={() => {
+          dispatch({ type: "TOGGLE_MENU" });
+          setSoundSettingsOpen(true);
+        }}
         onHighroll={() => {
           dispatch({ type: "TOGGLE_MENU" });
           runHighroll();
@@ -528,22 +2038,149 @@ export default function App() {
           dispatch({ type: "TOGGLE_MENU" });
           router.push("/(tabs)/decks");
         }}
+        clock={state.clock}
+        clockRunning={clockRunning}
+        onToggleClock={() => dispatch({ type: "TOGGLE_CLOCK" })}
+        onToggleClockPause={() => dispatch({ type: "TOGGLE_CLOCK_PAUSE" })}
+        onClockOptions={(options) => dispatch({ type: "SET_CLOCK_OPTIONS", ...options })}
+        players={state.players}
+        designations={state.designations}
+        onSetMonarch={(playerId) => dispatch({ type: "SET_MONARCH", playerId })}
+        onTakeInitiative={(playerId) => dispatch({ type: "TAKE_INITIATIVE", playerId })}
+        onVenture={(playerId, roomId) =>
+          dispatch({ type: "VENTURE_UNDERCITY", playerId, roomId })
+        }
+        onSetDayNight={(value) => dispatch({ type: "SET_DAY_NIGHT", value })}
+        onTogglePlayerFlag={(playerId, flag) =>
+          dispatch({ type: "TOGGLE_PLAYER_FLAG", playerId, flag })
+        }
+        onLayout={() => {
+          dispatch({ type: "TOGGLE_MENU" });
+          setLayoutOpen(true);
+        }}
+        onSessions={
+          state.sync.role
+            ? null
+            : () => {
+                dispatch({ type: "TOGGLE_MENU" });
+                openSessions();
+              }
+        }
+        onShowLog={() => {
+          dispatch({ type: "TOGGLE_MENU" });
+          setLogOpen(true);
+        }}
+        onSummary={() => {
+          dispatch({ type: "TOGGLE_MENU" });
+          setSummaryOpen(true);
+        }}
+        onProliferate={() => {
+          dispatch({ type: "TOGGLE_MENU" });
+          setProliferateOpen(true);
+        }}
+        onRandomizer={() => {
+          dispatch({ type: "TOGGLE_MENU" });
+          setRandomizerOpen(true);
+        }}
+        onPlanechase={
+          state.planechase
+            ? () => {
+                dispatch({ type: "TOGGLE_MENU" });
+                setVariantOpen("planechase");
+              }
+            : null
+        }
+        onSchemes={
+          state.archenemy
+            ? () => {
+                dispatch({ type: "TOGGLE_MENU" });
+                setVariantOpen("archenemy");
+              }
+            : null
+        }
+      />
+
+      <ProliferateModal
+        visible={proliferateOpen}
+        players={state.players}
+        format={state.format}
+        onConfirm={(targets) => {
+          dispatch({ type: "PROLIFERATE", targets });
+          setProliferateOpen(false);
+        }}
+        onClose={() => setProliferateOpen(false)}
+      />
+
+      <PlanechaseModal
+        visible={variantOpen === "planechase"}
+        planechase={state.planechase}
+        turn={state.turn}
+        onRoll={() => dispatch({ type: "ROLL_PLANAR_DIE", face: rollPlanarDie() })}
+        onPlaneswalk={() => dispatch({ type: "PLANESWALK" })}
+        onResetCost={() => dispatch({ type: "RESET_PLANAR_COST" })}
+        onClose={() => setVariantOpen(null)}
+      />
+
+      <ArchenemyModal
+        visible={variantOpen === "archenemy"}
+        archenemy={state.archenemy}
+        archenemyName={state.archenemy ? state.players[state.archenemy.seat]?.name : null}
+        onSetInMotion={() => dispatch({ type: "SET_SCHEME_IN_MOTION" })}
+        onAbandon={(schemeId) => dispatch({ type: "ABANDON_SCHEME", schemeId })}
+        onClose={() => setVariantOpen(null)}
+      />
+
+      <RandomizerModal
+        visible={randomizerOpen}
+        players={state.players}
+        history={rollHistory}
+        onRecord={(entry) => {
+          rollIdRef.current += 1;
+          setRollHistory((prev) =>
+            [{ ...entry, id: `roll-${rollIdRef.current}` }, ...prev].slice(0, ROLL_HISTORY_LIMIT)
+          );
+        }}
+        onClearHistory={() => setRollHistory([])}
+        onClose={() => setRandomizerOpen(false)}
       />
 
+      <SoundSettingsModal
+        visible={soundSettingsOpen}
+        settings={soundSettings}
+        onChange={updateSoundSettings}
+        onPreview={(sound, volume) => playSound(soundSource(sound), volume)}
+        onClose={() => setSoundSettingsOpen(false)}
+      />
+
+      <MatchLogModal
+        visible={logOpen}
+        events={state.eventLog}
+        onClose={() => setLogOpen(false)}
+      />
+
+      <GameSummaryModal
+        visible={summaryOpen}
+        state={state}
+        onClose={() => setSummaryOpen(false)}
+      />
+
+      {syncModal}
+
+      {layoutEditor}
+
+      {sessionsModal}
+
       {highrollOpen ? (
         <HighrollOverlay>
           <HighrollGrid>
             {rows.map((row, rowIndex) => (
               <HighrollRow key={`hr-row-${rowIndex}`}>
-                {row.map((rotation, colIndex) => {
-                  const playerIndex =
-                    rows.slice(0, rowIndex).reduce((sum, r) => sum + r.length, 0) +
-                    colIndex;
-                  const player = state.players[playerIndex];
+                {row.map(({ slot, seat, rotation }) => {
+                  const player = state.players[seat];
                   const result = highrollResults.find((r) => r.id === player?.id);
                   const isWinner =
                     result && !isTie && result.roll === maxRoll && maxRoll > 0;
-                  if (!player) return <HighrollCell key={`empty-${rowIndex}-${colIndex}`} />;
+                  if (!player) return <HighrollCell key={`empty-${slot}`} />;
                   return (
                     <HighrollCell
                       key={player.id}
@@ -577,11 +2214,23 @@ export default function App() {
             <FontAwesome5 name="times" size={24} color="#111111" />
           </HighrollClose>
 
-          <HighrollReroll onPress={rerollHighroll}>
-            <HighrollRerollText>
-              {isTie ? "Reroll Tied" : "Reroll"}
-            </HighrollRerollText>
-          </HighrollReroll>
+          <HighrollActions>
+            <HighrollReroll onPress={rerollHighroll}>
+              <HighrollRerollText>
+                {isTie ? "Reroll Tied" : "Reroll"}
+              </HighrollRerollText>
+            </HighrollReroll>
+            {!isTie && winners.length ? (
+              <HighrollReroll
+                onPress={() => {
+                  dispatch({ type: "SET_ACTIVE_PLAYER", playerId: winners[0].id, start: true });
+                  setHighrollOpen(false);
+                }}
+              >
+                <HighrollRerollText>Winner Starts</HighrollRerollText>
+              </HighrollReroll>
+            ) : null}
+          </HighrollActions>
         </HighrollOverlay>
       ) : null}
     </ScreenRoot>
@@ -636,6 +2285,25 @@ const MenuCore = styled.View`
   justify-content: center;
 `;
 
+const TurnStatus = styled.View`
+  position: absolute;
+  top: 50%;
+  left: 0px;
+  right: 0px;
+  margin-top: 32px;
+  align-items: center;
+`;
+
+const TurnStatusText = styled.Text`
+  color: #eef2f6;
+  font-size: 12px;
+  letter-spacing: 0.6px;
+  padding: 2px 8px;
+  border-radius: 10px;
+  overflow: hidden;
+  background-color: rgba(11, 13, 16, 0.75);
+`;
+
 const HighrollOverlay = styled.View`
   position: absolute;
   inset: 0px;
@@ -691,10 +2359,15 @@ const HighrollClose = styled.Pressable`
   justify-content: center;
 `;
 
-const HighrollReroll = styled.Pressable`
+const HighrollActions = styled.View`
   position: absolute;
   bottom: 28px;
   align-self: center;
+  flex-direction: row;
+  gap: 12px;
+`;
+
+const HighrollReroll = styled.Pressable`
   padding: 10px 20px;
   border-radius: 16px;
   background-color: rgba(255, 255, 255, 0.1);
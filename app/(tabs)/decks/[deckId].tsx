@@ -5,7 +5,9 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import DeckBottomBar from '../../../components/decks/DeckBottomBar';
 import DeckHeader from '../../../components/decks/DeckHeader';
 import DeckCardRow from '../../../components/decks/DeckCardRow';
-import { getCard, getDeck } from '../../../data/db';
+import DeckExportModal from '../../../components/decks/DeckExportModal';
+import { getCard, getDeck, removePartner } from '../../../data/db';
+import { deckCommanderIds, validateDeck } from '../../../data/deckValidation';
 
 const SECTION_ORDER = [
   'CREATURE',
@@ -66,9 +68,12 @@ function groupDeckCardsByType(cards) {
 export default function DeckDetailScreen() {
   const { deckId } = useLocalSearchParams();
   const router = useRouter();
-  const [deck, setDeck] = useState(null);
+  const [deck, setDeck] = useState<any>(null);
   const [loading, setLoading] = useState(true);
-  const [commander, setCommander] = useState(null);
+  const [commander, setCommander] = useState<any>(null);
+  const [partner, setPartner] = useState<any>(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [showProblems, setShowProblems] = useState(false);
 
   const load = useCallback(async () => {
     if (!deckId) return;
@@ -81,6 +86,7 @@ export default function DeckDetailScreen() {
     } else {
       setCommander(null);
     }
+    setPartner(data?.partner_card_id ? await getCard(data.partner_card_id) : null);
     setLoading(false);
   }, [deckId]);
 
@@ -94,6 +100,7 @@ export default function DeckDetailScreen() {
   const nonCommanderCards =
     deck?.cards?.filter((c) => !c.is_commander).reduce((sum, c) => sum + c.quantity, 0) ?? 0;
   const sections = groupDeckCardsByType(deck?.cards ?? []);
+  const problems = validateDeck(deck?.cards ?? [], deckCommanderIds(deck));
 
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: '#0b0d10' }} edges={['top', 'left', 'right']}>
@@ -111,14 +118,33 @@ export default function DeckDetailScreen() {
         ) : (
           <>
             <Text style={{ color: '#9aa4b2', marginTop: 2 }}>
-              Commander: {commander?.name ?? 'None'}
+              {partner
+                ? `Commanders: ${commander?.name ?? 'None'} + ${partner.name}`
+                : `Commander: ${commander?.name ?? 'None'}`}
             </Text>
             {!commander ? (
               <Text style={{ color: '#ffb347', marginTop: 6 }}>
                 Set a Commander to unlock card validation.
               </Text>
-            ) : null}
-            <View style={{ flexDirection: 'row', gap: 10, marginTop: 12 }}>
+            ) : (
+              <Pressable onPress={() => setShowProblems((value) => !value)} style={{ marginTop: 6 }}>
+                <Text style={{ color: problems.length ? '#ffb347' : '#82d68b' }}>
+                  {problems.length
+                    ? `${problems.length} legality ${problems.length === 1 ? 'problem' : 'problems'} (${
+                        showProblems ? 'hide' : 'show'
+                      })`
+                    : 'Commander legal'}
+                </Text>
+              </Pressable>
+            )}
+            {commander && showProblems
+              ? problems.map((problem, index) => (
+                  <Text key={`${problem.code}-${index}`} style={{ color: '#ffb347', fontSize: 13 }}>
+                    {`• ${problem.message}`}
+                  </Text>
+                ))
+              : null}
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 10, marginTop: 12 }}>
               <Pressable
                 onPress={() => router.push(`/(tabs)/decks/search?deckId=${deck.id}&mode=commander`)}
                 style={{
@@ -133,6 +159,41 @@ export default function DeckDetailScreen() {
               >
                 <Text style={{ color: '#ffffff' }}>Set Commander</Text>
               </Pressable>
+              {commander ? (
+                <Pressable
+                  onPress={() => router.push(`/(tabs)/decks/search?deckId=${deck.id}&mode=partner`)}
+                  style={{
+                    minHeight: 44,
+                    paddingVertical: 8,
+                    paddingHorizontal: 12,
+                    borderRadius: 10,
+                    borderWidth: 1,
+                    borderColor: 'rgba(255,255,255,0.4)',
+                    justifyContent: 'center',
+                  }}
+                >
+                  <Text style={{ color: '#ffffff' }}>{partner ? 'Change Partner' : 'Add Partner'}</Text>
+                </Pressable>
+              ) : null}
+              {partner ? (
+                <Pressable
+                  onPress={async () => {
+                    await removePartner(String(deckId));
+                    await load();
+                  }}
+                  style={{
+                    minHeight: 44,
+                    paddingVertical: 8,
+                    paddingHorizontal: 12,
+                    borderRadius: 10,
+                    borderWidth: 1,
+                    borderColor: 'rgba(255,255,255,0.4)',
+                    justifyContent: 'center',
+                  }}
+                >
+                  <Text style={{ color: '#ffffff' }}>Remove Partner</Text>
+                </Pressable>
+              ) : null}
               <Pressable
                 onPress={() => router.push(`/(tabs)/decks/search?deckId=${deck.id}`)}
                 style={{
@@ -147,6 +208,48 @@ export default function DeckDetailScreen() {
               >
                 <Text style={{ color: '#ffffff' }}>Search & Add Cards</Text>
               </Pressable>
+              <Pressable
+                onPress={() => router.push(`/(tabs)/decks/import?deckId=${String(deckId)}`)}
+                style={{
+                  minHeight: 44,
+                  paddingVertical: 8,
+                  paddingHorizontal: 12,
+                  borderRadius: 10,
+                  borderWidth: 1,
+                  borderColor: 'rgba(255,255,255,0.4)',
+                  justifyContent: 'center',
+                }}
+              >
+                <Text style={{ color: '#ffffff' }}>Import List</Text>
+              </Pressable>
+              <Pressable
+                onPress={() => setExportOpen(true)}
+                style={{
+                  minHeight: 44,
+                  paddingVertical: 8,
+                  paddingHorizontal: 12,
+                  borderRadius: 10,
+                  borderWidth: 1,
+                  borderColor: 'rgba(255,255,255,0.4)',
+                  justifyContent: 'center',
+                }}
+              >
+                <Text style={{ color: '#ffffff' }}>Export</Text>
+              </Pressable>
+              <Pressable
+                onPress={() => router.push(`/(tabs)/decks/stats?deckId=${String(deckId)}`)}
+                style={{
+                  minHeight: 44,
+                  paddingVertical: 8,
+                  paddingHorizontal: 12,
+                  borderRadius: 10,
+                  borderWidth: 1,
+                  borderColor: 'rgba(255,255,255,0.4)',
+                  justifyContent: 'center',
+                }}
+              >
+                <Text style={{ color: '#ffffff' }}>Statistics</Text>
+              </Pressable>
             </View>
             <SectionList
               sections={sections}
@@ -195,6 +298,9 @@ export default function DeckDetailScreen() {
           </>
         )}
       </View>
+      {deck ? (
+        <DeckExportModal visible={exportOpen} deck={deck} onClose={() => setExportOpen(false)} />
+      ) : null}
       <DeckBottomBar />
     </SafeAreaView>
   );
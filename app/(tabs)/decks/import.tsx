@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { Pressable, ScrollView, Text, TextInput, View } from 'react-native';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import DeckHeader from '../../../components/decks/DeckHeader';
+import DeckBottomBar from '../../../components/decks/DeckBottomBar';
+import { importDeckCards } from '../../../data/db';
+import { parseDecklist, resolveDecklist } from '../../../data/decklist';
+import { commanderPairProblem } from '../../../data/deckValidation';
+import {
+  getCachedArtImageUri,
+  getCachedImageUri,
+  getPrimaryArtImage,
+  getPrimaryImage,
+  normalizeCard,
+} from '../../../data/scryfall';
+
+const PLACEHOLDER = `Commander
+1 Atraxa, Praetors' Voice
+
+Deck
+1 Sol Ring (C21) 263
+1x Arcane Signet
+35 Forest`;
+
+type ImportReport = {
+  added: number;
+  commanders: string[];
+  problems: string[];
+};
+
+export default function DeckImportScreen() {
+  const { deckId } = useLocalSearchParams();
+  const router = useRouter();
+  const [text, setText] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState('');
+  const [report, setReport] = useState<ImportReport | null>(null);
+
+  const runImport = async () => {
+    if (!deckId || !text.trim()) return;
+    setError('');
+    setReport(null);
+    const { entries, invalid } = parseDecklist(text);
+    if (!entries.length) {
+      setError('No cards found in that list.');
+      return;
+    }
+    setImporting(true);
+    try {
+      const { resolved, unresolved } = await resolveDecklist(entries);
+      const problems = [
+        ...invalid.map((item) => `Line ${item.line}: couldn't read "${item.text}"`),
+        ...unresolved.map((entry) => `Line ${entry.line}: no card named "${entry.name}"`),
+      ];
+
+      // Only the commanders' images are downloaded now; the rest load from
+      // Scryfall when shown. A second commander is kept only if it pairs with
+      // the first.
+      const commanders: any[] = [];
+      const cards = [];
+      for (const { entry, card } of resolved) {
+        if (entry.commander && commanders.length < 2 && card.legalities?.commander === 'legal') {
+          const pairProblem = commanders.length
+            ? commanderPairProblem(commanders[0], normalizeCard(card, null, null))
+            : null;
+          if (!pairProblem) {
+            const imageUri = await getCachedImageUri(card);
+            const artImageUri = await getCachedArtImageUri(card);
+            commanders.push(normalizeCard(card, imageUri, artImageUri));
+            continue;
+          }
+          problems.push(`Line ${entry.line}: ${pairProblem} ${card.name} was added to the deck`);
+        } else if (entry.commander) {
+          problems.push(
+            commanders.length === 2
+              ? `Line ${entry.line}: a deck has at most two commanders, ${card.name} was added to the deck`
+              : `Line ${entry.line}: ${card.name} can't be a commander, it was added to the deck`
+          );
+        }
+        cards.push({
+          card: normalizeCard(card, getPrimaryImage(card), getPrimaryArtImage(card)),
+          quantity: entry.quantity,
+        });
+      }
+
+      const removedPartner: any = await importDeckCards(String(deckId), commanders, cards);
+      if (removedPartner) {
+        problems.push(
+          `${commanderPairProblem(commanders[0], removedPartner)} ${removedPartner.name} is no longer a commander.`
+        );
+      }
+      setReport({
+        added: cards.reduce((sum, item) => sum + item.quantity, 0) + commanders.length,
+        commanders: commanders.map((card) => card.name),
+        problems,
+      });
+    } catch {
+      setError('Import failed. Check your connection and try again.');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#0b0d10' }} edges={['top', 'left', 'right']}>
+      <ScrollView
+        contentContainerStyle={{ paddingHorizontal: 20, gap: 12, paddingBottom: 100 }}
+        keyboardShouldPersistTaps="handled"
+      >
+        <DeckHeader title="Import Decklist" subtitle="MTGO, Arena or Moxfield text" />
+        {error ? <Text style={{ color: '#ff8a8a' }}>{error}</Text> : null}
+        <TextInput
+          placeholder={PLACEHOLDER}
+          placeholderTextColor="#5b6472"
+          value={text}
+          onChangeText={setText}
+          multiline
+          autoCapitalize="none"
+          autoCorrect={false}
+          textAlignVertical="top"
+          style={{
+            backgroundColor: '#111722',
+            color: '#ffffff',
+            borderRadius: 10,
+            paddingHorizontal: 12,
+            paddingVertical: 10,
+            minHeight: 220,
+            fontSize: 13,
+          }}
+        />
+        <Text style={{ color: '#9aa4b2', fontSize: 12 }}>
+          Mark the commander, or both commanders of a pair, with a Commander section or *CMDR*. Sideboard and maybeboard
+          sections are skipped.
+        </Text>
+        <Pressable
+          onPress={runImport}
+          style={{
+            minHeight: 44,
+            paddingVertical: 8,
+            paddingHorizontal: 12,
+            borderRadius: 10,
+            borderWidth: 1,
+            borderColor: text.trim() ? 'rgba(255,255,255,0.4)' : 'rgba(255,255,255,0.15)',
+            alignSelf: 'flex-start',
+            opacity: text.trim() && !importing ? 1 : 0.6,
+            justifyContent: 'center',
+          }}
+          disabled={!text.trim() || importing}
+        >
+          <Text style={{ color: '#ffffff' }}>{importing ? 'Importing...' : 'Import'}</Text>
+        </Pressable>
+        {report ? (
+          <View style={{ gap: 6 }}>
+            <Text style={{ color: '#82d68b' }}>
+              {`Imported ${report.added} cards${
+                report.commanders.length
+                  ? `, ${report.commanders.length === 1 ? 'commander' : 'commanders'} ${report.commanders.join(' and ')}`
+                  : ''
+              }.`}
+            </Text>
+            {report.problems.map((problem) => (
+              <Text key={problem} style={{ color: '#ffb347', fontSize: 13 }}>
+                {problem}
+              </Text>
+            ))}
+            <Pressable
+              onPress={() => router.replace(`/(tabs)/decks/${String(deckId)}`)}
+              style={{
+                minHeight: 44,
+                paddingVertical: 8,
+                paddingHorizontal: 12,
+                borderRadius: 10,
+                borderWidth: 1,
+                borderColor: 'rgba(255,255,255,0.4)',
+                alignSelf: 'flex-start',
+                justifyContent: 'center',
+              }}
+            >
+              <Text style={{ color: '#ffffff' }}>Back to Deck</Text>
+            </Pressable>
+          </View>
+        ) : null}
+      </ScrollView>
+      <DeckBottomBar />
+    </SafeAreaView>
+  );
+}
@@ -6,13 +6,21 @@ import { Image } from 'expo-image';
 import { Feather } from '@expo/vector-icons';
 import DeckBottomBar from '../../../components/decks/DeckBottomBar';
 import { DeckIdentityDots } from '../../../components/decks/DeckCardRow';
-import { createDeck, initDb, listDecksWithCommanderMeta, renameDeck } from '../../../data/db';
+import {
+  createDeck,
+  initDb,
+  listAllDeckCards,
+  listDecksWithCommanderMeta,
+  renameDeck,
+} from '../../../data/db';
+import { deckCommanderIds, validateDeck } from '../../../data/deckValidation';
 
 export default function DecksScreen() {
-  const [decks, setDecks] = useState([]);
+  const [decks, setDecks] = useState<any[]>([]);
   const [loading, setLoading] = useState(true);
   const [renameTarget, setRenameTarget] = useState(null);
   const [renameValue, setRenameValue] = useState('');
+  const [problemCounts, setProblemCounts] = useState<Record<string, number>>({});
   const router = useRouter();
 
   const load = async () => {
@@ -20,6 +28,15 @@ export default function DecksScreen() {
     await initDb();
     const data = await listDecksWithCommanderMeta();
     setDecks(data);
+    const cardsByDeck: Record<string, any[]> = {};
+    (await listAllDeckCards()).forEach((card: any) => {
+      cardsByDeck[card.deck_id] = [...(cardsByDeck[card.deck_id] ?? []), card];
+    });
+    const counts: Record<string, number> = {};
+    data.forEach((deck: any) => {
+      counts[deck.id] = validateDeck(cardsByDeck[deck.id] ?? [], deckCommanderIds(deck)).length;
+    });
+    setProblemCounts(counts);
     setLoading(false);
   };
 
@@ -38,6 +55,10 @@ export default function DecksScreen() {
       commander_image_uri: null,
       commander_art_image_uri: null,
       commander_color_identity: null,
+      partner_name: null,
+      partner_image_uri: null,
+      partner_art_image_uri: null,
+      partner_color_identity: null,
     };
     setDecks((prev) => [optimistic, ...prev]);
     await createDeck('');
@@ -54,6 +75,15 @@ export default function DecksScreen() {
     }
   };
 
+  // A commander pair shares the colors of both cards.
+  const getDeckIdentity = (deck: any) => {
+    const colors = [
+      ...parseIdentity(deck?.commander_color_identity),
+      ...parseIdentity(deck?.partner_color_identity),
+    ];
+    return ['W', 'U', 'B', 'R', 'G'].filter((color) => colors.includes(color));
+  };
+
   const getDeckAutoName = (deck, index) => {
     const current = (deck?.name ?? '').trim();
     if (current) return current;
@@ -140,9 +170,27 @@ export default function DecksScreen() {
                         {getDeckAutoName(item, index)}
                       </Text>
                     </Pressable>
+                    {item.partner_name ? (
+                      <Text style={{ color: '#9aa4b2', fontSize: 12, marginTop: 4 }} numberOfLines={1}>
+                        {`${item.commander_name} + ${item.partner_name}`}
+                      </Text>
+                    ) : null}
                     <Text style={{ color: '#9aa4b2', fontSize: 12, marginTop: 4 }}>
                       Updated {new Date(item.updated_at).toLocaleString()}
                     </Text>
+                    {problemCounts[item.id] === undefined ? null : (
+                      <Text
+                        style={{
+                          color: problemCounts[item.id] ? '#ffb347' : '#82d68b',
+                          fontSize: 12,
+                          marginTop: 2,
+                        }}
+                      >
+                        {problemCounts[item.id]
+                          ? `${problemCounts[item.id]} legality ${problemCounts[item.id] === 1 ? 'problem' : 'problems'}`
+                          : 'Commander legal'}
+                      </Text>
+                    )}
                   </View>
                   <Pressable
                     onPress={(event) => {
@@ -189,7 +237,7 @@ export default function DecksScreen() {
                         <Text style={{ color: '#7f8794', fontSize: 10 }}>No commander</Text>
                       </View>
                     )}
-                    <DeckIdentityDots identity={parseIdentity(item.commander_color_identity)} />
+                    <DeckIdentityDots identity={getDeckIdentity(item)} />
                   </View>
                 </Pressable>
               )}
@@ -3,8 +3,16 @@ import { View, Text, Pressable, FlatList, TextInput } from 'react-native';
 import { useLocalSearchParams, useRouter } from 'expo-router';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Image } from 'expo-image';
-import { addCardToDeck, getCard, getDeck, setCommander, upsertCard } from '../../../data/db';
+import {
+  addCardToDeck,
+  getCard,
+  getDeck,
+  setCommander,
+  setPartner,
+  upsertCard,
+} from '../../../data/db';
 import { getCachedArtImageUri, getCachedImageUri, normalizeCard, searchCards } from '../../../data/scryfall';
+import { cardColorIdentity, commanderPairProblem, copyLimit } from '../../../data/deckValidation';
 import DeckHeader from '../../../components/decks/DeckHeader';
 import DeckBottomBar from '../../../components/decks/DeckBottomBar';
 import ManaSymbols, { parseManaCost } from '../../../components/decks/ManaSymbols';
@@ -14,12 +22,13 @@ export default function CardSearchScreen() {
   const { mode } = useLocalSearchParams();
   const router = useRouter();
   const [query, setQuery] = useState('');
-  const [results, setResults] = useState([]);
+  const [results, setResults] = useState<any[]>([]);
   const [searching, setSearching] = useState(false);
   const [error, setError] = useState('');
   const [feedback, setFeedback] = useState('');
-  const [deck, setDeck] = useState(null);
-  const [commander, setCommanderCard] = useState(null);
+  const [deck, setDeck] = useState<any>(null);
+  const [commander, setCommanderCard] = useState<any>(null);
+  const [partner, setPartnerCard] = useState<any>(null);
 
   React.useEffect(() => {
     const loadDeck = async () => {
@@ -32,6 +41,7 @@ export default function CardSearchScreen() {
       } else {
         setCommanderCard(null);
       }
+      setPartnerCard(data?.partner_card_id ? await getCard(data.partner_card_id) : null);
     };
     loadDeck();
   }, [deckId]);
@@ -49,18 +59,21 @@ export default function CardSearchScreen() {
     }
   };
 
-  const addCard = async (card) => {
+  const addCard = async (card: any) => {
     if (!deckId) return;
     setError('');
     setFeedback('');
     const isCommanderMode = mode === 'commander';
+    const isPartnerMode = mode === 'partner';
     const commanderLegal = card.legalities?.commander === 'legal';
-    const totalCards = deck?.cards?.reduce((sum, c) => sum + (c.quantity || 0), 0) ?? 0;
-    const deckHasCard = deck?.cards?.find((c) => c.card_id === card.id);
-    const isBasicLand = (card.type_line || '').includes('Basic Land');
-    const commanderColors = commander?.color_identity
-      ? JSON.parse(commander.color_identity)
-      : [];
+    const totalCards = deck?.cards?.reduce((sum: number, c: any) => sum + (c.quantity || 0), 0) ?? 0;
+    const copies =
+      deck?.cards
+        ?.filter((c: any) => c.name === card.name)
+        .reduce((sum: number, c: any) => sum + (c.quantity || 0), 0) ?? 0;
+    const limit = copyLimit(card);
+    // A pair of commanders shares the colors of both.
+    const commanderColors = [commander, partner].filter(Boolean).flatMap(cardColorIdentity);
     const cardColors = card.color_identity ?? [];
 
     if (isCommanderMode) {
@@ -68,6 +81,15 @@ export default function CardSearchScreen() {
         setError('This card is not legal as a Commander.');
         return;
       }
+      // The partner stays, so the new commander has to pair with it.
+      const pairProblem =
+        partner && partner.id !== card.id
+          ? commanderPairProblem(normalizeCard(card, null, null), partner)
+          : null;
+      if (pairProblem) {
+        setError(`${pairProblem} Remove the partner first.`);
+        return;
+      }
       const imageUri = await getCachedImageUri(card);
       const artImageUri = await getCachedArtImageUri(card);
       const normalized = normalizeCard(card, imageUri, artImageUri);
@@ -77,6 +99,29 @@ export default function CardSearchScreen() {
       return;
     }
 
+    if (isPartnerMode) {
+      if (!commander) {
+        setError('Set a Commander before adding a partner.');
+        return;
+      }
+      if (!commanderLegal) {
+        setError('This card is not legal as a Commander.');
+        return;
+      }
+      const pairProblem = commanderPairProblem(commander, normalizeCard(card, null, null));
+      if (pairProblem) {
+        setError(pairProblem);
+        return;
+      }
+      const imageUri = await getCachedImageUri(card);
+      const artImageUri = await getCachedArtImageUri(card);
+      const normalized = normalizeCard(card, imageUri, artImageUri);
+      await upsertCard(normalized);
+      await setPartner(String(deckId), normalized);
+      router.replace(`/(tabs)/decks/${String(deckId)}`);
+      return;
+    }
+
     if (!commander) {
       setError('Set a Commander before adding cards.');
       return;
@@ -89,11 +134,15 @@ export default function CardSearchScreen() {
       setError('Deck already has 100 cards.');
       return;
     }
-    if (deckHasCard && !isBasicLand) {
-      setError('Singleton rule: only one copy allowed.');
+    if (copies >= limit) {
+      setError(
+        limit === 1
+          ? 'Singleton rule: only one copy allowed.'
+          : `A deck can have at most ${limit} copies of this card.`
+      );
       return;
     }
-    const colorMismatch = cardColors.some((c) => !commanderColors.includes(c));
+    const colorMismatch = cardColors.some((c: string) => !commanderColors.includes(c));
     if (colorMismatch) {
       setError('Card color identity is outside Commander colors.');
       return;
@@ -104,12 +153,12 @@ export default function CardSearchScreen() {
     const normalized = normalizeCard(card, imageUri, artImageUri);
     await upsertCard(normalized);
     await addCardToDeck(String(deckId), normalized.id, 1);
-    setDeck((prev) => {
+    setDeck((prev: any) => {
       if (!prev) return prev;
-      const existing = prev.cards?.find((c) => c.card_id === normalized.id);
+      const existing = prev.cards?.find((c: any) => c.card_id === normalized.id);
       let nextCards = prev.cards ?? [];
       if (existing) {
-        nextCards = nextCards.map((c) =>
+        nextCards = nextCards.map((c: any) =>
           c.card_id === normalized.id ? { ...c, quantity: c.quantity + 1 } : c
         );
       } else {
@@ -132,7 +181,9 @@ export default function CardSearchScreen() {
     <SafeAreaView style={{ flex: 1, backgroundColor: '#0b0d10' }} edges={['top', 'left', 'right']}>
       <View style={{ flex: 1, paddingHorizontal: 20, gap: 12 }}>
         <DeckHeader
-          title={mode === 'commander' ? 'Set Commander' : 'Search Cards'}
+          title={
+            mode === 'commander' ? 'Set Commander' : mode === 'partner' ? 'Add Partner' : 'Search Cards'
+          }
           subtitle="Ricerca da Scryfall"
         />
         {error ? <Text style={{ color: '#ff8a8a' }}>{error}</Text> : null}
@@ -0,0 +1,129 @@
+import { useFocusEffect, useLocalSearchParams } from 'expo-router';
+import React, { useCallback, useState } from 'react';
+import { ScrollView, Text, View } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import DeckBottomBar from '../../../components/decks/DeckBottomBar';
+import DeckHeader from '../../../components/decks/DeckHeader';
+import { renderManaSymbol } from '../../../components/decks/ManaSymbols';
+import { getDeck } from '../../../data/db';
+import { CARD_TYPES, CURVE_MAX, buildDeckStats, colorBalance } from '../../../data/deckStats';
+
+const CURVE_HEIGHT = 120;
+
+const percent = (value: number) => `${Math.round(value * 100)}%`;
+
+function SectionTitle({ children }: { children: string }) {
+  return (
+    <Text style={{ color: '#ffffff', fontSize: 18, fontWeight: '700', marginTop: 12 }}>
+      {children}
+    </Text>
+  );
+}
+
+function Bar({ share, color }: { share: number; color: string }) {
+  return (
+    <View style={{ flex: 1, height: 8, borderRadius: 4, backgroundColor: 'rgba(255,255,255,0.08)' }}>
+      <View
+        style={{
+          width: `${Math.min(100, Math.round(share * 100))}%`,
+          height: 8,
+          borderRadius: 4,
+          backgroundColor: color,
+        }}
+      />
+    </View>
+  );
+}
+
+export default function DeckStatsScreen() {
+  const { deckId } = useLocalSearchParams();
+  const [deck, setDeck] = useState<any>(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!deckId) return;
+      getDeck(String(deckId)).then(setDeck);
+    }, [deckId])
+  );
+
+  const stats = buildDeckStats(deck?.cards ?? []);
+  const typeCounts = stats.types as Record<string, number>;
+  const balance = colorBalance(stats);
+  const curvePeak = Math.max(1, ...stats.curve);
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#0b0d10' }} edges={['top', 'left', 'right']}>
+      <ScrollView contentContainerStyle={{ paddingHorizontal: 20, gap: 8, paddingBottom: 100 }}>
+        <DeckHeader title="Statistics" subtitle={deck?.name || undefined} />
+        {!deck ? (
+          <Text style={{ color: '#b6c0cf' }}>Loading...</Text>
+        ) : (
+          <>
+            <Text style={{ color: '#9aa4b2' }}>
+              {`${stats.total} cards • ${stats.lands} lands • ${stats.nonlands} nonlands (${percent(
+                stats.total ? stats.lands / stats.total : 0
+              )} lands)`}
+            </Text>
+            <Text style={{ color: '#9aa4b2' }}>
+              {`Average mana value ${stats.averageNonlandManaValue.toFixed(2)} • with lands ${stats.averageManaValue.toFixed(2)}`}
+            </Text>
+
+            <SectionTitle>Mana Curve</SectionTitle>
+            <View style={{ flexDirection: 'row', alignItems: 'flex-end', gap: 6, height: CURVE_HEIGHT + 36 }}>
+              {stats.curve.map((count, cmc) => (
+                <View key={cmc} style={{ flex: 1, alignItems: 'center', gap: 4 }}>
+                  <Text style={{ color: '#9aa4b2', fontSize: 12 }}>{count}</Text>
+                  <View
+                    style={{
+                      width: '100%',
+                      height: Math.max(2, (count / curvePeak) * CURVE_HEIGHT),
+                      borderRadius: 6,
+                      backgroundColor: count ? '#3b82f6' : 'rgba(255,255,255,0.08)',
+                    }}
+                  />
+                  <Text style={{ color: '#ffffff', fontSize: 12 }}>
+                    {cmc === CURVE_MAX ? `${cmc}+` : `${cmc}`}
+                  </Text>
+                </View>
+              ))}
+            </View>
+
+            <SectionTitle>Card Types</SectionTitle>
+            {CARD_TYPES.filter((type) => typeCounts[type]).map((type) => (
+              <View key={type} style={{ flexDirection: 'row', alignItems: 'center', gap: 10 }}>
+                <Text style={{ color: '#ffffff', width: 100 }}>{type}</Text>
+                <Bar share={stats.total ? typeCounts[type] / stats.total : 0} color="#9aa4b2" />
+                <Text style={{ color: '#9aa4b2', width: 32, textAlign: 'right' }}>
+                  {typeCounts[type]}
+                </Text>
+              </View>
+            ))}
+
+            <SectionTitle>Colors: Pips vs Land Sources</SectionTitle>
+            {balance.length ? (
+              balance.map((row) => (
+                <View key={row.color} style={{ flexDirection: 'row', alignItems: 'center', gap: 10 }}>
+                  {renderManaSymbol(row.color, 20)}
+                  <View style={{ flex: 1, gap: 4 }}>
+                    <Bar share={row.demand} color="#ffb347" />
+                    <Bar share={row.supply} color="#82d68b" />
+                  </View>
+                  <Text style={{ color: '#9aa4b2', width: 110, textAlign: 'right', fontSize: 12 }}>
+                    {`${row.pips} pips ${percent(row.demand)}\n${row.sources} lands ${percent(row.supply)}`}
+                  </Text>
+                </View>
+              ))
+            ) : (
+              <Text style={{ color: '#9aa4b2' }}>No colored costs or land sources yet.</Text>
+            )}
+            <Text style={{ color: '#9aa4b2', fontSize: 12 }}>
+              Orange is each color&apos;s share of mana symbols in costs, green its share of land
+              sources.
+            </Text>
+          </>
+        )}
+      </ScrollView>
+      <DeckBottomBar />
+    </SafeAreaView>
+  );
+}
@@ -0,0 +1,180 @@
+import { useFocusEffect } from 'expo-router';
+import React, { useCallback, useState } from 'react';
+import { Alert, FlatList, Pressable, Text, View } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Feather } from '@expo/vector-icons';
+import DeckHeader from '../components/decks/DeckHeader';
+import { deleteMatch, initDb, listMatchesWithParticipants } from '../data/db';
+import { describeElimination } from '../data/elimination';
+
+function formatDuration(ms: number) {
+  const totalMinutes = Math.round((ms || 0) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function parseCommanderDamage(value: string | null) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function eliminationText(participant: any, participants: any[]) {
+  if (!participant.elimination_reason) return null;
+  const by = participants.find((p) => p.seat === participant.eliminated_by_seat);
+  return describeElimination(participant.elimination_reason, by?.name);
+}
+
+export default function MatchHistoryScreen() {
+  const [matches, setMatches] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+
+  const load = async () => {
+    setLoading(true);
+    await initDb();
+    const data = await listMatchesWithParticipants();
+    setMatches(data);
+    setLoading(false);
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      load();
+    }, [])
+  );
+
+  const confirmDelete = (match: any) => {
+    Alert.alert('Delete match', 'This game will be removed from the history.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          setMatches((prev) => prev.filter((m) => m.id !== match.id));
+          await deleteMatch(match.id);
+          await load();
+        },
+      },
+    ]);
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#0b0d10' }} edges={['top', 'left', 'right']}>
+      <View style={{ flex: 1, paddingHorizontal: 20 }}>
+        <DeckHeader
+          title="Match History"
+          subtitle={loading ? undefined : `${matches.length} games played`}
+        />
+        {loading ? (
+          <Text style={{ color: '#b6c0cf' }}>Loading...</Text>
+        ) : (
+          <FlatList
+            data={matches}
+            keyExtractor={(item) => item.id}
+            contentContainerStyle={{ paddingVertical: 8, gap: 10, paddingBottom: 60 }}
+            renderItem={({ item }) => {
+              const expanded = expandedId === item.id;
+              return (
+                <Pressable
+                  onPress={() => setExpandedId(expanded ? null : item.id)}
+                  style={{
+                    padding: 12,
+                    borderRadius: 14,
+                    borderWidth: 1,
+                    borderColor: 'rgba(255,255,255,0.1)',
+                    backgroundColor: 'rgba(255,255,255,0.03)',
+                    gap: 6,
+                  }}
+                >
+                  <View style={{ flexDirection: 'row', alignItems: 'center', gap: 12 }}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={{ color: '#ffffff', fontSize: 16 }} numberOfLines={1}>
+                        {item.winner_name ? `Winner: ${item.winner_name}` : 'No winner'}
+                      </Text>
+                      <Text style={{ color: '#9aa4b2', fontSize: 12, marginTop: 4 }}>
+                        {new Date(item.ended_at).toLocaleString()} • {item.player_count} players •{' '}
+                        {formatDuration(item.duration_ms)}
+                        {item.end_reason === 'restart' ? ' • Restarted' : ''}
+                      </Text>
+                    </View>
+                    <Pressable
+                      onPress={(event) => {
+                        event.stopPropagation();
+                        confirmDelete(item);
+                      }}
+                      style={{
+                        minWidth: 36,
+                        minHeight: 36,
+                        borderRadius: 10,
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                      }}
+                    >
+                      <Feather name="trash-2" size={16} color="#ff8a8a" />
+                    </Pressable>
+                  </View>
+                  <Text style={{ color: '#c9d3e2', fontSize: 13 }} numberOfLines={expanded ? undefined : 1}>
+                    {item.participants.map((p: any) => p.name).join(', ')}
+                  </Text>
+                  {expanded
+                    ? item.participants.map((p: any) => (
+                        <View
+                          key={`${item.id}-${p.seat}`}
+                          style={{
+                            marginTop: 4,
+                            paddingTop: 6,
+                            borderTopWidth: 1,
+                            borderTopColor: 'rgba(255,255,255,0.08)',
+                          }}
+                        >
+                          <Text
+                            style={{
+                              color: p.is_winner ? '#f7d774' : '#ffffff',
+                              fontSize: 14,
+                              fontWeight: '600',
+                            }}
+                          >
+                            {p.name}
+                            {p.elimination_order ? ` • out #${p.elimination_order}` : ''}
+                          </Text>
+                          {eliminationText(p, item.participants) ? (
+                            <Text style={{ color: '#ff8a8a', fontSize: 12, marginTop: 2 }}>
+                              {eliminationText(p, item.participants)}
+                            </Text>
+                          ) : null}
+                          <Text style={{ color: '#9aa4b2', fontSize: 12, marginTop: 2 }}>
+                            Life {p.final_life} • Poison {p.final_poison} • Tax {p.final_tax} •
+                            Energy {p.final_energy}
+                          </Text>
+                          {parseCommanderDamage(p.commander_damage)
+                            .filter((entry: any) => entry.damage > 0)
+                            .map((entry: any) => (
+                              <Text
+                                key={`${item.id}-${p.seat}-${entry.fromSeat}-${entry.commander}`}
+                                style={{ color: '#9aa4b2', fontSize: 12 }}
+                              >
+                                {entry.damage} commander damage from {entry.fromName ?? `Seat ${entry.fromSeat}`}
+                                {entry.commander && entry.commander !== 'Commander' ? ` (${entry.commander})` : ''}
+                              </Text>
+                            ))}
+                        </View>
+                      ))
+                    : null}
+                </Pressable>
+              );
+            }}
+            ListEmptyComponent={
+              <Text style={{ color: '#9aa4b2' }}>No finished games yet.</Text>
+            }
+          />
+        )}
+      </View>
+    </SafeAreaView>
+  );
+}
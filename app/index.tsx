@@ -45,6 +45,34 @@ export default function HomeSelectorScreen() {
           <Text style={{ color: '#ffffff', fontSize: 20, fontWeight: '600' }}>Life Counter</Text>
           <Text style={{ color: '#9aa4b2', marginTop: 6 }}>Commander match tracking</Text>
         </Pressable>
+        <Pressable
+          onPress={() => router.push('/history')}
+          style={{
+            borderRadius: 16,
+            paddingVertical: 18,
+            paddingHorizontal: 16,
+            borderWidth: 1,
+            borderColor: 'rgba(255,255,255,0.2)',
+            backgroundColor: 'rgba(255,255,255,0.04)',
+          }}
+        >
+          <Text style={{ color: '#ffffff', fontSize: 20, fontWeight: '600' }}>Match History</Text>
+          <Text style={{ color: '#9aa4b2', marginTop: 6 }}>Past games and results</Text>
+        </Pressable>
+        <Pressable
+          onPress={() => router.push('/profiles')}
+          style={{
+            borderRadius: 16,
+            paddingVertical: 18,
+            paddingHorizontal: 16,
+            borderWidth: 1,
+            borderColor: 'rgba(255,255,255,0.2)',
+            backgroundColor: 'rgba(255,255,255,0.04)',
+          }}
+        >
+          <Text style={{ color: '#ffffff', fontSize: 20, fontWeight: '600' }}>Player Profiles</Text>
+          <Text style={{ color: '#9aa4b2', marginTop: 6 }}>Players and their stats</Text>
+        </Pressable>
         <Pressable
           onPress={() => router.push('/(tabs)/decks')}
           style={{
@@ -0,0 +1,327 @@
+import { useFocusEffect } from 'expo-router';
+import React, { useCallback, useState } from 'react';
+import { Alert, FlatList, Modal, Pressable, ScrollView, Text, TextInput, View } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Feather } from '@expo/vector-icons';
+import DeckHeader from '../components/decks/DeckHeader';
+import {
+  createProfile,
+  deleteProfile,
+  getProfileStats,
+  initDb,
+  listDecksWithCommanderMeta,
+  listProfiles,
+  updateProfile,
+} from '../data/db';
+import { CARD_COLORS, PROFILE_NAME_LENGTH, winRate } from '../data/profiles';
+
+function StatLine({ label, value }: { label: string; value: string }) {
+  return (
+    <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: 4 }}>
+      <Text style={{ color: '#9aa4b2', fontSize: 13 }}>{label}</Text>
+      <Text style={{ color: '#ffffff', fontSize: 13 }}>{value}</Text>
+    </View>
+  );
+}
+
+function ProfileStats({ stats }: { stats: any }) {
+  if (!stats) {
+    return <Text style={{ color: '#9aa4b2', fontSize: 13, marginTop: 6 }}>Loading...</Text>;
+  }
+  if (!stats.games) {
+    return <Text style={{ color: '#9aa4b2', fontSize: 13, marginTop: 6 }}>No finished games yet.</Text>;
+  }
+  return (
+    <View style={{ marginTop: 6 }}>
+      <StatLine label="Games played" value={`${stats.games}`} />
+      <StatLine label="Wins" value={`${stats.wins} (${winRate(stats.wins, stats.games)}%)`} />
+      <StatLine
+        label="Average elimination turn"
+        value={stats.avgEliminationTurn ? stats.avgEliminationTurn.toFixed(1) : '-'}
+      />
+      <Text style={{ color: '#c9d3e2', fontSize: 13, marginTop: 10 }}>Win rate by seat</Text>
+      {stats.bySeat.map((row: any) => (
+        <StatLine
+          key={`seat-${row.seat}`}
+          label={`Seat ${row.seat}`}
+          value={`${winRate(row.wins, row.games)}% of ${row.games}`}
+        />
+      ))}
+      <Text style={{ color: '#c9d3e2', fontSize: 13, marginTop: 10 }}>Win rate by player count</Text>
+      {stats.byPlayerCount.map((row: any) => (
+        <StatLine
+          key={`count-${row.player_count}`}
+          label={`${row.player_count} players`}
+          value={`${winRate(row.wins, row.games)}% of ${row.games}`}
+        />
+      ))}
+      {stats.commanders.length ? (
+        <>
+          <Text style={{ color: '#c9d3e2', fontSize: 13, marginTop: 10 }}>Most played commanders</Text>
+          {stats.commanders.map((row: any) => (
+            <StatLine
+              key={row.commander_name}
+              label={row.commander_name}
+              value={`${row.games} games, ${row.wins} wins`}
+            />
+          ))}
+        </>
+      ) : null}
+    </View>
+  );
+}
+
+export default function ProfilesScreen() {
+  const [profiles, setProfiles] = useState<any[]>([]);
+  const [decks, setDecks] = useState<any[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [stats, setStats] = useState<any>(null);
+  const [editing, setEditing] = useState<any>(null);
+
+  const load = async () => {
+    setLoading(true);
+    await initDb();
+    const [profileRows, deckRows] = await Promise.all([listProfiles(), listDecksWithCommanderMeta()]);
+    setProfiles(profileRows);
+    setDecks(deckRows);
+    setLoading(false);
+  };
+
+  useFocusEffect(
+    useCallback(() => {
+      load();
+    }, [])
+  );
+
+  const toggleExpanded = async (profileId: string) => {
+    if (expandedId === profileId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(profileId);
+    setStats(null);
+    setStats(await getProfileStats(profileId));
+  };
+
+  const saveEditing = async () => {
+    if (!editing) return;
+    const name = editing.name.trim();
+    if (!name) return;
+    const fields = { name, color: editing.color, favoriteDeckIds: editing.favoriteDeckIds };
+    if (editing.id) {
+      await updateProfile(editing.id, fields);
+    } else {
+      await createProfile(fields);
+    }
+    setEditing(null);
+    await load();
+  };
+
+  const confirmDelete = (profile: any) => {
+    Alert.alert('Delete profile', `${profile.name} will be removed. Past games stay in the history.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          setProfiles((prev) => prev.filter((p) => p.id !== profile.id));
+          await deleteProfile(profile.id);
+          await load();
+        },
+      },
+    ]);
+  };
+
+  const toggleFavorite = (deckId: string) => {
+    setEditing((prev: any) => ({
+      ...prev,
+      favoriteDeckIds: prev.favoriteDeckIds.includes(deckId)
+        ? prev.favoriteDeckIds.filter((id: string) => id !== deckId)
+        : [...prev.favoriteDeckIds, deckId],
+    }));
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#0b0d10' }} edges={['top', 'left', 'right']}>
+      <View style={{ flex: 1, paddingHorizontal: 20 }}>
+        <DeckHeader
+          title="Player Profiles"
+          subtitle={loading ? undefined : `${profiles.length} players`}
+        />
+        <Pressable
+          onPress={() => setEditing({ id: null, name: '', color: CARD_COLORS[0], favoriteDeckIds: [] })}
+          style={{
+            minHeight: 44,
+            paddingVertical: 10,
+            paddingHorizontal: 16,
+            borderRadius: 12,
+            borderWidth: 1,
+            borderColor: 'rgba(255,255,255,0.6)',
+            alignSelf: 'flex-start',
+            justifyContent: 'center',
+          }}
+        >
+          <Text style={{ color: '#ffffff', fontSize: 16 }}>New Profile</Text>
+        </Pressable>
+        {loading ? (
+          <Text style={{ color: '#b6c0cf', marginTop: 16 }}>Loading...</Text>
+        ) : (
+          <FlatList
+            data={profiles}
+            keyExtractor={(item) => item.id}
+            contentContainerStyle={{ paddingVertical: 16, gap: 10, paddingBottom: 60 }}
+            renderItem={({ item }) => {
+              const expanded = expandedId === item.id;
+              return (
+                <Pressable
+                  onPress={() => toggleExpanded(item.id)}
+                  style={{
+                    padding: 12,
+                    borderRadius: 14,
+                    borderWidth: 1,
+                    borderColor: 'rgba(255,255,255,0.1)',
+                    backgroundColor: 'rgba(255,255,255,0.03)',
+                  }}
+                >
+                  <View style={{ flexDirection: 'row', alignItems: 'center', gap: 12 }}>
+                    <View
+                      style={{
+                        width: 18,
+                        height: 18,
+                        borderRadius: 9,
+                        backgroundColor: item.color || '#1b2230',
+                      }}
+                    />
+                    <View style={{ flex: 1 }}>
+                      <Text style={{ color: '#ffffff', fontSize: 16 }} numberOfLines={1}>
+                        {item.name}
+                      </Text>
+                      {item.favoriteDeckIds.length ? (
+                        <Text style={{ color: '#9aa4b2', fontSize: 12, marginTop: 2 }} numberOfLines={1}>
+                          {decks
+                            .filter((deck) => item.favoriteDeckIds.includes(deck.id))
+                            .map((deck) => deck.name || deck.commander_name || 'Untitled deck')
+                            .join(', ')}
+                        </Text>
+                      ) : null}
+                    </View>
+                    <Pressable
+                      onPress={(event) => {
+                        event.stopPropagation();
+                        setEditing({ ...item });
+                      }}
+                      style={{ minWidth: 36, minHeight: 36, alignItems: 'center', justifyContent: 'center' }}
+                    >
+                      <Feather name="edit-2" size={16} color="#ffffff" />
+                    </Pressable>
+                    <Pressable
+                      onPress={(event) => {
+                        event.stopPropagation();
+                        confirmDelete(item);
+                      }}
+                      style={{ minWidth: 36, minHeight: 36, alignItems: 'center', justifyContent: 'center' }}
+                    >
+                      <Feather name="trash-2" size={16} color="#ff8a8a" />
+                    </Pressable>
+                  </View>
+                  {expanded ? <ProfileStats stats={stats} /> : null}
+                </Pressable>
+              );
+            }}
+            ListEmptyComponent={
+              <Text style={{ color: '#9aa4b2' }}>No profiles yet. Create one to track your games.</Text>
+            }
+          />
+        )}
+      </View>
+      <Modal visible={!!editing} transparent animationType="fade" onRequestClose={() => setEditing(null)}>
+        <View style={{ flex: 1, backgroundColor: 'rgba(0,0,0,0.65)', justifyContent: 'center', padding: 20 }}>
+          <View
+            style={{
+              maxHeight: '85%',
+              borderRadius: 16,
+              padding: 16,
+              gap: 12,
+              backgroundColor: '#121722',
+              borderWidth: 1,
+              borderColor: 'rgba(255,255,255,0.1)',
+            }}
+          >
+            <Text style={{ color: '#ffffff', fontSize: 18 }}>
+              {editing?.id ? 'Edit Profile' : 'New Profile'}
+            </Text>
+            <TextInput
+              value={editing?.name ?? ''}
+              onChangeText={(name) => setEditing((prev: any) => ({ ...prev, name }))}
+              placeholder="Player name"
+              placeholderTextColor="#6b7687"
+              maxLength={PROFILE_NAME_LENGTH}
+              style={{
+                color: '#ffffff',
+                fontSize: 16,
+                paddingVertical: 8,
+                paddingHorizontal: 12,
+                borderRadius: 10,
+                backgroundColor: '#1b2230',
+              }}
+            />
+            <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 8 }}>
+              {CARD_COLORS.map((color) => (
+                <Pressable
+                  key={color}
+                  onPress={() => setEditing((prev: any) => ({ ...prev, color }))}
+                  style={{
+                    width: 32,
+                    height: 32,
+                    borderRadius: 16,
+                    backgroundColor: color,
+                    borderWidth: editing?.color === color ? 3 : 1,
+                    borderColor: editing?.color === color ? '#ffffff' : 'rgba(255,255,255,0.3)',
+                  }}
+                />
+              ))}
+            </View>
+            <Text style={{ color: '#9aa4b2', fontSize: 13 }}>Favorite decks</Text>
+            <ScrollView style={{ maxHeight: 220 }} contentContainerStyle={{ gap: 6 }}>
+              {decks.length ? (
+                decks.map((deck) => {
+                  const selected = editing?.favoriteDeckIds.includes(deck.id);
+                  return (
+                    <Pressable
+                      key={deck.id}
+                      onPress={() => toggleFavorite(deck.id)}
+                      style={{
+                        flexDirection: 'row',
+                        alignItems: 'center',
+                        gap: 8,
+                        padding: 10,
+                        borderRadius: 10,
+                        backgroundColor: selected ? '#2b3a4f' : '#1b2230',
+                      }}
+                    >
+                      <Feather name={selected ? 'star' : 'circle'} size={14} color={selected ? '#f7d774' : '#6b7687'} />
+                      <Text style={{ color: '#ffffff', fontSize: 14, flex: 1 }} numberOfLines={1}>
+                        {deck.name || deck.commander_name || 'Untitled deck'}
+                      </Text>
+                    </Pressable>
+                  );
+                })
+              ) : (
+                <Text style={{ color: '#6b7687', fontSize: 13 }}>No saved decks yet.</Text>
+              )}
+            </ScrollView>
+            <View style={{ flexDirection: 'row', justifyContent: 'flex-end', gap: 12 }}>
+              <Pressable onPress={() => setEditing(null)} style={{ padding: 10 }}>
+                <Text style={{ color: '#9aa4b2', fontSize: 15 }}>Cancel</Text>
+              </Pressable>
+              <Pressable onPress={saveEditing} style={{ padding: 10 }}>
+                <Text style={{ color: '#ffffff', fontSize: 15 }}>Save</Text>
+              </Pressable>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+}
@@ -0,0 +1,125 @@
+import React from "react";
+import { Modal, Pressable, ScrollView } from "react-native";
+import styled from "styled-components/native";
+import { currentScheme, isOngoing, nextScheme } from "../data/variants";
+import VariantCard from "./VariantCard";
+
+export default function ArchenemyModal({ visible, archenemy, archenemyName, onSetInMotion, onAbandon, onClose }) {
+  if (!archenemy) return null;
+  const scheme = currentScheme(archenemy);
+  const ongoing = archenemy.ongoing
+    .map((id) => archenemy.deck.find((card) => card.id === id))
+    .filter((card) => card && card.id !== scheme?.id);
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <ScrollView contentContainerStyle={{ gap: 12 }} showsVerticalScrollIndicator={false}>
+            <SheetTitle>{archenemyName ? `${archenemyName}'s Schemes` : "Schemes"}</SheetTitle>
+            {scheme ? (
+              <VariantCard card={scheme} upcoming={nextScheme(archenemy)} />
+            ) : (
+              <HintText>
+                Set a scheme in motion at the start of the archenemy&apos;s first main phase.
+              </HintText>
+            )}
+            {scheme && isOngoing(scheme) && archenemy.ongoing.includes(scheme.id) ? (
+              <ActionButton onPress={() => onAbandon(scheme.id)}>
+                <ActionText>Abandon This Scheme</ActionText>
+              </ActionButton>
+            ) : null}
+            <ActionButton onPress={onSetInMotion}>
+              <ActionText>Set Next Scheme in Motion</ActionText>
+            </ActionButton>
+            {ongoing.length ? <SectionTitle>Ongoing</SectionTitle> : null}
+            {ongoing.map((card) => (
+              <OngoingRow key={card.id}>
+                <OngoingInfo>
+                  <ActionText numberOfLines={1}>{card.name}</ActionText>
+                  <HintText numberOfLines={3}>{card.oracleText}</HintText>
+                </OngoingInfo>
+                <Pressable onPress={() => onAbandon(card.id)}>
+                  <HintText>Abandon</HintText>
+                </Pressable>
+              </OngoingRow>
+            ))}
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 90%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const SectionTitle = styled.Text`
+  color: #9ca8bb;
+  font-size: 13px;
+  letter-spacing: 1px;
+  text-transform: uppercase;
+  margin-top: 4px;
+`;
+
+const ActionButton = styled(Pressable)`
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const OngoingRow = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 12px;
+  padding: 10px 12px;
+  border-radius: 12px;
+  background-color: #1b2230;
+`;
+
+const OngoingInfo = styled.View`
+  flex: 1;
+  gap: 2px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
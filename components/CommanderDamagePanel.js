@@ -1,18 +1,30 @@
-import React, { useRef } from "react";
+import React, { useRef, useState } from "react";
 import { Pressable } from "react-native";
+import { FontAwesome5 } from "@expo/vector-icons";
 import styled from "styled-components/native";
+import CounterEditor from "./CounterEditor";
+import { MAX_COMMANDERS, commanderLabel } from "../data/commanders";
+import { MAX_CUSTOM_COUNTERS } from "../data/counters";
 
 export default function CommanderDamagePanel({
   opponents,
+  format,
   commanderDamage,
   onAdjust,
+  commanderCount,
+  onSetCommanderCount,
   poison,
   energy,
   onAdjustPoison,
   onAdjustEnergy,
+  counters,
+  onAddCounter,
+  onRemoveCounter,
+  onAdjustCounter,
   baseSize,
   cardColor,
 }) {
+  const [addingCounter, setAddingCounter] = useState(false);
   const repeatRef = useRef({ timeout: null, interval: null });
   const longPressRef = useRef(false);
   const startRepeat = (fn) => {
@@ -47,119 +59,213 @@ export default function CommanderDamagePanel({
   const labelFont = Math.max(9, Math.round(base * 0.07 * density));
   const valueFont = Math.max(12, Math.round(base * 0.09 * density));
 
+  const tracksCommanders = !!format.commanderDamageLimit || format.counters.tax;
+
   return (
     <Panel>
-      <SubSection>
-        <SubLabel style={{ fontSize: labelFont }}>Poison</SubLabel>
-        <SubControls>
-          <MiniStrip
-            onPress={() => handlePress(() => onAdjustPoison(-1))}
-            onPressIn={() => { longPressRef.current = false; }}
-            onLongPress={() => {
-              longPressRef.current = true;
-              onAdjustPoison(-5);
-              startRepeat(() => onAdjustPoison(-5));
-            }}
-            onPressOut={stopRepeat}
-            onPressCancel={stopRepeat}
-          >
-            <MiniText style={{ fontSize: miniFont }}>-</MiniText>
-          </MiniStrip>
-          <RowValue style={{ fontSize: valueFont }}>{poison}</RowValue>
-          <MiniStrip
-            onPress={() => handlePress(() => onAdjustPoison(1))}
-            onPressIn={() => { longPressRef.current = false; }}
-            onLongPress={() => {
-              longPressRef.current = true;
-              onAdjustPoison(5);
-              startRepeat(() => onAdjustPoison(5));
-            }}
-            onPressOut={stopRepeat}
-            onPressCancel={stopRepeat}
-          >
-            <MiniText style={{ fontSize: miniFont }}>+</MiniText>
-          </MiniStrip>
-        </SubControls>
-      </SubSection>
+      {tracksCommanders ? (
+        <SubSection>
+          <SubLabel style={{ fontSize: labelFont }}>Commanders</SubLabel>
+          <SubControls>
+            {Array.from({ length: MAX_COMMANDERS }, (_, i) => i + 1).map((count) => (
+              <CountChip
+                key={count}
+                onPress={() => onSetCommanderCount(count)}
+                $active={count === commanderCount}
+              >
+                <MiniText style={{ fontSize: miniFont }}>
+                  {count === 1 ? "Single" : "Partners"}
+                </MiniText>
+              </CountChip>
+            ))}
+          </SubControls>
+        </SubSection>
+      ) : null}
 
-      <SubSection>
-        <SubLabel style={{ fontSize: labelFont }}>Energy</SubLabel>
-        <SubControls>
-          <MiniStrip
-            onPress={() => handlePress(() => onAdjustEnergy(-1))}
-            onPressIn={() => { longPressRef.current = false; }}
-            onLongPress={() => {
-              longPressRef.current = true;
-              onAdjustEnergy(-5);
-              startRepeat(() => onAdjustEnergy(-5));
-            }}
-            onPressOut={stopRepeat}
-            onPressCancel={stopRepeat}
-          >
-            <MiniText style={{ fontSize: miniFont }}>-</MiniText>
-          </MiniStrip>
-          <RowValue style={{ fontSize: valueFont }}>{energy}</RowValue>
-          <MiniStrip
-            onPress={() => handlePress(() => onAdjustEnergy(1))}
-            onPressIn={() => { longPressRef.current = false; }}
-            onLongPress={() => {
-              longPressRef.current = true;
-              onAdjustEnergy(5);
-              startRepeat(() => onAdjustEnergy(5));
-            }}
-            onPressOut={stopRepeat}
-            onPressCancel={stopRepeat}
-          >
-            <MiniText style={{ fontSize: miniFont }}>+</MiniText>
-          </MiniStrip>
-        </SubControls>
-      </SubSection>
-
-      <Divider />
-
-      {opponents.map((opponent) => (
-        <Row key={opponent.id}>
-          <OpponentName
-            style={{
-              fontSize: labelFont,
-              color: opponent.cardColor || "#ffffff",
-            }}
-          >
-            {opponent.name}
-          </OpponentName>
-          <RowControls>
+      {format.counters.poison ? (
+        <SubSection>
+          <SubLabel style={{ fontSize: labelFont }}>Poison</SubLabel>
+          <SubControls>
+            <MiniStrip
+              onPress={() => handlePress(() => onAdjustPoison(-1))}
+              onPressIn={() => { longPressRef.current = false; }}
+              onLongPress={() => {
+                longPressRef.current = true;
+                onAdjustPoison(-5);
+                startRepeat(() => onAdjustPoison(-5));
+              }}
+              onPressOut={stopRepeat}
+              onPressCancel={stopRepeat}
+            >
+              <MiniText style={{ fontSize: miniFont }}>-</MiniText>
+            </MiniStrip>
+            <RowValue style={{ fontSize: valueFont }}>{poison}</RowValue>
+            <MiniStrip
+              onPress={() => handlePress(() => onAdjustPoison(1))}
+              onPressIn={() => { longPressRef.current = false; }}
+              onLongPress={() => {
+                longPressRef.current = true;
+                onAdjustPoison(5);
+                startRepeat(() => onAdjustPoison(5));
+              }}
+              onPressOut={stopRepeat}
+              onPressCancel={stopRepeat}
+            >
+              <MiniText style={{ fontSize: miniFont }}>+</MiniText>
+            </MiniStrip>
+          </SubControls>
+        </SubSection>
+      ) : null}
+
+      {format.counters.energy ? (
+        <SubSection>
+          <SubLabel style={{ fontSize: labelFont }}>Energy</SubLabel>
+          <SubControls>
             <MiniStrip
-              onPress={() => handlePress(() => onAdjust(opponent.id, -1))}
+              onPress={() => handlePress(() => onAdjustEnergy(-1))}
               onPressIn={() => { longPressRef.current = false; }}
               onLongPress={() => {
                 longPressRef.current = true;
-                onAdjust(opponent.id, -5);
-                startRepeat(() => onAdjust(opponent.id, -5));
+                onAdjustEnergy(-5);
+                startRepeat(() => onAdjustEnergy(-5));
               }}
               onPressOut={stopRepeat}
               onPressCancel={stopRepeat}
             >
               <MiniText style={{ fontSize: miniFont }}>-</MiniText>
             </MiniStrip>
-            <RowValue style={{ fontSize: valueFont }}>
-              {commanderDamage[opponent.id] || 0}
-            </RowValue>
+            <RowValue style={{ fontSize: valueFont }}>{energy}</RowValue>
             <MiniStrip
-              onPress={() => handlePress(() => onAdjust(opponent.id, 1))}
+              onPress={() => handlePress(() => onAdjustEnergy(1))}
               onPressIn={() => { longPressRef.current = false; }}
               onLongPress={() => {
                 longPressRef.current = true;
-                onAdjust(opponent.id, 5);
-                startRepeat(() => onAdjust(opponent.id, 5));
+                onAdjustEnergy(5);
+                startRepeat(() => onAdjustEnergy(5));
               }}
               onPressOut={stopRepeat}
               onPressCancel={stopRepeat}
             >
               <MiniText style={{ fontSize: miniFont }}>+</MiniText>
             </MiniStrip>
-          </RowControls>
-        </Row>
+          </SubControls>
+        </SubSection>
+      ) : null}
+
+      {counters.map((counter) => (
+        <SubSection key={counter.id}>
+          <CounterLabel onLongPress={() => onRemoveCounter(counter.id)} delayLongPress={600}>
+            {counter.icon ? (
+              <FontAwesome5 name={counter.icon} size={labelFont} color="#ffffff" />
+            ) : null}
+            <SubLabel style={{ fontSize: labelFont }} numberOfLines={1}>
+              {counter.losesAt !== null ? `${counter.name} (${counter.losesAt})` : counter.name}
+            </SubLabel>
+          </CounterLabel>
+          <SubControls>
+            <MiniStrip
+              onPress={() => handlePress(() => onAdjustCounter(counter.id, -1))}
+              onPressIn={() => { longPressRef.current = false; }}
+              onLongPress={() => {
+                longPressRef.current = true;
+                onAdjustCounter(counter.id, -5);
+                startRepeat(() => onAdjustCounter(counter.id, -5));
+              }}
+              onPressOut={stopRepeat}
+              onPressCancel={stopRepeat}
+            >
+              <MiniText style={{ fontSize: miniFont }}>-</MiniText>
+            </MiniStrip>
+            <RowValue style={{ fontSize: valueFont }}>{counter.value}</RowValue>
+            <MiniStrip
+              onPress={() => handlePress(() => onAdjustCounter(counter.id, 1))}
+              onPressIn={() => { longPressRef.current = false; }}
+              onLongPress={() => {
+                longPressRef.current = true;
+                onAdjustCounter(counter.id, 5);
+                startRepeat(() => onAdjustCounter(counter.id, 5));
+              }}
+              onPressOut={stopRepeat}
+              onPressCancel={stopRepeat}
+            >
+              <MiniText style={{ fontSize: miniFont }}>+</MiniText>
+            </MiniStrip>
+          </SubControls>
+        </SubSection>
       ))}
+
+      {addingCounter ? (
+        <CounterEditor
+          fontSize={miniFont}
+          onCancel={() => setAddingCounter(false)}
+          onSave={(counter) => {
+            onAddCounter(counter);
+            setAddingCounter(false);
+          }}
+        />
+      ) : counters.length < MAX_CUSTOM_COUNTERS ? (
+        <SubControls>
+          <CountChip onPress={() => setAddingCounter(true)} $active={false}>
+            <MiniText style={{ fontSize: miniFont }}>+ Counter</MiniText>
+          </CountChip>
+        </SubControls>
+      ) : null}
+      {counters.length ? (
+        <HintText style={{ fontSize: labelFont }}>Long-press a counter name to remove it</HintText>
+      ) : null}
+
+      {format.commanderDamageLimit ? <Divider /> : null}
+
+      {format.commanderDamageLimit ? opponents.flatMap((opponent) =>
+        opponent.commanders.map((_, index) => (
+          <Row key={`${opponent.id}-${index}`}>
+            <OpponentName
+              style={{
+                fontSize: labelFont,
+                color: opponent.cardColor || "#ffffff",
+              }}
+              numberOfLines={1}
+            >
+              {opponent.commanders[index]?.name?.trim()
+                ? commanderLabel(opponent, index)
+                : opponent.commanders.length > 1
+                  ? `${opponent.name} · ${commanderLabel(opponent, index)}`
+                  : opponent.name}
+            </OpponentName>
+            <RowControls>
+              <MiniStrip
+                onPress={() => handlePress(() => onAdjust(opponent.id, index, -1))}
+                onPressIn={() => { longPressRef.current = false; }}
+                onLongPress={() => {
+                  longPressRef.current = true;
+                  onAdjust(opponent.id, index, -5);
+                  startRepeat(() => onAdjust(opponent.id, index, -5));
+                }}
+                onPressOut={stopRepeat}
+                onPressCancel={stopRepeat}
+              >
+                <MiniText style={{ fontSize: miniFont }}>-</MiniText>
+              </MiniStrip>
+              <RowValue style={{ fontSize: valueFont }}>
+                {commanderDamage[opponent.id]?.[index] || 0}
+              </RowValue>
+              <MiniStrip
+                onPress={() => handlePress(() => onAdjust(opponent.id, index, 1))}
+                onPressIn={() => { longPressRef.current = false; }}
+                onLongPress={() => {
+                  longPressRef.current = true;
+                  onAdjust(opponent.id, index, 5);
+                  startRepeat(() => onAdjust(opponent.id, index, 5));
+                }}
+                onPressOut={stopRepeat}
+                onPressCancel={stopRepeat}
+              >
+                <MiniText style={{ fontSize: miniFont }}>+</MiniText>
+              </MiniStrip>
+            </RowControls>
+          </Row>
+        ))
+      ) : null}
     </Panel>
   );
 }
@@ -186,6 +292,17 @@ const SubLabel = styled.Text`
   text-transform: uppercase;
 `;
 
+const CounterLabel = styled(Pressable)`
+  flex-direction: row;
+  align-items: center;
+  gap: 4px;
+  flex-shrink: 1;
+`;
+
+const HintText = styled.Text`
+  color: rgba(255, 255, 255, 0.6);
+`;
+
 const SubControls = styled.View`
   flex-direction: row;
   align-items: center;
@@ -214,10 +331,18 @@ const Row = styled.View`
 `;
 
 const OpponentName = styled.Text`
+  flex-shrink: 1;
   color: #ffffff;
   font-size: 12px;
 `;
 
+const CountChip = styled(Pressable)`
+  padding: 4px 8px;
+  border-radius: 10px;
+  background-color: ${(props) => (props.$active ? "rgba(255, 255, 255, 0.25)" : "transparent")};
+  border: 1px solid rgba(255, 255, 255, 0.7);
+`;
+
 const RowControls = styled.View`
   flex-direction: row;
   align-items: center;
@@ -0,0 +1,134 @@
+import React, { useState } from "react";
+import { Pressable, TextInput } from "react-native";
+import { FontAwesome5 } from "@expo/vector-icons";
+import styled from "styled-components/native";
+import { COUNTER_ICONS, COUNTER_PRESETS } from "../data/counters";
+
+function toNumber(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  const number = Number(trimmed);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default function CounterEditor({ onSave, onCancel, fontSize }) {
+  const [name, setName] = useState("");
+  const [icon, setIcon] = useState(null);
+  const [min, setMin] = useState("0");
+  const [max, setMax] = useState("");
+  const [losesAt, setLosesAt] = useState("");
+
+  const bounds = [
+    ["Min", min, setMin],
+    ["Max", max, setMax],
+    ["Loses at", losesAt, setLosesAt],
+  ];
+
+  return (
+    <Editor>
+      <ChipRow>
+        {COUNTER_PRESETS.map((preset) => (
+          <Chip key={preset.name} onPress={() => onSave(preset)}>
+            <FontAwesome5 name={preset.icon} size={fontSize} color="#ffffff" />
+            <ChipText style={{ fontSize }}>{preset.name}</ChipText>
+          </Chip>
+        ))}
+      </ChipRow>
+      <Field
+        value={name}
+        onChangeText={setName}
+        placeholder="Counter name"
+        placeholderTextColor="rgba(255, 255, 255, 0.5)"
+        maxLength={18}
+        style={{ fontSize }}
+      />
+      <ChipRow>
+        {COUNTER_ICONS.map((option) => (
+          <Chip
+            key={option}
+            onPress={() => setIcon(icon === option ? null : option)}
+            $active={icon === option}
+          >
+            <FontAwesome5 name={option} size={fontSize} color="#ffffff" />
+          </Chip>
+        ))}
+      </ChipRow>
+      <ChipRow>
+        {bounds.map(([label, value, setValue]) => (
+          <Bound key={label}>
+            <ChipText style={{ fontSize }}>{label}</ChipText>
+            <Field
+              value={value}
+              onChangeText={setValue}
+              keyboardType="numbers-and-punctuation"
+              placeholder="-"
+              placeholderTextColor="rgba(255, 255, 255, 0.5)"
+              maxLength={4}
+              style={{ fontSize, minWidth: 36, textAlign: "center" }}
+            />
+          </Bound>
+        ))}
+      </ChipRow>
+      <ChipRow>
+        <Chip onPress={onCancel}>
+          <ChipText style={{ fontSize }}>Cancel</ChipText>
+        </Chip>
+        <Chip
+          onPress={() => {
+            if (!name.trim()) return;
+            onSave({
+              name: name.trim(),
+              icon,
+              min: toNumber(min),
+              max: toNumber(max),
+              losesAt: toNumber(losesAt),
+            });
+          }}
+          $active={!!name.trim()}
+        >
+          <ChipText style={{ fontSize }}>Add</ChipText>
+        </Chip>
+      </ChipRow>
+    </Editor>
+  );
+}
+
+const Editor = styled.View`
+  gap: 6px;
+  padding: 6px;
+  border-radius: 10px;
+  border: 1px solid rgba(255, 255, 255, 0.4);
+`;
+
+const ChipRow = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  gap: 4px;
+`;
+
+const Chip = styled(Pressable)`
+  flex-direction: row;
+  align-items: center;
+  gap: 4px;
+  padding: 4px 8px;
+  border-radius: 10px;
+  background-color: ${(props) => (props.$active ? "rgba(255, 255, 255, 0.25)" : "transparent")};
+  border: 1px solid rgba(255, 255, 255, 0.7);
+`;
+
+const ChipText = styled.Text`
+  color: #f3f5f7;
+`;
+
+const Bound = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 4px;
+`;
+
+const Field = styled(TextInput)`
+  color: #f3f5f7;
+  padding: 2px 6px;
+  border-radius: 8px;
+  background-color: rgba(0, 0, 0, 0.25);
+`;
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from "react";
+import { FlatList, Modal, Pressable } from "react-native";
+import { Image } from "expo-image";
+import { Feather } from "@expo/vector-icons";
+import styled from "styled-components/native";
+import ManaSymbols from "./decks/ManaSymbols";
+import { initDb, listDecksWithCommanderMeta } from "../data/db";
+import { deckCommanderLabel, deckFromRow } from "../data/seatDecks";
+
+export default function DeckPicker({ visible, title, selectedId, favoriteIds, onSelect, onClose }) {
+  const [decks, setDecks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const favorites = favoriteIds ?? [];
+  const sortedDecks = [
+    ...decks.filter((deck) => favorites.includes(deck.id)),
+    ...decks.filter((deck) => !favorites.includes(deck.id)),
+  ];
+
+  useEffect(() => {
+    if (!visible) return undefined;
+    let mounted = true;
+    setLoading(true);
+    initDb()
+      .then(() => listDecksWithCommanderMeta())
+      .then((rows) => {
+        if (!mounted) return;
+        setDecks(rows.map(deckFromRow).filter(Boolean));
+        setLoading(false);
+      })
+      .catch(() => {
+        if (mounted) setLoading(false);
+      });
+    return () => {
+      mounted = false;
+    };
+  }, [visible]);
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <SheetTitle>{title || "Choose a deck"}</SheetTitle>
+          {loading ? (
+            <HintText>Loading...</HintText>
+          ) : (
+            <FlatList
+              data={sortedDecks}
+              keyExtractor={(item) => item.id}
+              contentContainerStyle={{ gap: 8 }}
+              ListHeaderComponent={
+                <DeckRow onPress={() => onSelect(null)} $active={!selectedId}>
+                  <DeckName>No deck</DeckName>
+                </DeckRow>
+              }
+              ListHeaderComponentStyle={{ marginBottom: 8 }}
+              ListEmptyComponent={<HintText>No saved decks yet.</HintText>}
+              renderItem={({ item }) => (
+                <DeckRow onPress={() => onSelect(item)} $active={item.id === selectedId}>
+                  {item.artUri ? (
+                    <Image
+                      source={{ uri: item.artUri }}
+                      style={{ width: 56, height: 40, borderRadius: 6 }}
+                      contentFit="cover"
+                      contentPosition="top"
+                    />
+                  ) : null}
+                  {favorites.includes(item.id) ? (
+                    <Feather name="star" size={14} color="#f7d774" />
+                  ) : null}
+                  <DeckInfo>
+                    <DeckName numberOfLines={1}>{item.name}</DeckName>
+                    {item.commanderName ? (
+                      <HintText numberOfLines={1}>{deckCommanderLabel(item)}</HintText>
+                    ) : null}
+                  </DeckInfo>
+                  <ManaSymbols tokens={item.colorIdentity} size={14} gap={2} />
+                </DeckRow>
+              )}
+            />
+          )}
+          <CloseButton onPress={onClose}>
+            <CloseText>Close</CloseText>
+          </CloseButton>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 75%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+  gap: 12px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const DeckRow = styled(Pressable)`
+  flex-direction: row;
+  align-items: center;
+  gap: 10px;
+  padding: 10px 12px;
+  border-radius: 14px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid #2c3647;
+`;
+
+const DeckInfo = styled.View`
+  flex: 1;
+`;
+
+const DeckName = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -0,0 +1,164 @@
+import React from "react";
+import { Modal, Pressable, ScrollView, useWindowDimensions } from "react-native";
+import styled from "styled-components/native";
+import { describeElimination } from "../data/elimination";
+
+// Turned to face the player like the life keypad. A player still in the game
+// can leave it; a player who is out sees why and can correct who took them
+// out, or come back if they were flagged by mistake.
+export default function EliminationModal({
+  visible,
+  player,
+  opponents,
+  rotation,
+  onConcede,
+  onAlternateWin,
+  onRevive,
+  onSetEliminatedBy,
+  onClose,
+}) {
+  const { width, height } = useWindowDimensions();
+  const sideways = rotation === 90 || rotation === 270;
+  const panelWidth = Math.min(360, (sideways ? height : width) - 32);
+  const elimination = player.isDead ? player.elimination : null;
+  const by = opponents.find((p) => p.id === elimination?.by);
+
+  const submit = (fn) => {
+    fn();
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ position: "absolute", top: 0, left: 0, right: 0, bottom: 0 }} onPress={onClose} />
+        <Panel
+          style={{
+            width: panelWidth,
+            maxHeight: (sideways ? width : height) - 48,
+            transform: [{ rotate: `${rotation}deg` }],
+          }}
+        >
+          <ScrollView contentContainerStyle={{ gap: 10 }} showsVerticalScrollIndicator={false}>
+            <PanelTitle numberOfLines={1}>{player.name}</PanelTitle>
+            {elimination ? (
+              <>
+                <Reason>{describeElimination(elimination.reason, by?.name)}</Reason>
+                <HintText>Eliminated by</HintText>
+                <Chips>
+                  {opponents.map((opponent) => (
+                    <Chip
+                      key={opponent.id}
+                      onPress={() => onSetEliminatedBy(opponent.id)}
+                      $active={elimination.by === opponent.id}
+                    >
+                      <ChipText numberOfLines={1}>{opponent.name}</ChipText>
+                    </Chip>
+                  ))}
+                  <Chip onPress={() => onSetEliminatedBy(null)} $active={!elimination.by}>
+                    <ChipText>No one</ChipText>
+                  </Chip>
+                </Chips>
+                <ActionButton onPress={() => submit(onRevive)} $primary>
+                  <ActionText>Revive</ActionText>
+                </ActionButton>
+              </>
+            ) : (
+              <>
+                <ActionButton onPress={() => submit(() => onConcede("concede"))}>
+                  <ActionText>Concede</ActionText>
+                </ActionButton>
+                <ActionButton onPress={() => submit(() => onConcede("milled"))}>
+                  <ActionText>Drew From an Empty Library</ActionText>
+                </ActionButton>
+                <ActionButton onPress={() => submit(onAlternateWin)} $primary>
+                  <ActionText>Alternate Win</ActionText>
+                </ActionButton>
+                {sideways ? null : (
+                  <HintText>Alternate win: every opponent still in the game loses.</HintText>
+                )}
+              </>
+            )}
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
+        </Panel>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  align-items: center;
+  justify-content: center;
+`;
+
+const Panel = styled.View`
+  background-color: #121722;
+  padding: 16px;
+  border-radius: 20px;
+`;
+
+const PanelTitle = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+  text-align: center;
+`;
+
+const Reason = styled.Text`
+  color: #ff8a8a;
+  font-size: 18px;
+  text-align: center;
+`;
+
+const HintText = styled.Text`
+  color: #6b7687;
+  font-size: 11px;
+  text-align: center;
+`;
+
+const Chips = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 8px;
+`;
+
+const Chip = styled(Pressable)`
+  max-width: 140px;
+  padding: 6px 12px;
+  border-radius: 12px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid ${(props) => (props.$active ? "#f7d774" : "#344255")};
+`;
+
+const ChipText = styled.Text`
+  color: #f3f5f7;
+  font-size: 13px;
+`;
+
+const ActionButton = styled(Pressable)`
+  padding: 12px 16px;
+  border-radius: 12px;
+  align-items: center;
+  background-color: ${(props) => (props.$primary ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid #344255;
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 6px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -0,0 +1,302 @@
+import React, { useState } from "react";
+import { Modal, Pressable, ScrollView, useWindowDimensions } from "react-native";
+import styled from "styled-components/native";
+import { describeElimination } from "../data/elimination";
+import { buildSummary, formatDuration, lifeGraphBounds } from "../data/gameSummary";
+
+const CHART_HEIGHT = 160;
+const LINE = 2;
+
+const displayName = (player) =>
+  !player ? "Unknown" : player.name === "Player name" ? `Player ${player.id}` : player.name;
+
+const shortName = (player) => (player.name === "Player name" ? `P${player.id}` : player.name);
+
+// Life only changes in steps, so each player's line is drawn as flat runs
+// joined by vertical jumps, built from plain views.
+function lifeSegments(graph, player, bounds, width) {
+  const x = (at) => ((at - bounds.startAt) / (bounds.endAt - bounds.startAt)) * width;
+  const y = (life) =>
+    ((bounds.maxLife - life) / (bounds.maxLife - bounds.minLife)) * (CHART_HEIGHT - LINE);
+  const segments = [];
+  let runStart = graph.points[0].at;
+  let life = graph.points[0].life[player.id];
+  graph.points.slice(1).forEach((point) => {
+    const next = point.life[player.id];
+    if (next === undefined || next === life) return;
+    segments.push({ left: x(runStart), top: y(life), width: x(point.at) - x(runStart) + LINE, height: LINE });
+    segments.push({
+      left: x(point.at),
+      top: Math.min(y(life), y(next)),
+      width: LINE,
+      height: Math.abs(y(life) - y(next)) + LINE,
+    });
+    runStart = point.at;
+    life = next;
+  });
+  if (life !== undefined) {
+    segments.push({ left: x(runStart), top: y(life), width: width - x(runStart), height: LINE });
+  }
+  return segments;
+}
+
+function LifeChart({ graph, players, endAt, width }) {
+  const bounds = lifeGraphBounds(graph, endAt);
+  const zeroTop = (bounds.maxLife / (bounds.maxLife - bounds.minLife)) * (CHART_HEIGHT - LINE);
+
+  return (
+    <ChartBlock>
+      <Chart style={{ width, height: CHART_HEIGHT }}>
+        {bounds.minLife < 0 ? <ZeroLine style={{ top: zeroTop }} /> : null}
+        {players.map((player) =>
+          lifeSegments(graph, player, bounds, width).map((segment, index) => (
+            <Segment
+              key={`${player.id}-${index}`}
+              style={{ ...segment, backgroundColor: player.cardColor }}
+            />
+          ))
+        )}
+      </Chart>
+      <AxisRow>
+        <HintText>{`${bounds.maxLife} top · ${bounds.minLife} bottom`}</HintText>
+        <HintText>{formatDuration(bounds.endAt - bounds.startAt)}</HintText>
+      </AxisRow>
+      <Legend>
+        {players.map((player) => (
+          <LegendItem key={player.id}>
+            <Swatch style={{ backgroundColor: player.cardColor }} />
+            <HintText numberOfLines={1}>{shortName(player)}</HintText>
+          </LegendItem>
+        ))}
+      </Legend>
+    </ChartBlock>
+  );
+}
+
+export default function GameSummaryModal({ visible, state, onClose }) {
+  const { width } = useWindowDimensions();
+  // Taken when the summary opens so a game in progress shows a fixed end.
+  const [openedAt, setOpenedAt] = useState(Date.now());
+  if (!visible || !state.match || !state.players.length) return null;
+
+  const summary = buildSummary(state, openedAt);
+  const findPlayer = (id) => state.players.find((p) => p.id === id);
+  const winners = summary.winners.map(findPlayer).filter(Boolean);
+  const chartWidth = Math.min(width, 560) - 48;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+      onShow={() => setOpenedAt(Date.now())}
+    >
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <ScrollView contentContainerStyle={{ gap: 12 }} showsVerticalScrollIndicator={false}>
+            <SheetTitle>{summary.finished ? "Game Summary" : "Game So Far"}</SheetTitle>
+            {winners.length ? (
+              <WinnerText>{`${winners.map(displayName).join(" & ")} won`}</WinnerText>
+            ) : null}
+            <HintText>
+              {`${summary.finished ? "Lasted" : "Running for"} ${formatDuration(summary.durationMs)}${
+                state.turn.number ? ` · ${state.turn.number} turns` : ""
+              }`}
+            </HintText>
+
+            <SectionTitle>Life</SectionTitle>
+            {state.lifeGraph ? (
+              <LifeChart
+                graph={state.lifeGraph}
+                players={state.players}
+                endAt={summary.endedAt}
+                width={chartWidth}
+              />
+            ) : (
+              <HintText>No life changes recorded.</HintText>
+            )}
+
+            <SectionTitle>Commander Damage</SectionTitle>
+            <MatrixRow>
+              <MatrixLabel />
+              {state.players.map((source) => (
+                <MatrixHeader key={source.id} numberOfLines={1}>
+                  {shortName(source)}
+                </MatrixHeader>
+              ))}
+            </MatrixRow>
+            {summary.commanderDamage.map((row) => (
+              <MatrixRow key={row.playerId}>
+                <MatrixLabel numberOfLines={1}>{shortName(findPlayer(row.playerId))}</MatrixLabel>
+                {state.players.map((source) => {
+                  const cell = row.from[source.id];
+                  return (
+                    <MatrixCell key={source.id} $lethal={cell?.lethal} $empty={!cell?.total}>
+                      {cell ? `${cell.total}` : "–"}
+                    </MatrixCell>
+                  );
+                })}
+              </MatrixRow>
+            ))}
+            <HintText>Rows took damage from the commanders in each column.</HintText>
+
+            <SectionTitle>Eliminations</SectionTitle>
+            {summary.eliminationOrder.length ? (
+              summary.eliminationOrder.map((playerId, index) => {
+                const player = findPlayer(playerId);
+                const by = findPlayer(player?.elimination?.by);
+                return (
+                  <EliminationText key={playerId}>
+                    {`${index + 1}. ${displayName(player)}${
+                      player?.elimination
+                        ? ` · ${describeElimination(player.elimination.reason, by ? displayName(by) : null)}`
+                        : ""
+                    }`}
+                  </EliminationText>
+                );
+              })
+            ) : (
+              <HintText>No one has been eliminated.</HintText>
+            )}
+
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 90%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const WinnerText = styled.Text`
+  color: #f7d774;
+  font-size: 16px;
+`;
+
+const SectionTitle = styled.Text`
+  color: #9ca8bb;
+  font-size: 13px;
+  letter-spacing: 1px;
+  text-transform: uppercase;
+  margin-top: 4px;
+`;
+
+const ChartBlock = styled.View`
+  gap: 6px;
+`;
+
+const Chart = styled.View`
+  border-left-width: 1px;
+  border-bottom-width: 1px;
+  border-color: #344255;
+`;
+
+const ZeroLine = styled.View`
+  position: absolute;
+  left: 0px;
+  right: 0px;
+  height: 1px;
+  background-color: #ff8a8a;
+  opacity: 0.4;
+`;
+
+const Segment = styled.View`
+  position: absolute;
+  border-radius: 1px;
+`;
+
+const AxisRow = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+`;
+
+const Legend = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  gap: 10px;
+`;
+
+const LegendItem = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 6px;
+  max-width: 120px;
+`;
+
+const Swatch = styled.View`
+  width: 10px;
+  height: 10px;
+  border-radius: 5px;
+`;
+
+const MatrixRow = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 4px;
+`;
+
+const MatrixLabel = styled.Text`
+  width: 72px;
+  color: #f3f5f7;
+  font-size: 12px;
+`;
+
+const MatrixHeader = styled.Text`
+  flex: 1;
+  color: #9ca8bb;
+  font-size: 11px;
+  text-align: center;
+`;
+
+const MatrixCell = styled.Text`
+  flex: 1;
+  padding: 6px 0px;
+  border-radius: 8px;
+  overflow: hidden;
+  text-align: center;
+  font-size: 13px;
+  color: ${(props) => (props.$lethal ? "#ff8a8a" : props.$empty ? "#6b7687" : "#f3f5f7")};
+  background-color: #1b2230;
+`;
+
+const EliminationText = styled.Text`
+  color: #f3f5f7;
+  font-size: 14px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -0,0 +1,218 @@
+import React, { useMemo, useRef } from "react";
+import { Animated, Modal, PanResponder, Pressable, useWindowDimensions } from "react-native";
+import { Feather } from "@expo/vector-icons";
+import styled from "styled-components/native";
+import {
+  LAYOUT_PRESETS,
+  createLayout,
+  layoutRows,
+  normalizeLayout,
+  rotateSlot,
+  swapSeats,
+} from "../data/layouts";
+
+// The drop target is worked out from the board geometry rather than by
+// measuring every tile: rows share the height evenly and cells share their
+// row's width.
+function slotAt(rows, size, x, y) {
+  const rowIndex = Math.floor(y / (size.height / rows.length));
+  const row = rows[rowIndex];
+  if (!row || x < 0 || x >= size.width) return null;
+  return row[Math.floor(x / (size.width / row.length))]?.slot ?? null;
+}
+
+function SeatTile({ cell, label, center, onRotate, onDrop }) {
+  const pan = useRef(new Animated.ValueXY()).current;
+  const responder = useMemo(
+    () =>
+      PanResponder.create({
+        onMoveShouldSetPanResponderCapture: (_, gesture) =>
+          Math.abs(gesture.dx) + Math.abs(gesture.dy) > 6,
+        onPanResponderMove: Animated.event([null, { dx: pan.x, dy: pan.y }], {
+          useNativeDriver: false,
+        }),
+        onPanResponderRelease: (_, gesture) => {
+          pan.setValue({ x: 0, y: 0 });
+          onDrop(cell.slot, center.x + gesture.dx, center.y + gesture.dy);
+        },
+        onPanResponderTerminate: () => pan.setValue({ x: 0, y: 0 }),
+      }),
+    [pan, cell.slot, center.x, center.y, onDrop]
+  );
+
+  return (
+    <Animated.View
+      {...responder.panHandlers}
+      style={{ flex: 1, zIndex: 1, transform: pan.getTranslateTransform() }}
+    >
+      <Tile onPress={() => onRotate(cell.slot)}>
+        <TileLabel style={{ transform: [{ rotate: `${cell.rotation}deg` }] }} numberOfLines={1}>
+          {label}
+        </TileLabel>
+        <Feather name="rotate-cw" size={12} color="#6b7687" />
+      </Tile>
+    </Animated.View>
+  );
+}
+
+export default function LayoutEditor({ visible, count, layout, players, onChange, onClose }) {
+  const { width } = useWindowDimensions();
+  const current = normalizeLayout(layout, count);
+  const rows = layoutRows(count, current);
+  const boardWidth = Math.min(240, width - 96);
+  const size = { width: boardWidth, height: boardWidth * 1.6 };
+
+  const seatLabel = (seat) => {
+    const name = players[seat]?.name;
+    return name && name !== "Player name" ? name : `P${seat + 1}`;
+  };
+
+  const drop = (fromSlot, x, y) => {
+    const toSlot = slotAt(rows, size, x, y);
+    if (toSlot !== null && toSlot !== fromSlot) onChange(swapSeats(current, fromSlot, toSlot));
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <SheetTitle>{`Table Layout · ${count} players`}</SheetTitle>
+          <Chips>
+            {(LAYOUT_PRESETS[count] ?? []).map((preset) => (
+              <Chip
+                key={preset.id}
+                onPress={() => onChange({ ...createLayout(count, preset.id), order: current.order })}
+                $active={preset.id === current.presetId}
+              >
+                <ChipText>{preset.name}</ChipText>
+              </Chip>
+            ))}
+          </Chips>
+          <BoardPreview style={size}>
+            {rows.map((row, rowIndex) => (
+              <PreviewRow key={`row-${rowIndex}`}>
+                {row.map((cell, colIndex) => (
+                  <SeatTile
+                    key={`slot-${cell.slot}`}
+                    cell={cell}
+                    label={seatLabel(cell.seat)}
+                    center={{
+                      x: ((colIndex + 0.5) * size.width) / row.length,
+                      y: ((rowIndex + 0.5) * size.height) / rows.length,
+                    }}
+                    onRotate={(slot) => onChange(rotateSlot(current, slot))}
+                    onDrop={drop}
+                  />
+                ))}
+              </PreviewRow>
+            ))}
+          </BoardPreview>
+          <HintText>Drag a seat onto another to swap them. Tap a seat to turn its card.</HintText>
+          <ActionButton onPress={() => onChange(createLayout(count, current.presetId))}>
+            <ActionText>Reset Seats</ActionText>
+          </ActionButton>
+          <CloseButton onPress={onClose}>
+            <CloseText>Done</CloseText>
+          </CloseButton>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+  gap: 12px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const Chips = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+
+const Chip = styled(Pressable)`
+  padding: 6px 12px;
+  border-radius: 12px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid ${(props) => (props.$active ? "#f7d774" : "#344255")};
+`;
+
+const ChipText = styled.Text`
+  color: #f3f5f7;
+  font-size: 13px;
+`;
+
+const BoardPreview = styled.View`
+  align-self: center;
+  border-radius: 16px;
+  border: 1px solid #2c3647;
+  background-color: #0b0d10;
+  padding: 2px;
+`;
+
+const PreviewRow = styled.View`
+  flex: 1;
+  flex-direction: row;
+`;
+
+const Tile = styled(Pressable)`
+  flex: 1;
+  margin: 2px;
+  border-radius: 10px;
+  align-items: center;
+  justify-content: center;
+  gap: 4px;
+  background-color: #1b2230;
+  border: 1px solid #344255;
+`;
+
+const TileLabel = styled.Text`
+  color: #f3f5f7;
+  font-size: 13px;
+  max-width: 90px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+  text-align: center;
+`;
+
+const ActionButton = styled(Pressable)`
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -0,0 +1,191 @@
+import React, { useEffect, useState } from "react";
+import { Modal, Pressable, useWindowDimensions } from "react-native";
+import styled from "styled-components/native";
+
+const KEYS = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "clear", "0", "back"];
+const MAX_DIGITS = 4;
+
+// Opens over the whole board but turned to face the player who tapped their
+// life total, so people across the table can use it too.
+export default function LifeKeypad({
+  visible,
+  player,
+  rotation,
+  onSetLife,
+  onAdjustLife,
+  onDrain,
+  onLoseLifeAll,
+  onProliferate,
+  onClose,
+}) {
+  const [digits, setDigits] = useState("");
+  const { width, height } = useWindowDimensions();
+  // Sideways seats get a shorter four-column pad so it fits across a phone.
+  const sideways = rotation === 90 || rotation === 270;
+  const panelWidth = Math.min(360, (sideways ? height : width) - 32);
+  const amount = Number(digits || 0);
+
+  useEffect(() => {
+    if (visible) setDigits("");
+  }, [visible]);
+
+  const press = (key) => {
+    if (key === "clear") setDigits("");
+    else if (key === "back") setDigits((prev) => prev.slice(0, -1));
+    else setDigits((prev) => (prev.length >= MAX_DIGITS ? prev : `${prev}${key}`.replace(/^0+(?=\d)/, "")));
+  };
+
+  const submit = (fn) => {
+    fn();
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ position: "absolute", top: 0, left: 0, right: 0, bottom: 0 }} onPress={onClose} />
+        <Panel style={{ width: panelWidth, transform: [{ rotate: `${rotation}deg` }] }}>
+          <PanelTitle numberOfLines={1}>{player.name}</PanelTitle>
+          <Display>
+            <DisplayHint>{player.life}</DisplayHint>
+            <DisplayValue>{digits || "0"}</DisplayValue>
+          </Display>
+          <KeyGrid>
+            {KEYS.map((key) => (
+              <Key key={key} onPress={() => press(key)} style={{ width: sideways ? "23%" : "31%" }}>
+                <KeyText>{key === "clear" ? "C" : key === "back" ? "⌫" : key}</KeyText>
+              </Key>
+            ))}
+          </KeyGrid>
+          <ActionRow>
+            <ActionButton
+              onPress={() => submit(() => onAdjustLife(-amount))}
+              disabled={!amount}
+              $disabled={!amount}
+            >
+              <ActionText>-{amount}</ActionText>
+            </ActionButton>
+            <ActionButton
+              onPress={() => submit(() => onSetLife(amount))}
+              disabled={!digits}
+              $disabled={!digits}
+              $primary
+            >
+              <ActionText>Set {digits || "…"}</ActionText>
+            </ActionButton>
+            <ActionButton
+              onPress={() => submit(() => onAdjustLife(amount))}
+              disabled={!amount}
+              $disabled={!amount}
+            >
+              <ActionText>+{amount}</ActionText>
+            </ActionButton>
+          </ActionRow>
+          <ActionRow>
+            <ActionButton onPress={() => submit(() => onDrain(amount))} disabled={!amount} $disabled={!amount}>
+              <ActionText>Drain {amount}</ActionText>
+            </ActionButton>
+            <ActionButton
+              onPress={() => submit(() => onLoseLifeAll(amount))}
+              disabled={!amount}
+              $disabled={!amount}
+            >
+              <ActionText>All -{amount}</ActionText>
+            </ActionButton>
+            <ActionButton onPress={() => submit(onProliferate)}>
+              <ActionText>Proliferate</ActionText>
+            </ActionButton>
+          </ActionRow>
+          {sideways ? null : (
+            <HintText>Drain: each opponent loses the amount and you gain the total.</HintText>
+          )}
+        </Panel>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  align-items: center;
+  justify-content: center;
+`;
+
+const Panel = styled.View`
+  background-color: #121722;
+  padding: 16px;
+  border-radius: 20px;
+  gap: 10px;
+`;
+
+const PanelTitle = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+  text-align: center;
+`;
+
+const Display = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: baseline;
+  padding: 8px 14px;
+  border-radius: 12px;
+  background-color: #0b0d10;
+`;
+
+const DisplayHint = styled.Text`
+  color: #6b7687;
+  font-size: 16px;
+`;
+
+const DisplayValue = styled.Text`
+  color: #f3f5f7;
+  font-size: 34px;
+`;
+
+const KeyGrid = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  justify-content: space-between;
+  row-gap: 8px;
+`;
+
+const Key = styled(Pressable)`
+  padding: 12px 0px;
+  border-radius: 12px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+`;
+
+const KeyText = styled.Text`
+  color: #f3f5f7;
+  font-size: 20px;
+`;
+
+const ActionRow = styled.View`
+  flex-direction: row;
+  gap: 8px;
+`;
+
+const ActionButton = styled(Pressable)`
+  flex: 1;
+  padding: 10px 4px;
+  border-radius: 12px;
+  align-items: center;
+  background-color: ${(props) => (props.$primary ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid #344255;
+  opacity: ${(props) => (props.$disabled ? 0.4 : 1)};
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 14px;
+`;
+
+const HintText = styled.Text`
+  color: #6b7687;
+  font-size: 11px;
+  text-align: center;
+`;
@@ -0,0 +1,140 @@
+import React, { useRef } from "react";
+import { Modal, Pressable, ScrollView, Share } from "react-native";
+import styled from "styled-components/native";
+import {
+  describeEvent,
+  formatEventTime,
+  formatLogAsJson,
+  formatLogAsText,
+} from "../data/matchLog";
+
+const HIGHLIGHT_KINDS = new Set(["eliminated", "start", "restart"]);
+
+export default function MatchLogModal({ visible, events, onClose }) {
+  const scrollRef = useRef(null);
+
+  const exportLog = (format) => {
+    if (!events.length) return;
+    const message = format === "json" ? formatLogAsJson(events) : formatLogAsText(events);
+    Share.share({ title: "Game Log", message }).catch(() => {});
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <SheetTitle>Game Log</SheetTitle>
+          <Timeline
+            ref={scrollRef}
+            onContentSizeChange={() => scrollRef.current?.scrollToEnd({ animated: false })}
+            contentContainerStyle={{ gap: 8, paddingBottom: 8 }}
+          >
+            {events.length ? (
+              events.map((event, index) => (
+                <EventRow key={`${event.at}-${index}`}>
+                  <EventTime>{formatEventTime(event.at)}</EventTime>
+                  <EventText $highlight={HIGHLIGHT_KINDS.has(event.kind)}>
+                    {describeEvent(event)}
+                  </EventText>
+                </EventRow>
+              ))
+            ) : (
+              <EmptyText>Nothing has happened yet.</EmptyText>
+            )}
+          </Timeline>
+          <ExportRow>
+            <ExportButton onPress={() => exportLog("text")} $disabled={!events.length}>
+              <ExportText>Export Text</ExportText>
+            </ExportButton>
+            <ExportButton onPress={() => exportLog("json")} $disabled={!events.length}>
+              <ExportText>Export JSON</ExportText>
+            </ExportButton>
+          </ExportRow>
+          <CloseButton onPress={onClose}>
+            <CloseText>Close</CloseText>
+          </CloseButton>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 75%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+  gap: 12px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+  margin-bottom: 4px;
+`;
+
+const Timeline = styled(ScrollView)`
+  flex-grow: 0;
+`;
+
+const EventRow = styled.View`
+  flex-direction: row;
+  gap: 10px;
+  align-items: flex-start;
+`;
+
+const EventTime = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+  min-width: 64px;
+  padding-top: 2px;
+`;
+
+const EventText = styled.Text`
+  flex: 1;
+  color: ${(props) => (props.$highlight ? "#f7d774" : "#f3f5f7")};
+  font-size: 14px;
+`;
+
+const EmptyText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
+
+const ExportRow = styled.View`
+  flex-direction: row;
+  gap: 12px;
+`;
+
+const ExportButton = styled(Pressable)`
+  flex: 1;
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+  opacity: ${(props) => (props.$disabled ? 0.4 : 1)};
+`;
+
+const ExportText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -1,55 +1,254 @@
 import React from "react";
-import { Modal, Pressable, Switch } from "react-native";
+import { Modal, Pressable, ScrollView, Switch } from "react-native";
 import styled from "styled-components/native";
+import { DAY_NIGHT, PLAYER_FLAGS, getNextRooms, roomName } from "../data/designations";
+import {
+  EXTRA_TURN_OPTIONS,
+  PLAYER_TIME_OPTIONS,
+  ROUND_TIME_OPTIONS,
+} from "../data/turnClock";
+
+function OptionRow({ label, options, value, format, onSelect }) {
+  return (
+    <OptionLine>
+      <OptionLabel>{label}</OptionLabel>
+      <OptionChips>
+        {options.map((option) => (
+          <OptionChip
+            key={String(option)}
+            onPress={() => onSelect(option)}
+            $active={option === value}
+          >
+            <OptionText>{format(option)}</OptionText>
+          </OptionChip>
+        ))}
+      </OptionChips>
+    </OptionLine>
+  );
+}
+
+const formatMinutes = (ms) => (ms ? `${ms / 60000}m` : "Off");
+
+const shortName = (player) =>
+  player.name === "Player name" ? `P${player.id}` : player.name;
 
 export default function MenuModal({
   visible,
   onClose,
   onHome,
   onReset,
+  canUndo,
+  canRedo,
+  onUndo,
+  onRedo,
   onChangePlayers,
   soundEnabled,
   onToggleSound,
+  onSoundSettings,
   onHighroll,
   onDecks,
   onSearch,
+  onShowLog,
+  onSummary,
+  onLayout,
+  onSessions,
+  onRandomizer,
+  onProliferate,
+  onPlanechase,
+  onSchemes,
+  clock,
+  clockRunning,
+  onToggleClock,
+  onToggleClockPause,
+  onClockOptions,
+  players,
+  designations,
+  onSetMonarch,
+  onTakeInitiative,
+  onVenture,
+  onSetDayNight,
+  onTogglePlayerFlag,
+  syncStatus,
+  onSync,
 }) {
+  const playerIds = players.map((p) => p.id);
+  const playerLabel = (id) => {
+    const player = players.find((p) => p.id === id);
+    return player ? shortName(player) : "None";
+  };
+  const initiativeId = designations.initiativeId;
+  const room = initiativeId ? designations.undercity[initiativeId] : null;
+
   return (
     <Modal visible={visible} transparent animationType="fade">
       <Overlay>
         <Pressable style={{ flex: 1 }} onPress={onClose} />
         <Sheet>
-          <SheetTitle>Game Menu</SheetTitle>
-          <ActionButton onPress={onHome}>
-            <ActionText>Home</ActionText>
-          </ActionButton>
-          <ActionButton onPress={onDecks}>
-            <ActionText>Decks</ActionText>
-          </ActionButton>
-          <ActionButton onPress={onSearch}>
-            <ActionText>Search</ActionText>
-          </ActionButton>
-          <ActionButton onPress={onHighroll}>
-            <ActionText>Highroll</ActionText>
-          </ActionButton>
-          <ActionButton onPress={onReset}>
-            <ActionText>Restart Match</ActionText>
-          </ActionButton>
-          <ActionButton onPress={onChangePlayers}>
-            <ActionText>Change Players</ActionText>
-          </ActionButton>
-          <ToggleRow>
-            <ActionText>Elimination Sounds</ActionText>
-            <Switch
-              value={soundEnabled}
-              onValueChange={onToggleSound}
-              trackColor={{ false: "#2a3340", true: "#3b82f6" }}
-              thumbColor={soundEnabled ? "#f3f5f7" : "#9ca8bb"}
+          <ScrollView contentContainerStyle={{ gap: 12 }} showsVerticalScrollIndicator={false}>
+            <SheetTitle>Game Menu</SheetTitle>
+            <HistoryRow>
+              <HistoryButton onPress={onUndo} disabled={!canUndo} $disabled={!canUndo}>
+                <ActionText>Undo</ActionText>
+              </HistoryButton>
+              <HistoryButton onPress={onRedo} disabled={!canRedo} $disabled={!canRedo}>
+                <ActionText>Redo</ActionText>
+              </HistoryButton>
+            </HistoryRow>
+            <ActionButton onPress={onHome}>
+              <ActionText>Home</ActionText>
+            </ActionButton>
+            <ActionButton onPress={onDecks}>
+              <ActionText>Decks</ActionText>
+            </ActionButton>
+            <ActionButton onPress={onSearch}>
+              <ActionText>Search</ActionText>
+            </ActionButton>
+            <ActionButton onPress={onHighroll}>
+              <ActionText>Highroll</ActionText>
+            </ActionButton>
+            <ActionButton onPress={onProliferate}>
+              <ActionText>Proliferate</ActionText>
+            </ActionButton>
+            <ActionButton onPress={onRandomizer}>
+              <ActionText>Dice & Coins</ActionText>
+            </ActionButton>
+            {onPlanechase ? (
+              <ActionButton onPress={onPlanechase}>
+                <ActionText>Planechase</ActionText>
+              </ActionButton>
+            ) : null}
+            {onSchemes ? (
+              <ActionButton onPress={onSchemes}>
+                <ActionText>Archenemy Schemes</ActionText>
+              </ActionButton>
+            ) : null}
+            <ActionButton onPress={onLayout}>
+              <ActionText>Table Layout</ActionText>
+            </ActionButton>
+            {onSessions ? (
+              <ActionButton onPress={onSessions}>
+                <ActionText>Saved Games</ActionText>
+              </ActionButton>
+            ) : null}
+            <ActionButton onPress={onShowLog}>
+              <ActionText>Game Log</ActionText>
+            </ActionButton>
+            <ActionButton onPress={onSummary}>
+              <ActionText>Game Summary</ActionText>
+            </ActionButton>
+            <ActionButton onPress={onReset}>
+              <ActionText>Restart Match</ActionText>
+            </ActionButton>
+            {onChangePlayers ? (
+              <ActionButton onPress={onChangePlayers}>
+                <ActionText>Change Players</ActionText>
+              </ActionButton>
+            ) : null}
+            <ActionButton onPress={onSync}>
+              <ActionText>{syncStatus ? `Other Devices (${syncStatus})` : "Play on Other Devices"}</ActionText>
+            </ActionButton>
+            <ToggleRow>
+              <ActionText>Sounds</ActionText>
+              <Switch
+                value={soundEnabled}
+                onValueChange={onToggleSound}
+                trackColor={{ false: "#2a3340", true: "#3b82f6" }}
+                thumbColor={soundEnabled ? "#f3f5f7" : "#9ca8bb"}
+              />
+            </ToggleRow>
+            {soundEnabled ? (
+              <ActionButton onPress={onSoundSettings}>
+                <ActionText>Sound Settings</ActionText>
+              </ActionButton>
+            ) : null}
+            <ToggleRow>
+              <ActionText>Chess Clock</ActionText>
+              <Switch
+                value={clock.enabled}
+                onValueChange={onToggleClock}
+                trackColor={{ false: "#2a3340", true: "#3b82f6" }}
+                thumbColor={clock.enabled ? "#f3f5f7" : "#9ca8bb"}
+              />
+            </ToggleRow>
+            {clock.enabled ? (
+              <>
+                <OptionRow
+                  label="Player time"
+                  options={PLAYER_TIME_OPTIONS}
+                  value={clock.budgetMs}
+                  format={formatMinutes}
+                  onSelect={(budgetMs) => onClockOptions({ budgetMs })}
+                />
+                <OptionRow
+                  label="Round"
+                  options={ROUND_TIME_OPTIONS}
+                  value={clock.roundLimitMs}
+                  format={formatMinutes}
+                  onSelect={(roundLimitMs) => onClockOptions({ roundLimitMs })}
+                />
+                <OptionRow
+                  label="Extra turns"
+                  options={EXTRA_TURN_OPTIONS}
+                  value={clock.extraTurns}
+                  format={(turns) => `${turns}`}
+                  onSelect={(extraTurns) => onClockOptions({ extraTurns })}
+                />
+                <ActionButton onPress={onToggleClockPause}>
+                  <ActionText>{clockRunning ? "Pause Clock" : "Resume Clock"}</ActionText>
+                </ActionButton>
+              </>
+            ) : null}
+            <SectionTitle>Table</SectionTitle>
+            <OptionRow
+              label="Monarch"
+              options={[null, ...playerIds]}
+              value={designations.monarchId}
+              format={playerLabel}
+              onSelect={onSetMonarch}
+            />
+            <OptionRow
+              label="Initiative"
+              options={[null, ...playerIds]}
+              value={initiativeId}
+              format={playerLabel}
+              onSelect={onTakeInitiative}
+            />
+            {initiativeId ? (
+              <OptionRow
+                label={room ? roomName(room) : "Undercity"}
+                options={getNextRooms(room)}
+                value={null}
+                format={(roomId) => `Venture: ${roomName(roomId)}`}
+                onSelect={(roomId) => onVenture(initiativeId, roomId)}
+              />
+            ) : null}
+            <OptionRow
+              label="Day/Night"
+              options={[null, ...DAY_NIGHT]}
+              value={designations.dayNight}
+              format={(value) => (value === "day" ? "Day" : value === "night" ? "Night" : "Off")}
+              onSelect={onSetDayNight}
             />
-          </ToggleRow>
-          <CloseButton onPress={onClose}>
-            <CloseText>Close</CloseText>
-          </CloseButton>
+            {PLAYER_FLAGS.map((flag) => (
+              <OptionLine key={flag.id}>
+                <OptionLabel>{flag.label}</OptionLabel>
+                <OptionChips>
+                  {players.map((player) => (
+                    <OptionChip
+                      key={player.id}
+                      onPress={() => onTogglePlayerFlag(player.id, flag.id)}
+                      $active={!!player.flags[flag.id]}
+                    >
+                      <OptionText>{shortName(player)}</OptionText>
+                    </OptionChip>
+                  ))}
+                </OptionChips>
+              </OptionLine>
+            ))}
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
         </Sheet>
       </Overlay>
     </Modal>
@@ -63,6 +262,7 @@ const Overlay = styled.View`
 `;
 
 const Sheet = styled.View`
+  max-height: 85%;
   background-color: #121722;
   padding: 24px;
   border-top-left-radius: 22px;
@@ -76,6 +276,14 @@ const SheetTitle = styled.Text`
   margin-bottom: 4px;
 `;
 
+const SectionTitle = styled.Text`
+  color: #9ca8bb;
+  font-size: 13px;
+  letter-spacing: 1px;
+  text-transform: uppercase;
+  margin-top: 4px;
+`;
+
 const ActionButton = styled(Pressable)`
   padding: 12px 16px;
   border-radius: 14px;
@@ -88,6 +296,21 @@ const ActionText = styled.Text`
   font-size: 15px;
 `;
 
+const HistoryRow = styled.View`
+  flex-direction: row;
+  gap: 12px;
+`;
+
+const HistoryButton = styled(Pressable)`
+  flex: 1;
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+  opacity: ${(props) => (props.$disabled ? 0.4 : 1)};
+`;
+
 const ToggleRow = styled.View`
   padding: 8px 4px;
   border-radius: 12px;
@@ -96,6 +319,39 @@ const ToggleRow = styled.View`
   align-items: center;
 `;
 
+const OptionLine = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: center;
+  padding: 0px 4px;
+`;
+
+const OptionLabel = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+  margin-right: 8px;
+`;
+
+const OptionChips = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  flex-shrink: 1;
+  justify-content: flex-end;
+  gap: 8px;
+`;
+
+const OptionChip = styled(Pressable)`
+  padding: 6px 12px;
+  border-radius: 12px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid #344255;
+`;
+
+const OptionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 13px;
+`;
+
 const CloseButton = styled(Pressable)`
   padding: 10px 16px;
   align-items: center;
@@ -0,0 +1,119 @@
+import React from "react";
+import { Modal, Pressable, ScrollView } from "react-native";
+import styled from "styled-components/native";
+import { planarFaceLabel } from "../data/dice";
+import { currentPlane, isPhenomenon, nextPlane, planarRollCost } from "../data/variants";
+import VariantCard from "./VariantCard";
+
+export default function PlanechaseModal({
+  visible,
+  planechase,
+  turn,
+  onRoll,
+  onPlaneswalk,
+  onResetCost,
+  onClose,
+}) {
+  if (!planechase) return null;
+  const plane = currentPlane(planechase);
+  const cost = planarRollCost(planechase, turn);
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <ScrollView contentContainerStyle={{ gap: 12 }} showsVerticalScrollIndicator={false}>
+            <SheetTitle>Planechase</SheetTitle>
+            <VariantCard card={plane} upcoming={nextPlane(planechase)} />
+            {isPhenomenon(plane) ? (
+              <HintText>Resolve the phenomenon, then planeswalk away from it.</HintText>
+            ) : null}
+            {planechase.lastRoll ? (
+              <RollResult>Rolled: {planarFaceLabel(planechase.lastRoll)}</RollResult>
+            ) : null}
+            <ButtonRow>
+              <ActionButton onPress={onRoll}>
+                <ActionText>Roll Planar Die</ActionText>
+                <HintText>{cost ? `Costs ${cost} mana` : "Free"}</HintText>
+              </ActionButton>
+              <ActionButton onPress={onPlaneswalk}>
+                <ActionText>Planeswalk</ActionText>
+              </ActionButton>
+            </ButtonRow>
+            {cost ? (
+              <Pressable onPress={onResetCost}>
+                <HintText>
+                  {turn.activeId
+                    ? "New turn? Reset the roll cost"
+                    : "Turns aren't tracked. Reset the roll cost when a new turn starts"}
+                </HintText>
+              </Pressable>
+            ) : null}
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 90%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const RollResult = styled.Text`
+  color: #f7d774;
+  font-size: 16px;
+`;
+
+const ButtonRow = styled.View`
+  flex-direction: row;
+  gap: 12px;
+`;
+
+const ActionButton = styled(Pressable)`
+  flex: 1;
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -1,19 +1,53 @@
 import React, { useEffect, useRef, useState } from "react";
 import { Pressable, ScrollView, TextInput, View } from "react-native";
 import { Feather, FontAwesome5 } from "@expo/vector-icons";
+import { Image } from "expo-image";
 import styled from "styled-components/native";
 import CommanderDamagePanel from "./CommanderDamagePanel";
+import DeckPicker from "./DeckPicker";
+import EliminationModal from "./EliminationModal";
+import LifeKeypad from "./LifeKeypad";
+import ManaSymbols from "./decks/ManaSymbols";
+import { commanderLabel } from "../data/commanders";
+import { PLAYER_FLAGS, roomName } from "../data/designations";
+import { describeElimination } from "../data/elimination";
+import { deckCommanderLabel } from "../data/seatDecks";
+import { formatClock } from "../data/turnClock";
+import { teamLabel } from "../data/teams";
+
+export const LIFE_DELTA_HINT_MS = 1200;
 
 export default function PlayerCard({
   player,
   rotation,
   opponents,
+  format,
+  designations,
+  isArchenemy,
   onAdjustLife,
+  onSetLife,
+  onDrain,
+  onLoseLifeAll,
+  onProliferate,
+  onConcede,
+  onAlternateWin,
+  onRevive,
+  onSetEliminatedBy,
   onAdjustPoison,
   onAdjustTax,
   onAdjustEnergy,
   onAdjustCommanderDamage,
+  onSetCommanderCount,
+  onAssignDeck,
+  onAddCounter,
+  onRemoveCounter,
+  onAdjustCounter,
   onRename,
+  isActive,
+  hasActivePlayer,
+  timeLeft,
+  onPassTurn,
+  onTakeTurn,
 }) {
   const [view, setView] = useState("main");
   const [cardSize, setCardSize] = useState({ width: 0, height: 0 });
@@ -52,12 +86,15 @@ export default function PlayerCard({
     }
     lifeDeltaTimeoutRef.current = setTimeout(() => {
       setLifeDelta(0);
-    }, 1200);
+    }, LIFE_DELTA_HINT_MS);
   };
   const adjustLifeWithHint = (delta) => {
     onAdjustLife(delta);
     updateLifeDeltaHint(delta);
   };
+  const [pickingDeck, setPickingDeck] = useState(false);
+  const [keypadOpen, setKeypadOpen] = useState(false);
+  const [eliminationOpen, setEliminationOpen] = useState(false);
   const [editingName, setEditingName] = useState(false);
   const [draftName, setDraftName] = useState(player.name);
   useEffect(
@@ -97,6 +134,24 @@ export default function PlayerCard({
   const miniValueFont = Math.max(12, Math.round(base * 0.09 * density));
   const expandFont = Math.max(9, Math.round(base * 0.07 * density));
   const controlFont = Math.max(16, Math.round(controlSize * 0.5));
+  const badges = [];
+  if (isArchenemy) badges.push({ icon: "skull", label: "Archenemy" });
+  if (designations.monarchId === player.id) badges.push({ icon: "crown", label: "Monarch" });
+  if (designations.initiativeId === player.id) {
+    badges.push({
+      icon: "dungeon",
+      label: roomName(designations.undercity[player.id]) ?? "Initiative",
+    });
+  }
+  PLAYER_FLAGS.forEach((flag) => {
+    if (player.flags[flag.id]) badges.push({ icon: flag.icon, label: flag.label });
+  });
+  if (designations.dayNight) {
+    badges.push({
+      icon: designations.dayNight === "day" ? "sun" : "moon",
+      label: designations.dayNight === "day" ? "Day" : "Night",
+    });
+  }
 
   return (
     <Card
@@ -109,8 +164,18 @@ export default function PlayerCard({
       style={{
         backgroundColor: player.cardColor || "#141820",
         opacity: player.isDead ? 0.3 : 1,
+        borderColor: isActive ? "#f7d774" : "#263041",
+        borderWidth: isActive ? 3 : 1,
       }}
     >
+      {player.deck?.artUri ? (
+        <Image
+          source={{ uri: player.deck.artUri }}
+          style={{ position: "absolute", top: 0, left: 0, right: 0, bottom: 0, opacity: 0.45 }}
+          contentFit="cover"
+          pointerEvents="none"
+        />
+      ) : null}
       <CardContent
         style={{
           width: contentWidth,
@@ -153,11 +218,69 @@ export default function PlayerCard({
                 <NameRow>
                   <PlayerName style={{ fontSize: nameFont }}>{player.name}</PlayerName>
                   <Feather name="edit-2" size={Math.max(12, nameFont - 2)} color="#ffffff" />
+                  <Pressable onPress={() => setPickingDeck(true)} hitSlop={6}>
+                    <Feather name="layers" size={Math.max(12, nameFont - 2)} color="#ffffff" />
+                  </Pressable>
+                  <Pressable onPress={() => setEliminationOpen(true)} hitSlop={6}>
+                    <Feather name="flag" size={Math.max(12, nameFont - 2)} color="#ffffff" />
+                  </Pressable>
+                  {player.teamId ? (
+                    <TeamTag>
+                      <TurnChipText style={{ fontSize: labelFont }}>
+                        {teamLabel(player.teamId)}
+                      </TurnChipText>
+                    </TeamTag>
+                  ) : null}
                 </NameRow>
               )}
             </NamePressable>
+            {player.isDead ? null : isActive ? (
+              <TurnChip onPress={onPassTurn} $active>
+                <FontAwesome5 name="hourglass-half" size={labelFont} color="#1b1b1b" />
+                <TurnChipText style={{ fontSize: labelFont, color: "#1b1b1b" }}>
+                  {timeLeft !== null && timeLeft !== undefined
+                    ? `${formatClock(timeLeft)} · End`
+                    : "End Turn"}
+                </TurnChipText>
+              </TurnChip>
+            ) : !hasActivePlayer ? (
+              <TurnChip onPress={onTakeTurn}>
+                <TurnChipText style={{ fontSize: labelFont }}>Go First</TurnChipText>
+              </TurnChip>
+            ) : (
+              <TurnChip onLongPress={onTakeTurn} delayLongPress={600}>
+                <FontAwesome5 name="hourglass" size={labelFont} color="rgba(255, 255, 255, 0.6)" />
+                {timeLeft !== null && timeLeft !== undefined ? (
+                  <TurnChipText style={{ fontSize: labelFont, opacity: 0.7 }}>
+                    {formatClock(timeLeft)}
+                  </TurnChipText>
+                ) : null}
+              </TurnChip>
+            )}
           </Header>
 
+          {player.deck ? (
+            <DeckLine>
+              <ManaSymbols tokens={player.deck.colorIdentity} size={labelFont + 2} gap={2} />
+              <TurnChipText style={{ fontSize: labelFont }} numberOfLines={1}>
+                {deckCommanderLabel(player.deck) ?? player.deck.name}
+              </TurnChipText>
+            </DeckLine>
+          ) : null}
+
+          {badges.length ? (
+            <BadgeRow>
+              {badges.map((badge) => (
+                <Badge key={badge.label}>
+                  <FontAwesome5 name={badge.icon} size={labelFont} color="#f7d774" />
+                  <TurnChipText style={{ fontSize: labelFont }} numberOfLines={1}>
+                    {badge.label}
+                  </TurnChipText>
+                </Badge>
+              ))}
+            </BadgeRow>
+          ) : null}
+
           <LifeRow style={{ minHeight: controlSize * 1.5, marginTop: vGap }}>
             <LifeStrip
               onPress={() => handlePress(() => adjustLifeWithHint(-1))}
@@ -173,7 +296,7 @@ export default function PlayerCard({
               <ControlText style={{ fontSize: controlFont }}>-</ControlText>
             </LifeStrip>
 
-            <LifeValueWrap>
+            <LifeValueWrap onPress={() => setKeypadOpen(true)}>
               {lifeDelta !== 0 ? (
                 <LifeDeltaHint style={{ fontSize: Math.max(12, Math.round(labelFont * 1.1)) }}>
                   {lifeDelta > 0 ? `+${lifeDelta}` : `${lifeDelta}`}
@@ -198,42 +321,50 @@ export default function PlayerCard({
           </LifeRow>
 
           <StatGrid style={{ marginTop: vGap }}>
-            <MiniStat>
-              <MiniLabel style={{ fontSize: labelFont }}>Tax</MiniLabel>
-              <MiniControls>
-                <MiniStrip
-                  onPress={() => handlePress(() => onAdjustTax(-2))}
-                  onPressIn={() => { longPressRef.current = false; }}
-                  onLongPress={() => {
-                    longPressRef.current = true;
-                    onAdjustTax(-10);
-                    startRepeat(() => onAdjustTax(-10));
-                  }}
-                  onPressOut={stopRepeat}
-                  onPressCancel={stopRepeat}
-                >
-                  <MiniText style={{ fontSize: miniFont }}>-</MiniText>
-                </MiniStrip>
-                <MiniValue style={{ fontSize: miniValueFont }}>{player.tax}</MiniValue>
-                <MiniStrip
-                  onPress={() => handlePress(() => onAdjustTax(2))}
-                  onPressIn={() => { longPressRef.current = false; }}
-                  onLongPress={() => {
-                    longPressRef.current = true;
-                    onAdjustTax(10);
-                    startRepeat(() => onAdjustTax(10));
-                  }}
-                  onPressOut={stopRepeat}
-                  onPressCancel={stopRepeat}
-                >
-                  <MiniText style={{ fontSize: miniFont }}>+</MiniText>
-                </MiniStrip>
-              </MiniControls>
-            </MiniStat>
+            {format.counters.tax ? player.commanders.map((commander, index) => (
+              <MiniStat key={`tax-${index}`}>
+                <MiniLabel style={{ fontSize: labelFont }} numberOfLines={1}>
+                  {player.commanders.length > 1
+                    ? `Tax ${commanderLabel(player, index)}`
+                    : "Tax"}
+                </MiniLabel>
+                <MiniControls>
+                  <MiniStrip
+                    onPress={() => handlePress(() => onAdjustTax(index, -2))}
+                    onPressIn={() => { longPressRef.current = false; }}
+                    onLongPress={() => {
+                      longPressRef.current = true;
+                      onAdjustTax(index, -10);
+                      startRepeat(() => onAdjustTax(index, -10));
+                    }}
+                    onPressOut={stopRepeat}
+                    onPressCancel={stopRepeat}
+                  >
+                    <MiniText style={{ fontSize: miniFont }}>-</MiniText>
+                  </MiniStrip>
+                  <MiniValue style={{ fontSize: miniValueFont }}>{commander.tax}</MiniValue>
+                  <MiniStrip
+                    onPress={() => handlePress(() => onAdjustTax(index, 2))}
+                    onPressIn={() => { longPressRef.current = false; }}
+                    onLongPress={() => {
+                      longPressRef.current = true;
+                      onAdjustTax(index, 10);
+                      startRepeat(() => onAdjustTax(index, 10));
+                    }}
+                    onPressOut={stopRepeat}
+                    onPressCancel={stopRepeat}
+                  >
+                    <MiniText style={{ fontSize: miniFont }}>+</MiniText>
+                  </MiniStrip>
+                </MiniControls>
+              </MiniStat>
+            )) : null}
           </StatGrid>
 
                     <ExpandButton onPress={() => setView("detail")} style={{ marginTop: vGap }}>
-            <ExpandText style={{ fontSize: expandFont }}>Commander Damage</ExpandText>
+            <ExpandText style={{ fontSize: expandFont }}>
+              {format.commanderDamageLimit ? "Commander Damage" : "Counters"}
+            </ExpandText>
           </ExpandButton>
         </>
         ) : (
@@ -253,7 +384,7 @@ export default function PlayerCard({
             <PlayerName style={{ fontSize: nameFont }}>{player.name}</PlayerName>
           </DetailHeader>
           <DetailTitle style={{ fontSize: labelFont }}>
-            Commander & Counters
+            {format.commanderDamageLimit ? "Commander & Counters" : "Counters"}
           </DetailTitle>
           <DetailScroll
             showsVerticalScrollIndicator={false}
@@ -261,12 +392,19 @@ export default function PlayerCard({
           >
             <CommanderDamagePanel
               opponents={opponents}
+              format={format}
               commanderDamage={player.commanderDamage}
               onAdjust={onAdjustCommanderDamage}
+              commanderCount={player.commanders.length}
+              onSetCommanderCount={onSetCommanderCount}
               poison={player.poison}
               energy={player.energy}
               onAdjustPoison={onAdjustPoison}
               onAdjustEnergy={onAdjustEnergy}
+              counters={player.counters}
+              onAddCounter={onAddCounter}
+              onRemoveCounter={onRemoveCounter}
+              onAdjustCounter={onAdjustCounter}
               baseSize={base}
               cardColor={player.cardColor}
             />
@@ -277,6 +415,38 @@ export default function PlayerCard({
         </DetailWrap>
         )}
       </CardContent>
+      <DeckPicker
+        visible={pickingDeck}
+        title={`Deck for ${player.name}`}
+        selectedId={player.deck?.id}
+        onSelect={(deck) => {
+          onAssignDeck(deck);
+          setPickingDeck(false);
+        }}
+        onClose={() => setPickingDeck(false)}
+      />
+      <LifeKeypad
+        visible={keypadOpen}
+        player={player}
+        rotation={rotation}
+        onSetLife={onSetLife}
+        onAdjustLife={adjustLifeWithHint}
+        onDrain={onDrain}
+        onLoseLifeAll={onLoseLifeAll}
+        onProliferate={onProliferate}
+        onClose={() => setKeypadOpen(false)}
+      />
+      <EliminationModal
+        visible={eliminationOpen}
+        player={player}
+        opponents={opponents}
+        rotation={rotation}
+        onConcede={onConcede}
+        onAlternateWin={onAlternateWin}
+        onRevive={onRevive}
+        onSetEliminatedBy={onSetEliminatedBy}
+        onClose={() => setEliminationOpen(false)}
+      />
       {player.isDead ? (
         <EliminatedOverlay
           pointerEvents="none"
@@ -284,6 +454,14 @@ export default function PlayerCard({
         >
           <FontAwesome5 name="skull" size={Math.max(32, base * 0.3)} color="#000000" />
           <EliminatedText style={{ color: "#000000" }}>ELIMINATED</EliminatedText>
+          {player.elimination ? (
+            <EliminationReason style={{ fontSize: labelFont + 2 }} numberOfLines={2}>
+              {describeElimination(
+                player.elimination.reason,
+                opponents.find((p) => p.id === player.elimination.by)?.name
+              )}
+            </EliminationReason>
+          ) : null}
         </EliminatedOverlay>
       ) : null}
     </Card>
@@ -333,6 +511,50 @@ const PlayerName = styled.Text`
   letter-spacing: 0.5px;
 `;
 
+const TurnChip = styled(Pressable)`
+  flex-direction: row;
+  align-items: center;
+  gap: 4px;
+  padding: 3px 8px;
+  border-radius: 10px;
+  background-color: ${(props) => (props.$active ? "#f7d774" : "transparent")};
+  border: 1px solid ${(props) => (props.$active ? "#f7d774" : "rgba(255, 255, 255, 0.5)")};
+`;
+
+const DeckLine = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 6px;
+  margin-top: 2px;
+`;
+
+const BadgeRow = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  gap: 4px;
+  margin-top: 4px;
+`;
+
+const Badge = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 4px;
+  padding: 2px 6px;
+  border-radius: 8px;
+  background-color: rgba(0, 0, 0, 0.35);
+`;
+
+const TeamTag = styled.View`
+  padding: 1px 6px;
+  border-radius: 8px;
+  background-color: rgba(0, 0, 0, 0.3);
+`;
+
+const TurnChipText = styled.Text`
+  color: #f3f5f7;
+  letter-spacing: 0.4px;
+`;
+
 const LifeRow = styled.View`
   margin-top: 12px;
   flex-direction: row;
@@ -353,7 +575,7 @@ const LifeValue = styled.Text`
   font-weight: 700;
 `;
 
-const LifeValueWrap = styled.View`
+const LifeValueWrap = styled(Pressable)`
   align-items: center;
   justify-content: center;
   position: relative;
@@ -490,6 +712,12 @@ const EliminatedText = styled.Text`
   letter-spacing: 2px;
 `;
 
+const EliminationReason = styled.Text`
+  color: #000000;
+  text-align: center;
+  padding: 0px 12px;
+`;
+
 const DetailScroll = styled(ScrollView)`
   flex: 1;
   margin-top: 6px;
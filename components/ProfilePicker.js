@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { FlatList, Modal, Pressable } from "react-native";
+import styled from "styled-components/native";
+import { initDb, listProfiles } from "../data/db";
+
+export default function ProfilePicker({ visible, title, selectedId, onSelect, onClose }) {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!visible) return undefined;
+    let mounted = true;
+    setLoading(true);
+    initDb()
+      .then(() => listProfiles())
+      .then((rows) => {
+        if (!mounted) return;
+        setProfiles(rows);
+        setLoading(false);
+      })
+      .catch(() => {
+        if (mounted) setLoading(false);
+      });
+    return () => {
+      mounted = false;
+    };
+  }, [visible]);
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <SheetTitle>{title || "Choose a player"}</SheetTitle>
+          {loading ? (
+            <HintText>Loading...</HintText>
+          ) : (
+            <FlatList
+              data={profiles}
+              keyExtractor={(item) => item.id}
+              contentContainerStyle={{ gap: 8 }}
+              ListHeaderComponent={
+                <ProfileRow onPress={() => onSelect(null)} $active={!selectedId}>
+                  <ProfileName>Guest</ProfileName>
+                </ProfileRow>
+              }
+              ListHeaderComponentStyle={{ marginBottom: 8 }}
+              ListEmptyComponent={
+                <HintText>No profiles yet. Create them from Player Profiles on the home screen.</HintText>
+              }
+              renderItem={({ item }) => (
+                <ProfileRow onPress={() => onSelect(item)} $active={item.id === selectedId}>
+                  <Swatch style={{ backgroundColor: item.color || "#1b2230" }} />
+                  <ProfileName numberOfLines={1}>{item.name}</ProfileName>
+                </ProfileRow>
+              )}
+            />
+          )}
+          <CloseButton onPress={onClose}>
+            <CloseText>Close</CloseText>
+          </CloseButton>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 75%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+  gap: 12px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const ProfileRow = styled(Pressable)`
+  flex-direction: row;
+  align-items: center;
+  gap: 10px;
+  padding: 12px;
+  border-radius: 14px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid #2c3647;
+`;
+
+const Swatch = styled.View`
+  width: 18px;
+  height: 18px;
+  border-radius: 9px;
+  border: 1px solid rgba(255, 255, 255, 0.4);
+`;
+
+const ProfileName = styled.Text`
+  flex: 1;
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
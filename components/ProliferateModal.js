@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import { Modal, Pressable, ScrollView } from "react-native";
+import styled from "styled-components/native";
+
+function proliferateOptions(player, format) {
+  const options = [];
+  if (format.counters.poison && player.poison > 0) {
+    options.push({ key: "poison", label: `Poison ${player.poison}` });
+  }
+  if (format.counters.energy && player.energy > 0) {
+    options.push({ key: "energy", label: `Energy ${player.energy}` });
+  }
+  player.counters.forEach((counter) => {
+    if (counter.value !== 0) options.push({ key: counter.id, label: `${counter.name} ${counter.value}` });
+  });
+  return options;
+}
+
+export default function ProliferateModal({ visible, players, format, onConfirm, onClose }) {
+  const [selected, setSelected] = useState([]);
+  const rows = players
+    .filter((p) => !p.isDead)
+    .map((player) => ({ player, options: proliferateOptions(player, format) }))
+    .filter((row) => row.options.length);
+
+  useEffect(() => {
+    if (visible) setSelected([]);
+  }, [visible]);
+
+  const targetKey = (playerId, key) => `${playerId}:${key}`;
+  const toggle = (playerId, key) => {
+    const id = targetKey(playerId, key);
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  };
+
+  const confirm = () => {
+    const targets = rows.flatMap(({ player, options }) =>
+      options
+        .filter((option) => selected.includes(targetKey(player.id, option.key)))
+        .map((option) => ({ playerId: player.id, key: option.key }))
+    );
+    onConfirm(targets);
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <SheetTitle>Proliferate</SheetTitle>
+          <HintText>Choose the counters that each get one more.</HintText>
+          <ScrollView contentContainerStyle={{ gap: 12 }}>
+            {rows.length ? (
+              rows.map(({ player, options }) => (
+                <PlayerRow key={player.id}>
+                  <PlayerName numberOfLines={1}>{player.name}</PlayerName>
+                  <Chips>
+                    {options.map((option) => (
+                      <Chip
+                        key={option.key}
+                        onPress={() => toggle(player.id, option.key)}
+                        $active={selected.includes(targetKey(player.id, option.key))}
+                      >
+                        <ChipText>{option.label}</ChipText>
+                      </Chip>
+                    ))}
+                  </Chips>
+                </PlayerRow>
+              ))
+            ) : (
+              <HintText>No player has counters to proliferate.</HintText>
+            )}
+          </ScrollView>
+          <ConfirmButton onPress={confirm} disabled={!selected.length} $disabled={!selected.length}>
+            <ConfirmText>{selected.length ? `Proliferate ${selected.length}` : "Proliferate"}</ConfirmText>
+          </ConfirmButton>
+          <CloseButton onPress={onClose}>
+            <CloseText>Close</CloseText>
+          </CloseButton>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 75%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+  gap: 12px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const PlayerRow = styled.View`
+  gap: 6px;
+`;
+
+const PlayerName = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const Chips = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+
+const Chip = styled(Pressable)`
+  padding: 6px 12px;
+  border-radius: 12px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid ${(props) => (props.$active ? "#f7d774" : "#344255")};
+`;
+
+const ChipText = styled.Text`
+  color: #f3f5f7;
+  font-size: 13px;
+`;
+
+const ConfirmButton = styled(Pressable)`
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #2b3a4f;
+  border: 1px solid #344255;
+  opacity: ${(props) => (props.$disabled ? 0.4 : 1)};
+`;
+
+const ConfirmText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
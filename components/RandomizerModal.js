@@ -0,0 +1,291 @@
+import React, { useState } from "react";
+import { Modal, Pressable, ScrollView, TextInput } from "react-native";
+import styled from "styled-components/native";
+import {
+  MAX_COINS,
+  MAX_THUMBS,
+  QUICK_DICE,
+  flipCoins,
+  formatDicePool,
+  parseDicePool,
+  pickRandomPlayer,
+  planarFaceLabel,
+  rollDicePool,
+  rollPlanarDie,
+} from "../data/dice";
+
+function Stepper({ label, value, min, max, onChange }) {
+  return (
+    <StepperRow>
+      <Label>{label}</Label>
+      <StepButton onPress={() => onChange(Math.max(min, value - 1))}>
+        <ChipText>-</ChipText>
+      </StepButton>
+      <StepValue>{value}</StepValue>
+      <StepButton onPress={() => onChange(Math.min(max, value + 1))}>
+        <ChipText>+</ChipText>
+      </StepButton>
+    </StepperRow>
+  );
+}
+
+export default function RandomizerModal({ visible, players, history, onRecord, onClearHistory, onClose }) {
+  const [poolText, setPoolText] = useState("3d6+2");
+  const [coinCount, setCoinCount] = useState(1);
+  const [thumbs, setThumbs] = useState(0);
+  const pool = parseDicePool(poolText);
+  const alivePlayers = players.filter((p) => !p.isDead);
+
+  const rollPool = (text) => {
+    const parsed = parseDicePool(text);
+    if (!parsed) return;
+    const { rolls, total } = rollDicePool(parsed);
+    const modifier = parsed.modifier ? ` ${parsed.modifier > 0 ? "+" : "-"} ${Math.abs(parsed.modifier)}` : "";
+    onRecord({
+      title: formatDicePool(parsed),
+      result: `${total}`,
+      detail: rolls.length > 1 || parsed.modifier ? `${rolls.join(" + ")}${modifier}` : null,
+    });
+  };
+
+  const flip = () => {
+    const { flips, heads } = flipCoins(coinCount, thumbs);
+    onRecord({
+      title: `${coinCount} ${coinCount === 1 ? "coin" : "coins"}${thumbs ? ` (${thumbs} Thumb${thumbs === 1 ? "" : "s"})` : ""}`,
+      result: coinCount === 1 ? (heads ? "Heads" : "Tails") : `${heads} heads`,
+      detail: coinCount > 1 ? flips.map((isHeads) => (isHeads ? "H" : "T")).join(" ") : null,
+    });
+  };
+
+  const pickPlayer = (asker) => {
+    const picked = pickRandomPlayer(players, asker?.id ?? null);
+    onRecord({
+      title: asker ? `Random opponent of ${asker.name}` : "Random player",
+      result: picked ? picked.name : "Nobody left",
+      detail: null,
+    });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <ScrollView contentContainerStyle={{ gap: 12 }} showsVerticalScrollIndicator={false}>
+            <SheetTitle>Dice & Coins</SheetTitle>
+            <SectionTitle>Dice</SectionTitle>
+            <InputRow>
+              <PoolInput
+                value={poolText}
+                onChangeText={setPoolText}
+                placeholder="3d6+2"
+                placeholderTextColor="#6b7687"
+                autoCapitalize="none"
+                autoCorrect={false}
+                onSubmitEditing={() => rollPool(poolText)}
+              />
+              <ActionButton onPress={() => rollPool(poolText)} disabled={!pool} $disabled={!pool}>
+                <ActionText>Roll</ActionText>
+              </ActionButton>
+            </InputRow>
+            <Chips>
+              {QUICK_DICE.map((dice) => (
+                <Chip key={dice} onPress={() => rollPool(dice)}>
+                  <ChipText>{dice}</ChipText>
+                </Chip>
+              ))}
+            </Chips>
+            <SectionTitle>Coins</SectionTitle>
+            <Stepper label="Coins" value={coinCount} min={1} max={MAX_COINS} onChange={setCoinCount} />
+            <Stepper label="Krark's Thumbs" value={thumbs} min={0} max={MAX_THUMBS} onChange={setThumbs} />
+            <ActionButton onPress={flip}>
+              <ActionText>Flip</ActionText>
+            </ActionButton>
+            <ActionButton
+              onPress={() => onRecord({ title: "Planar die", result: planarFaceLabel(rollPlanarDie()), detail: null })}
+            >
+              <ActionText>Roll Planar Die</ActionText>
+            </ActionButton>
+            <SectionTitle>Players</SectionTitle>
+            <ActionButton onPress={() => pickPlayer(null)}>
+              <ActionText>Random Player</ActionText>
+            </ActionButton>
+            <Label>Random opponent of</Label>
+            <Chips>
+              {alivePlayers.map((player) => (
+                <Chip key={player.id} onPress={() => pickPlayer(player)}>
+                  <ChipText>{player.name}</ChipText>
+                </Chip>
+              ))}
+            </Chips>
+            <HistoryHeader>
+              <SectionTitle>History</SectionTitle>
+              {history.length ? (
+                <Pressable onPress={onClearHistory}>
+                  <Label>Clear</Label>
+                </Pressable>
+              ) : null}
+            </HistoryHeader>
+            {history.length ? (
+              history.map((entry) => (
+                <HistoryRow key={entry.id}>
+                  <HistoryInfo>
+                    <Label numberOfLines={1}>{entry.title}</Label>
+                    {entry.detail ? <Detail numberOfLines={2}>{entry.detail}</Detail> : null}
+                  </HistoryInfo>
+                  <ResultText>{entry.result}</ResultText>
+                </HistoryRow>
+              ))
+            ) : (
+              <Detail>Nothing rolled yet.</Detail>
+            )}
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 85%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+  margin-bottom: 4px;
+`;
+
+const SectionTitle = styled.Text`
+  color: #9ca8bb;
+  font-size: 13px;
+  letter-spacing: 1px;
+  text-transform: uppercase;
+  margin-top: 4px;
+`;
+
+const InputRow = styled.View`
+  flex-direction: row;
+  gap: 10px;
+`;
+
+const PoolInput = styled(TextInput)`
+  flex: 1;
+  color: #f3f5f7;
+  font-size: 15px;
+  padding: 10px 12px;
+  border-radius: 12px;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+`;
+
+const ActionButton = styled(Pressable)`
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+  opacity: ${(props) => (props.$disabled ? 0.4 : 1)};
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const Chips = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+
+const Chip = styled(Pressable)`
+  padding: 6px 12px;
+  border-radius: 12px;
+  background-color: #1b2230;
+  border: 1px solid #344255;
+`;
+
+const ChipText = styled.Text`
+  color: #f3f5f7;
+  font-size: 13px;
+`;
+
+const StepperRow = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 10px;
+`;
+
+const StepButton = styled(Pressable)`
+  padding: 6px 14px;
+  border-radius: 12px;
+  background-color: #1b2230;
+  border: 1px solid #344255;
+`;
+
+const StepValue = styled.Text`
+  color: #f3f5f7;
+  font-size: 16px;
+  min-width: 28px;
+  text-align: center;
+`;
+
+const Label = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+  flex-shrink: 1;
+  margin-right: auto;
+`;
+
+const HistoryHeader = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const HistoryRow = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 12px;
+  padding: 8px 12px;
+  border-radius: 12px;
+  background-color: #1b2230;
+`;
+
+const HistoryInfo = styled.View`
+  flex: 1;
+`;
+
+const Detail = styled.Text`
+  color: #6b7687;
+  font-size: 12px;
+`;
+
+const ResultText = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -0,0 +1,142 @@
+import React from "react";
+import { Modal, Pressable, ScrollView, TextInput } from "react-native";
+import styled from "styled-components/native";
+
+const formatDate = (at) =>
+  at
+    ? new Date(at).toLocaleString(undefined, {
+        month: "short",
+        day: "numeric",
+        hour: "numeric",
+        minute: "2-digit",
+      })
+    : "";
+
+export default function SessionsModal({
+  visible,
+  sessions,
+  currentId,
+  onResume,
+  onRename,
+  onDelete,
+  onClose,
+}) {
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <ScrollView contentContainerStyle={{ gap: 12 }} showsVerticalScrollIndicator={false}>
+            <SheetTitle>Saved Games</SheetTitle>
+            {sessions.length === 0 ? <HintText>No saved games yet.</HintText> : null}
+            {sessions.map((session) => {
+              const current = session.id === currentId;
+              return (
+                <SessionBlock key={session.id} $current={current}>
+                  <NameInput
+                    defaultValue={session.name}
+                    placeholder={formatDate(session.createdAt) || "Untitled game"}
+                    placeholderTextColor="#6b7687"
+                    editable={!session.newer}
+                    onEndEditing={(event) => onRename(session.id, event.nativeEvent.text.trim())}
+                    maxLength={32}
+                  />
+                  <HintText numberOfLines={2}>
+                    {session.playerNames.length
+                      ? session.playerNames.join(", ")
+                      : `${session.playerCount} players · not started`}
+                  </HintText>
+                  <HintText>{`Last played ${formatDate(session.updatedAt)}`}</HintText>
+                  {session.newer ? (
+                    <HintText>Saved by a newer version of the app.</HintText>
+                  ) : (
+                    <SessionActions>
+                      {current ? (
+                        <HintText style={{ color: "#f7d774" }}>Playing now</HintText>
+                      ) : (
+                        <SmallButton onPress={() => onResume(session.id)}>
+                          <ActionText>Resume</ActionText>
+                        </SmallButton>
+                      )}
+                      {current ? null : (
+                        <SmallButton onPress={() => onDelete(session.id)}>
+                          <HintText style={{ color: "#ff8a8a" }}>Delete</HintText>
+                        </SmallButton>
+                      )}
+                    </SessionActions>
+                  )}
+                </SessionBlock>
+              );
+            })}
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 80%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const SessionBlock = styled.View`
+  gap: 6px;
+  padding: 12px;
+  border-radius: 14px;
+  background-color: #1b2230;
+  border: 1px solid ${(props) => (props.$current ? "#f7d774" : "#1b2230")};
+`;
+
+const NameInput = styled(TextInput)`
+  color: #f3f5f7;
+  font-size: 15px;
+  padding: 0px;
+`;
+
+const SessionActions = styled.View`
+  flex-direction: row;
+  align-items: center;
+  justify-content: space-between;
+`;
+
+const SmallButton = styled(Pressable)`
+  padding: 4px 0px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
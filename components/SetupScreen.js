@@ -1,31 +1,337 @@
-import React from "react";
-import { Pressable } from "react-native";
+import React, { useState } from "react";
+import { Pressable, ScrollView, Switch, TextInput } from "react-native";
 import styled from "styled-components/native";
+import DeckPicker from "./DeckPicker";
+import ProfilePicker from "./ProfilePicker";
+import { COMMANDER_DAMAGE_LIMIT } from "../data/commanders";
+import { DEFAULT_FORMAT, FORMAT_PRESETS, POISON_LIMIT } from "../data/formats";
+import { PLAYER_COUNTS } from "../data/layouts";
+import { teamLabel, teamOptions } from "../data/teams";
+import { ARCHENEMY_LIFE_OPTIONS } from "../data/variants";
 
-const COUNTS = [2, 3, 4, 5, 6];
+function describeFormat(format) {
+  const parts = [`Life ${format.startingLife}`];
+  parts.push(format.poisonLimit ? `Poison ${format.poisonLimit}` : "No poison loss");
+  parts.push(
+    format.commanderDamageLimit ? `Cmd damage ${format.commanderDamageLimit}` : "No cmd damage"
+  );
+  if (!format.counters.tax) parts.push("No tax");
+  if (format.teams) parts.push("Shared team life");
+  return parts.join(" · ");
+}
+
+function CustomFormatEditor({ onSave, onCancel }) {
+  const [name, setName] = useState("");
+  const [startingLife, setStartingLife] = useState(DEFAULT_FORMAT.startingLife);
+  const [poison, setPoison] = useState(true);
+  const [commanderDamage, setCommanderDamage] = useState(true);
+  const [tax, setTax] = useState(true);
+  const [energy, setEnergy] = useState(true);
+
+  const toggles = [
+    ["Poison loses at 10", poison, setPoison],
+    ["Commander damage", commanderDamage, setCommanderDamage],
+    ["Commander tax", tax, setTax],
+    ["Energy", energy, setEnergy],
+  ];
 
-export default function SetupScreen({ playerCount, onSelect, onStart }) {
   return (
-    <Root>
-      <Title>Commander Life Counter</Title>
-      <Subtitle>Choose players</Subtitle>
-
-      <Options>
-        {COUNTS.map((count) => (
-          <CountButton
-            key={count}
-            onPress={() => onSelect(count)}
-            $active={count === playerCount}
-          >
-            <CountText>{count}</CountText>
-          </CountButton>
-        ))}
-      </Options>
-
-      <StartButton onPress={onStart}>
-        <StartText>Start Game</StartText>
-      </StartButton>
-    </Root>
+    <Editor>
+      <NameField
+        value={name}
+        onChangeText={setName}
+        placeholder="Format name"
+        placeholderTextColor="#6b7687"
+        maxLength={24}
+      />
+      <EditorRow>
+        <EditorLabel>Starting life</EditorLabel>
+        <LifeControls>
+          <SmallButton onPress={() => setStartingLife((v) => Math.max(1, v - 5))}>
+            <CountText>-5</CountText>
+          </SmallButton>
+          <SmallButton onPress={() => setStartingLife((v) => Math.max(1, v - 1))}>
+            <CountText>-</CountText>
+          </SmallButton>
+          <LifeValue>{startingLife}</LifeValue>
+          <SmallButton onPress={() => setStartingLife((v) => v + 1)}>
+            <CountText>+</CountText>
+          </SmallButton>
+          <SmallButton onPress={() => setStartingLife((v) => v + 5)}>
+            <CountText>+5</CountText>
+          </SmallButton>
+        </LifeControls>
+      </EditorRow>
+      {toggles.map(([label, value, setValue]) => (
+        <EditorRow key={label}>
+          <EditorLabel>{label}</EditorLabel>
+          <Switch
+            value={value}
+            onValueChange={setValue}
+            trackColor={{ false: "#2a3340", true: "#3b82f6" }}
+            thumbColor={value ? "#f3f5f7" : "#9ca8bb"}
+          />
+        </EditorRow>
+      ))}
+      <EditorActions>
+        <SmallButton onPress={onCancel}>
+          <CountText>Cancel</CountText>
+        </SmallButton>
+        <SmallButton
+          onPress={() =>
+            onSave({
+              name: name.trim() || "Custom",
+              startingLife,
+              poisonLimit: poison ? POISON_LIMIT : null,
+              commanderDamageLimit: commanderDamage ? COMMANDER_DAMAGE_LIMIT : null,
+              counters: { poison, energy, tax },
+            })
+          }
+        >
+          <CountText>Save Format</CountText>
+        </SmallButton>
+      </EditorActions>
+    </Editor>
+  );
+}
+
+function describeVariantStatus(status, variant, noun) {
+  if (status === "loading") return `Loading ${noun} from Scryfall...`;
+  if (status === "error") return `Couldn't load ${noun}. Check your connection and try again.`;
+  return variant ? `${variant.deck.length} ${noun} ready` : "Off";
+}
+
+export default function SetupScreen({
+  playerCount,
+  onSelect,
+  onEditLayout,
+  onStart,
+  format,
+  customFormats,
+  onSelectFormat,
+  onSaveCustomFormat,
+  onDeleteCustomFormat,
+  teams,
+  onToggleTeams,
+  onSetSeatTeam,
+  seatDecks,
+  onSetSeatDeck,
+  seatProfiles,
+  onSetSeatProfile,
+  onSync,
+  onSessions,
+  planechase,
+  archenemy,
+  variantStatus,
+  onTogglePlanechase,
+  onToggleArchenemy,
+  onArchenemyOptions,
+}) {
+  const [editing, setEditing] = useState(false);
+  const [pickingSeat, setPickingSeat] = useState(null);
+  const [profileSeat, setProfileSeat] = useState(null);
+  const formats = [...FORMAT_PRESETS, ...customFormats];
+  const options = teamOptions(playerCount);
+
+  return (
+    <ScrollView
+      style={{ flex: 1, backgroundColor: "#0b0d10" }}
+      contentContainerStyle={{ flexGrow: 1 }}
+    >
+      <Root>
+        <Title>Commander Life Counter</Title>
+        <Subtitle>Choose players</Subtitle>
+
+        <Options>
+          {PLAYER_COUNTS.map((count) => (
+            <CountButton
+              key={count}
+              onPress={() => onSelect(count)}
+              $active={count === playerCount}
+            >
+              <CountText>{count}</CountText>
+            </CountButton>
+          ))}
+        </Options>
+        <TextLink onPress={onEditLayout}>
+          <TextLinkText>Arrange seats at the table</TextLinkText>
+        </TextLink>
+
+        <Subtitle>Format</Subtitle>
+        <FormatList>
+          {formats.map((item) => (
+            <FormatChip
+              key={item.id}
+              onPress={() => onSelectFormat(item)}
+              onLongPress={item.custom ? () => onDeleteCustomFormat(item.id) : undefined}
+              $active={item.id === format.id}
+            >
+              <CountText>{item.name}</CountText>
+            </FormatChip>
+          ))}
+          <FormatChip onPress={() => setEditing(true)} $active={false}>
+            <CountText>+ Custom</CountText>
+          </FormatChip>
+        </FormatList>
+        <FormatSummary>{describeFormat(format)}</FormatSummary>
+        {customFormats.length ? (
+          <FormatHint>Long-press a custom format to delete it</FormatHint>
+        ) : null}
+
+        {editing ? (
+          <CustomFormatEditor
+            onCancel={() => setEditing(false)}
+            onSave={(fields) => {
+              onSaveCustomFormat(fields);
+              setEditing(false);
+            }}
+          />
+        ) : null}
+
+        {playerCount > 2 ? (
+          <Editor>
+            <EditorRow>
+              <EditorLabel>Teams (shared life)</EditorLabel>
+              <Switch
+                value={!!teams}
+                onValueChange={onToggleTeams}
+                trackColor={{ false: "#2a3340", true: "#3b82f6" }}
+                thumbColor={teams ? "#f3f5f7" : "#9ca8bb"}
+              />
+            </EditorRow>
+            {teams
+              ? teams.map((teamId, seat) => (
+                  <EditorRow key={`seat-${seat}`}>
+                    <EditorLabel>{`Player ${seat + 1}`}</EditorLabel>
+                    <LifeControls>
+                      {options.map((option) => (
+                        <FormatChip
+                          key={option}
+                          onPress={() => onSetSeatTeam(seat, option)}
+                          $active={option === teamId}
+                        >
+                          <CountText>{teamLabel(option)}</CountText>
+                        </FormatChip>
+                      ))}
+                    </LifeControls>
+                  </EditorRow>
+                ))
+              : null}
+            {teams && new Set(teams).size < 2 ? (
+              <FormatHint>Use at least two teams, or turn teams off</FormatHint>
+            ) : null}
+          </Editor>
+        ) : null}
+
+        <Subtitle>Variants</Subtitle>
+        <Editor>
+          <EditorRow>
+            <EditorLabel>Planechase</EditorLabel>
+            <Switch
+              value={!!planechase}
+              onValueChange={onTogglePlanechase}
+              disabled={variantStatus.planechase === "loading"}
+              trackColor={{ false: "#2a3340", true: "#3b82f6" }}
+              thumbColor={planechase ? "#f3f5f7" : "#9ca8bb"}
+            />
+          </EditorRow>
+          <FormatHint>{describeVariantStatus(variantStatus.planechase, planechase, "planes")}</FormatHint>
+          <EditorRow>
+            <EditorLabel>Archenemy</EditorLabel>
+            <Switch
+              value={!!archenemy}
+              onValueChange={onToggleArchenemy}
+              disabled={variantStatus.archenemy === "loading"}
+              trackColor={{ false: "#2a3340", true: "#3b82f6" }}
+              thumbColor={archenemy ? "#f3f5f7" : "#9ca8bb"}
+            />
+          </EditorRow>
+          <FormatHint>{describeVariantStatus(variantStatus.archenemy, archenemy, "schemes")}</FormatHint>
+          {archenemy ? (
+            <>
+              <EditorRow>
+                <EditorLabel>Archenemy seat</EditorLabel>
+                <LifeControls>
+                  {Array.from({ length: playerCount }, (_, seat) => (
+                    <FormatChip
+                      key={`archenemy-${seat}`}
+                      onPress={() => onArchenemyOptions({ seat })}
+                      $active={archenemy.seat === seat}
+                    >
+                      <CountText>{`P${seat + 1}`}</CountText>
+                    </FormatChip>
+                  ))}
+                </LifeControls>
+              </EditorRow>
+              <EditorRow>
+                <EditorLabel>Archenemy life</EditorLabel>
+                <LifeControls>
+                  {ARCHENEMY_LIFE_OPTIONS.map((life) => (
+                    <FormatChip
+                      key={`life-${life}`}
+                      onPress={() => onArchenemyOptions({ startingLife: life })}
+                      $active={archenemy.startingLife === life}
+                    >
+                      <CountText>{life}</CountText>
+                    </FormatChip>
+                  ))}
+                </LifeControls>
+              </EditorRow>
+            </>
+          ) : null}
+        </Editor>
+
+        <Subtitle>Seats</Subtitle>
+        <Editor>
+          {Array.from({ length: playerCount }, (_, seat) => (
+            <EditorRow key={`deck-${seat}`}>
+              <EditorLabel>{`Player ${seat + 1}`}</EditorLabel>
+              <LifeControls>
+                <FormatChip onPress={() => setProfileSeat(seat)} $active={!!seatProfiles[seat]}>
+                  <CountText numberOfLines={1}>{seatProfiles[seat]?.name ?? "Guest"}</CountText>
+                </FormatChip>
+                <FormatChip onPress={() => setPickingSeat(seat)} $active={!!seatDecks[seat]}>
+                  <CountText numberOfLines={1}>{seatDecks[seat]?.name ?? "Choose deck"}</CountText>
+                </FormatChip>
+              </LifeControls>
+            </EditorRow>
+          ))}
+        </Editor>
+        <ProfilePicker
+          visible={profileSeat !== null}
+          title={profileSeat !== null ? `Player ${profileSeat + 1}` : undefined}
+          selectedId={profileSeat !== null ? seatProfiles[profileSeat]?.id : null}
+          onSelect={(profile) => {
+            onSetSeatProfile(profileSeat, profile);
+            setProfileSeat(null);
+          }}
+          onClose={() => setProfileSeat(null)}
+        />
+        <DeckPicker
+          visible={pickingSeat !== null}
+          title={pickingSeat !== null ? `Deck for Player ${pickingSeat + 1}` : undefined}
+          selectedId={pickingSeat !== null ? seatDecks[pickingSeat]?.id : null}
+          favoriteIds={pickingSeat !== null ? seatProfiles[pickingSeat]?.favoriteDeckIds : null}
+          onSelect={(deck) => {
+            onSetSeatDeck(pickingSeat, deck);
+            setPickingSeat(null);
+          }}
+          onClose={() => setPickingSeat(null)}
+        />
+
+        <StartButton onPress={onStart}>
+          <StartText>Start Game</StartText>
+        </StartButton>
+        <TextLink onPress={onSync}>
+          <TextLinkText>Host or join a game on other devices</TextLinkText>
+        </TextLink>
+        {onSessions ? (
+          <TextLink onPress={onSessions}>
+            <TextLinkText>Resume a saved game</TextLinkText>
+          </TextLink>
+        ) : null}
+      </Root>
+    </ScrollView>
   );
 }
 
@@ -53,6 +359,8 @@ const Subtitle = styled.Text`
 
 const Options = styled.View`
   flex-direction: row;
+  flex-wrap: wrap;
+  justify-content: center;
   gap: 12px;
 `;
 
@@ -71,6 +379,88 @@ const CountText = styled.Text`
   font-size: 16px;
 `;
 
+const FormatList = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  justify-content: center;
+  gap: 8px;
+`;
+
+const FormatChip = styled(Pressable)`
+  max-width: 160px;
+  padding: 8px 14px;
+  border-radius: 18px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#1b2230")};
+  border: 1px solid #344255;
+`;
+
+const FormatSummary = styled.Text`
+  color: #c9d3e2;
+  font-size: 13px;
+  text-align: center;
+`;
+
+const FormatHint = styled.Text`
+  color: #6b7687;
+  font-size: 12px;
+`;
+
+const Editor = styled.View`
+  width: 100%;
+  max-width: 420px;
+  padding: 16px;
+  gap: 10px;
+  border-radius: 16px;
+  background-color: #121722;
+  border: 1px solid #2c3647;
+`;
+
+const NameField = styled(TextInput)`
+  color: #f3f5f7;
+  font-size: 16px;
+  padding: 8px 12px;
+  border-radius: 10px;
+  background-color: #1b2230;
+`;
+
+const EditorRow = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+  align-items: center;
+`;
+
+const EditorLabel = styled.Text`
+  color: #c9d3e2;
+  font-size: 14px;
+`;
+
+const LifeControls = styled.View`
+  flex-direction: row;
+  align-items: center;
+  gap: 6px;
+`;
+
+const LifeValue = styled.Text`
+  color: #f6f8fb;
+  font-size: 18px;
+  min-width: 32px;
+  text-align: center;
+`;
+
+const SmallButton = styled(Pressable)`
+  padding: 6px 10px;
+  border-radius: 10px;
+  background-color: #1b2230;
+  border: 1px solid #344255;
+`;
+
+const EditorActions = styled.View`
+  flex-direction: row;
+  justify-content: flex-end;
+  gap: 10px;
+  margin-top: 4px;
+`;
+
 const StartButton = styled(Pressable)`
   margin-top: 12px;
   padding: 14px 28px;
@@ -84,3 +474,13 @@ const StartText = styled.Text`
   font-size: 16px;
   letter-spacing: 0.6px;
 `;
+
+const TextLink = styled(Pressable)`
+  padding: 8px 12px;
+`;
+
+const TextLinkText = styled.Text`
+  color: #9ca8bb;
+  font-size: 13px;
+  text-decoration-line: underline;
+`;
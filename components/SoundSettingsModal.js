@@ -0,0 +1,316 @@
+import React, { useState } from "react";
+import { Modal, Pressable, ScrollView, Switch, TextInput } from "react-native";
+import { Feather } from "@expo/vector-icons";
+import styled from "styled-components/native";
+import {
+  BUILTIN_PACK_ID,
+  SOUND_EVENTS,
+  VOLUME_OPTIONS,
+  deletePackFiles,
+  deleteSoundFile,
+  importSounds,
+  packSounds,
+  pickSound,
+} from "../data/sounds";
+
+export default function SoundSettingsModal({ visible, settings, onChange, onPreview, onClose }) {
+  const [busyPackId, setBusyPackId] = useState(null);
+  const [error, setError] = useState(null);
+  const enabledPacks = settings.packs.filter((pack) => pack.enabled);
+
+  const updatePack = (packId, changes) =>
+    onChange({
+      ...settings,
+      packs: settings.packs.map((pack) => (pack.id === packId ? { ...pack, ...changes } : pack)),
+    });
+
+  const updateEvent = (eventId, changes) =>
+    onChange({
+      ...settings,
+      events: { ...settings.events, [eventId]: { ...settings.events[eventId], ...changes } },
+    });
+
+  const withoutSounds = (events, soundIds) => {
+    const next = {};
+    Object.entries(events).forEach(([eventId, event]) => {
+      next[eventId] = { ...event, soundIds: event.soundIds.filter((id) => !soundIds.includes(id)) };
+    });
+    return next;
+  };
+
+  const addPack = () => {
+    const pack = {
+      id: `pack_${Date.now()}`,
+      name: `Pack ${settings.packs.length}`,
+      enabled: true,
+      sounds: [],
+    };
+    onChange({ ...settings, packs: [...settings.packs, pack] });
+  };
+
+  const removePack = (pack) => {
+    onChange({
+      packs: settings.packs.filter((entry) => entry.id !== pack.id),
+      events: withoutSounds(settings.events, pack.sounds.map((sound) => sound.id)),
+    });
+    deletePackFiles(pack.id);
+  };
+
+  const removeSound = (pack, sound) => {
+    onChange({
+      packs: settings.packs.map((entry) =>
+        entry.id === pack.id
+          ? { ...entry, sounds: entry.sounds.filter((item) => item.id !== sound.id) }
+          : entry
+      ),
+      events: withoutSounds(settings.events, [sound.id]),
+    });
+    deleteSoundFile(sound);
+  };
+
+  const importInto = async (pack) => {
+    setError(null);
+    setBusyPackId(pack.id);
+    try {
+      const sounds = await importSounds(pack.id);
+      if (sounds.length) updatePack(pack.id, { sounds: [...pack.sounds, ...sounds] });
+    } catch {
+      setError("Those files could not be imported.");
+    } finally {
+      setBusyPackId(null);
+    }
+  };
+
+  const toggleSound = (eventId, soundId) => {
+    const { soundIds } = settings.events[eventId];
+    updateEvent(eventId, {
+      soundIds: soundIds.includes(soundId)
+        ? soundIds.filter((id) => id !== soundId)
+        : [...soundIds, soundId],
+    });
+  };
+
+  const previewEvent = (eventId) => {
+    const picked = pickSound(settings, eventId);
+    if (picked) onPreview(picked.sound, picked.volume);
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <ScrollView contentContainerStyle={{ gap: 12 }} showsVerticalScrollIndicator={false}>
+            <SheetTitle>Sound Settings</SheetTitle>
+            <SectionTitle>Packs</SectionTitle>
+            {settings.packs.map((pack) => (
+              <PackBlock key={pack.id}>
+                <PackHeader>
+                  {pack.id === BUILTIN_PACK_ID ? (
+                    <PackName>{pack.name}</PackName>
+                  ) : (
+                    <PackInput
+                      defaultValue={pack.name}
+                      onEndEditing={(event) =>
+                        updatePack(pack.id, { name: event.nativeEvent.text.trim() || pack.name })
+                      }
+                      maxLength={24}
+                    />
+                  )}
+                  <Switch
+                    value={pack.enabled}
+                    onValueChange={(enabled) => updatePack(pack.id, { enabled })}
+                    trackColor={{ false: "#2a3340", true: "#3b82f6" }}
+                    thumbColor={pack.enabled ? "#f3f5f7" : "#9ca8bb"}
+                  />
+                </PackHeader>
+                <Chips>
+                  {packSounds(pack).map((sound) => (
+                    <Chip
+                      key={sound.id}
+                      onPress={() => onPreview(sound, 1)}
+                      onLongPress={pack.id === BUILTIN_PACK_ID ? undefined : () => removeSound(pack, sound)}
+                    >
+                      <Feather name="play" size={11} color="#9ca8bb" />
+                      <ChipText numberOfLines={1}>{sound.name}</ChipText>
+                    </Chip>
+                  ))}
+                </Chips>
+                {pack.id === BUILTIN_PACK_ID ? null : (
+                  <PackActions>
+                    <SmallButton onPress={() => importInto(pack)} disabled={busyPackId === pack.id}>
+                      <HintText>{busyPackId === pack.id ? "Importing..." : "Import Audio Files"}</HintText>
+                    </SmallButton>
+                    <SmallButton onPress={() => removePack(pack)}>
+                      <HintText style={{ color: "#ff8a8a" }}>Delete Pack</HintText>
+                    </SmallButton>
+                  </PackActions>
+                )}
+              </PackBlock>
+            ))}
+            {error ? <HintText style={{ color: "#ff8a8a" }}>{error}</HintText> : null}
+            <HintText>Tap a sound to hear it. Long-press an imported sound to delete it.</HintText>
+            <ActionButton onPress={addPack}>
+              <ActionText>New Pack</ActionText>
+            </ActionButton>
+            <SectionTitle>Events</SectionTitle>
+            {SOUND_EVENTS.map((event) => {
+              const config = settings.events[event.id];
+              return (
+                <PackBlock key={event.id}>
+                  <PackHeader>
+                    <PackName>{event.label}</PackName>
+                    <Pressable onPress={() => previewEvent(event.id)} hitSlop={6}>
+                      <Feather name="volume-2" size={16} color="#9ca8bb" />
+                    </Pressable>
+                  </PackHeader>
+                  <Chips>
+                    {VOLUME_OPTIONS.map((volume) => (
+                      <Chip
+                        key={volume}
+                        onPress={() => updateEvent(event.id, { volume })}
+                        $active={config.volume === volume}
+                      >
+                        <ChipText>{`${Math.round(volume * 100)}%`}</ChipText>
+                      </Chip>
+                    ))}
+                  </Chips>
+                  <Chips>
+                    {enabledPacks.flatMap((pack) =>
+                      packSounds(pack).map((sound) => (
+                        <Chip
+                          key={sound.id}
+                          onPress={() => toggleSound(event.id, sound.id)}
+                          $active={config.soundIds.includes(sound.id)}
+                        >
+                          <ChipText numberOfLines={1}>{sound.name}</ChipText>
+                        </Chip>
+                      ))
+                    )}
+                  </Chips>
+                  {config.soundIds.length ? null : <HintText>Silent</HintText>}
+                </PackBlock>
+              );
+            })}
+            <CloseButton onPress={onClose}>
+              <CloseText>Close</CloseText>
+            </CloseButton>
+          </ScrollView>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  max-height: 90%;
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const SectionTitle = styled.Text`
+  color: #9ca8bb;
+  font-size: 13px;
+  letter-spacing: 1px;
+  text-transform: uppercase;
+  margin-top: 4px;
+`;
+
+const PackBlock = styled.View`
+  gap: 8px;
+  padding: 12px;
+  border-radius: 14px;
+  background-color: #1b2230;
+`;
+
+const PackHeader = styled.View`
+  flex-direction: row;
+  align-items: center;
+  justify-content: space-between;
+  gap: 12px;
+`;
+
+const PackName = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+  flex: 1;
+`;
+
+const PackInput = styled(TextInput)`
+  flex: 1;
+  color: #f3f5f7;
+  font-size: 15px;
+  padding: 0px;
+`;
+
+const PackActions = styled.View`
+  flex-direction: row;
+  justify-content: space-between;
+`;
+
+const SmallButton = styled(Pressable)`
+  padding: 4px 0px;
+`;
+
+const Chips = styled.View`
+  flex-direction: row;
+  flex-wrap: wrap;
+  gap: 8px;
+`;
+
+const Chip = styled(Pressable)`
+  flex-direction: row;
+  align-items: center;
+  gap: 6px;
+  max-width: 160px;
+  padding: 6px 12px;
+  border-radius: 12px;
+  background-color: ${(props) => (props.$active ? "#2b3a4f" : "#121722")};
+  border: 1px solid ${(props) => (props.$active ? "#f7d774" : "#344255")};
+`;
+
+const ChipText = styled.Text`
+  color: #f3f5f7;
+  font-size: 13px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const ActionButton = styled(Pressable)`
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
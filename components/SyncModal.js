@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from "react";
+import { Modal, Pressable, TextInput } from "react-native";
+import styled from "styled-components/native";
+import { createRoomCode } from "../data/sync";
+
+const STATUS_LABELS = {
+  offline: "Offline, retrying...",
+  connecting: "Connecting...",
+  reconnecting: "Reconnecting...",
+  online: "Connected",
+};
+
+export default function SyncModal({
+  visible,
+  sync,
+  server,
+  canHost,
+  hostAddress,
+  hostError,
+  onHost,
+  onJoin,
+  onLeave,
+  onClose,
+}) {
+  const [address, setAddress] = useState(server);
+  const [room, setRoom] = useState("");
+
+  useEffect(() => {
+    if (visible) setAddress(server);
+  }, [visible, server]);
+
+  const trimmedAddress = address.trim();
+  const trimmedRoom = room.trim().toUpperCase();
+  const waitingForHost = sync.role === "guest" && !sync.confirmed;
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <Overlay>
+        <Pressable style={{ flex: 1 }} onPress={onClose} />
+        <Sheet>
+          <SheetTitle>Play on Other Devices</SheetTitle>
+          {sync.role ? (
+            <>
+              <InfoText>
+                {sync.role === "host" ? "Hosting" : "Joined"} room {sync.room}
+              </InfoText>
+              <HintText>
+                {waitingForHost && sync.status === "online"
+                  ? "Waiting for the host..."
+                  : STATUS_LABELS[sync.status]}
+              </HintText>
+              {sync.role === "host" ? (
+                <HintText>
+                  {hostAddress
+                    ? `Other devices on this Wi-Fi join at ${hostAddress} with this room code.`
+                    : "Other devices on this Wi-Fi join with this device's address and this room code."}
+                </HintText>
+              ) : (
+                <HintText>Changes from every device go through the host, so this table always matches theirs.</HintText>
+              )}
+              <ActionButton onPress={onLeave}>
+                <ActionText>{sync.role === "host" ? "Stop Hosting" : "Leave Game"}</ActionText>
+              </ActionButton>
+            </>
+          ) : (
+            <>
+              <ActionButton
+                onPress={() => onHost(createRoomCode())}
+                disabled={!canHost}
+                $disabled={!canHost}
+              >
+                <ActionText>Host This Game</ActionText>
+              </ActionButton>
+              <HintText>
+                {canHost
+                  ? "Other devices on the same Wi-Fi join this one."
+                  : "Hosting needs the installed app; Expo Go can only join."}
+              </HintText>
+              {hostError ? <ErrorText>{hostError}</ErrorText> : null}
+              <Input
+                value={address}
+                onChangeText={setAddress}
+                placeholder="Host address, e.g. 192.168.1.20"
+                placeholderTextColor="#6b7687"
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+              />
+              <JoinRow>
+                <Input
+                  value={room}
+                  onChangeText={setRoom}
+                  placeholder="Room code"
+                  placeholderTextColor="#6b7687"
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                  maxLength={4}
+                  style={{ flex: 1 }}
+                />
+                <ActionButton
+                  onPress={() => onJoin(trimmedAddress, trimmedRoom)}
+                  disabled={!trimmedAddress || !trimmedRoom}
+                  $disabled={!trimmedAddress || !trimmedRoom}
+                >
+                  <ActionText>Join</ActionText>
+                </ActionButton>
+              </JoinRow>
+            </>
+          )}
+          <CloseButton onPress={onClose}>
+            <CloseText>Close</CloseText>
+          </CloseButton>
+        </Sheet>
+      </Overlay>
+    </Modal>
+  );
+}
+
+const Overlay = styled.View`
+  flex: 1;
+  background-color: rgba(0, 0, 0, 0.65);
+  justify-content: flex-end;
+`;
+
+const Sheet = styled.View`
+  background-color: #121722;
+  padding: 24px;
+  border-top-left-radius: 22px;
+  border-top-right-radius: 22px;
+  gap: 12px;
+`;
+
+const SheetTitle = styled.Text`
+  color: #f3f5f7;
+  font-size: 18px;
+`;
+
+const InfoText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const HintText = styled.Text`
+  color: #9ca8bb;
+  font-size: 12px;
+`;
+
+const ErrorText = styled.Text`
+  color: #ff8a8a;
+  font-size: 12px;
+`;
+
+const Input = styled(TextInput)`
+  color: #f3f5f7;
+  font-size: 15px;
+  padding: 10px 12px;
+  border-radius: 12px;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+`;
+
+const JoinRow = styled.View`
+  flex-direction: row;
+  gap: 10px;
+`;
+
+const ActionButton = styled(Pressable)`
+  padding: 12px 16px;
+  border-radius: 14px;
+  align-items: center;
+  background-color: #1b2230;
+  border: 1px solid #2c3647;
+  opacity: ${(props) => (props.$disabled ? 0.4 : 1)};
+`;
+
+const ActionText = styled.Text`
+  color: #f3f5f7;
+  font-size: 15px;
+`;
+
+const CloseButton = styled(Pressable)`
+  padding: 10px 16px;
+  align-items: center;
+`;
+
+const CloseText = styled.Text`
+  color: #9ca8bb;
+  font-size: 14px;
+`;
@@ -0,0 +1,82 @@
+import React, { useEffect, useState } from "react";
+import { Image } from "expo-image";
+import styled from "styled-components/native";
+import { cacheCardImage } from "../data/scryfall";
+
+// Planes and schemes are shown from the image cache once downloaded; the
+// upcoming card is fetched in the background so the next reveal is instant.
+export default function VariantCard({ card, upcoming }) {
+  const [imageUri, setImageUri] = useState(null);
+  const [width, setWidth] = useState(0);
+
+  useEffect(() => {
+    let mounted = true;
+    setImageUri(null);
+    if (!card) return undefined;
+    cacheCardImage(card.id, card.imageUrl).then((uri) => {
+      if (mounted) setImageUri(uri ?? card.imageUrl);
+    });
+    return () => {
+      mounted = false;
+    };
+  }, [card]);
+
+  useEffect(() => {
+    if (upcoming) cacheCardImage(upcoming.id, upcoming.imageUrl);
+  }, [upcoming]);
+
+  if (!card) return null;
+
+  // Scryfall stores planar cards upright, so they are turned sideways here.
+  const height = card.landscape ? width / 1.39 : width * 1.39;
+
+  return (
+    <Root onLayout={(event) => setWidth(event.nativeEvent.layout.width)}>
+      {imageUri && width ? (
+        <ImageFrame style={{ height }}>
+          <Image
+            source={{ uri: imageUri }}
+            style={
+              card.landscape
+                ? { width: height, height: width, transform: [{ rotate: "90deg" }] }
+                : { width, height }
+            }
+            contentFit="contain"
+          />
+        </ImageFrame>
+      ) : null}
+      <CardName>{card.name}</CardName>
+      <TypeLine>{card.typeLine}</TypeLine>
+      {card.oracleText ? <Oracle>{card.oracleText}</Oracle> : null}
+    </Root>
+  );
+}
+
+const Root = styled.View`
+  gap: 4px;
+`;
+
+const ImageFrame = styled.View`
+  align-items: center;
+  justify-content: center;
+  overflow: hidden;
+  border-radius: 12px;
+  margin-bottom: 6px;
+`;
+
+const CardName = styled.Text`
+  color: #f3f5f7;
+  font-size: 17px;
+`;
+
+const TypeLine = styled.Text`
+  color: #9ca8bb;
+  font-size: 13px;
+`;
+
+const Oracle = styled.Text`
+  color: #d5dbe5;
+  font-size: 14px;
+  line-height: 20px;
+  margin-top: 4px;
+`;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Modal, Pressable, Share, Text, View } from 'react-native';
+import * as Sharing from 'expo-sharing';
+import { EXPORT_FORMATS, exportDeck, withMtgoIds, writeDeckExport } from '../../data/deckExport';
+
+type DeckExportModalProps = {
+  visible: boolean;
+  deck: any;
+  onClose: () => void;
+};
+
+const buttonStyle = {
+  minHeight: 36,
+  paddingVertical: 6,
+  paddingHorizontal: 10,
+  borderRadius: 10,
+  borderWidth: 1,
+  borderColor: 'rgba(255,255,255,0.3)',
+  justifyContent: 'center' as const,
+};
+
+export default function DeckExportModal({ visible, deck, onClose }: DeckExportModalProps) {
+  const [status, setStatus] = useState('');
+
+  // A .dek file lists cards by MTGO id, which older cards have to look up.
+  // Returns null when that lookup fails.
+  const prepare = async (formatId: string) => {
+    if (formatId !== 'mtgo') return { exported: exportDeck(deck, formatId), note: '' };
+    try {
+      const withIds = await withMtgoIds(deck);
+      const missing = withIds.cards.filter((card: any) => !card.mtgo_id).map((card: any) => card.name);
+      return {
+        exported: exportDeck(withIds, formatId),
+        note: missing.length ? `Not on MTGO, listed by name only: ${missing.join(', ')}` : '',
+      };
+    } catch {
+      setStatus("Couldn't look up MTGO card ids. Check your connection and try again.");
+      return null;
+    }
+  };
+
+  const share = async (formatId: string) => {
+    setStatus('');
+    const prepared = await prepare(formatId);
+    if (!prepared) return;
+    const { exported, note } = prepared;
+    try {
+      await Share.share({ title: exported.fileName, message: exported.contents });
+      setStatus(note);
+    } catch {
+      setStatus('Sharing failed.');
+    }
+  };
+
+  // The file is written to the app's documents, then handed to the share
+  // sheet so it can be saved to Files, Drive or sent on as an attachment.
+  const saveFile = async (formatId: string) => {
+    setStatus('');
+    const prepared = await prepare(formatId);
+    if (!prepared) return;
+    const { exported, note } = prepared;
+    try {
+      const uri = await writeDeckExport(exported);
+      if (await Sharing.isAvailableAsync()) {
+        await Sharing.shareAsync(uri, {
+          mimeType: exported.format.mimeType,
+          dialogTitle: exported.fileName,
+        });
+        setStatus(note);
+      } else {
+        setStatus([`Saved ${exported.fileName}`, note].filter(Boolean).join('. '));
+      }
+    } catch {
+      setStatus('The file could not be saved.');
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+      <View
+        style={{
+          flex: 1,
+          backgroundColor: 'rgba(0,0,0,0.65)',
+          alignItems: 'center',
+          justifyContent: 'center',
+          padding: 20,
+        }}
+      >
+        <View
+          style={{
+            width: '100%',
+            borderRadius: 14,
+            borderWidth: 1,
+            borderColor: 'rgba(255,255,255,0.2)',
+            backgroundColor: '#131822',
+            padding: 14,
+            gap: 12,
+          }}
+        >
+          <Text style={{ color: '#ffffff', fontSize: 18, fontWeight: '600' }}>Export Deck</Text>
+          {EXPORT_FORMATS.map((format) => (
+            <View
+              key={format.id}
+              style={{ flexDirection: 'row', alignItems: 'center', gap: 8 }}
+            >
+              <Text style={{ color: '#ffffff', flex: 1 }}>{format.label}</Text>
+              <Pressable onPress={() => share(format.id)} style={buttonStyle}>
+                <Text style={{ color: '#ffffff', fontSize: 13 }}>Share</Text>
+              </Pressable>
+              <Pressable onPress={() => saveFile(format.id)} style={buttonStyle}>
+                <Text style={{ color: '#ffffff', fontSize: 13 }}>Save File</Text>
+              </Pressable>
+            </View>
+          ))}
+          {status ? <Text style={{ color: '#9aa4b2', fontSize: 13 }}>{status}</Text> : null}
+          <Pressable
+            onPress={onClose}
+            style={{ minHeight: 44, alignItems: 'center', justifyContent: 'center' }}
+          >
+            <Text style={{ color: '#9aa4b2' }}>Close</Text>
+          </Pressable>
+        </View>
+      </View>
+    </Modal>
+  );
+}
@@ -0,0 +1,25 @@
+export const MAX_COMMANDERS = 2;
+export const COMMANDER_DAMAGE_LIMIT = 21;
+
+export function buildCommanders(count, previous = []) {
+  return Array.from({ length: count }, (_, index) => ({
+    name: previous[index]?.name ?? "",
+    tax: previous[index]?.tax ?? 0,
+  }));
+}
+
+// Commander damage from one opponent is stored as one value per commander
+// they declared, so Partner and Background pairs each count to 21 on their own.
+export function resizeDamage(values, count) {
+  return Array.from({ length: count }, (_, index) => values?.[index] ?? 0);
+}
+
+export function getTotalTax(player) {
+  return (player.commanders ?? []).reduce((sum, commander) => sum + (commander.tax || 0), 0);
+}
+
+export function commanderLabel(player, index) {
+  const name = player?.commanders?.[index]?.name?.trim();
+  if (name) return name;
+  return (player?.commanders?.length ?? 1) > 1 ? `Cmd ${index + 1}` : "Commander";
+}
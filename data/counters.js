@@ -0,0 +1,82 @@
+export const MAX_CUSTOM_COUNTERS = 8;
+
+export const COUNTER_ICONS = [
+  "star",
+  "radiation",
+  "ticket-alt",
+  "bolt",
+  "plus-square",
+  "tachometer-alt",
+  "heart",
+  "shield-alt",
+];
+
+export const COUNTER_PRESETS = [
+  { name: "Experience", icon: "star", min: 0, max: null, losesAt: null },
+  { name: "Rad", icon: "radiation", min: 0, max: null, losesAt: null },
+  { name: "Tickets", icon: "ticket-alt", min: 0, max: null, losesAt: null },
+  { name: "Storm", icon: "bolt", min: 0, max: null, losesAt: null },
+  { name: "+1/+1 Commander", icon: "plus-square", min: 0, max: null, losesAt: null },
+  { name: "Speed", icon: "tachometer-alt", min: 0, max: 4, losesAt: null },
+];
+
+function toBound(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number) : null;
+}
+
+export function clampCounter(counter, value) {
+  const min = counter.min ?? -Infinity;
+  const max = counter.max ?? Infinity;
+  return Math.max(min, Math.min(max, value));
+}
+
+export function startingValue(counter) {
+  return clampCounter(counter, 0);
+}
+
+export function normalizeCounter(rawCounter) {
+  if (!rawCounter || typeof rawCounter !== "object" || typeof rawCounter.id !== "string") {
+    return null;
+  }
+  const name = typeof rawCounter.name === "string" ? rawCounter.name.trim() : "";
+  if (!name) return null;
+  const min = toBound(rawCounter.min);
+  const rawMax = toBound(rawCounter.max);
+  const counter = {
+    id: rawCounter.id,
+    name,
+    icon: COUNTER_ICONS.includes(rawCounter.icon) ? rawCounter.icon : null,
+    min,
+    max: min !== null && rawMax !== null ? Math.max(min, rawMax) : rawMax,
+    losesAt: null,
+  };
+  // A loss threshold equal to the starting value would eliminate the player
+  // as soon as the counter is added, so it is dropped.
+  const losesAt = toBound(rawCounter.losesAt);
+  if (losesAt !== null && losesAt !== startingValue(counter)) counter.losesAt = losesAt;
+  const value = Number(rawCounter.value);
+  return {
+    ...counter,
+    value: Number.isFinite(value) ? clampCounter(counter, Math.round(value)) : startingValue(counter),
+  };
+}
+
+export function createCounter(fields, at = Date.now()) {
+  return normalizeCounter({ ...fields, id: `counter_${at}`, value: null });
+}
+
+export function normalizeCounters(rawCounters) {
+  if (!Array.isArray(rawCounters)) return [];
+  return rawCounters.map(normalizeCounter).filter(Boolean).slice(0, MAX_CUSTOM_COUNTERS);
+}
+
+// A counter with a "loses at N" rule eliminates its player once the value
+// reaches N, counting in whichever direction N lies from the starting value.
+export function counterHasLost(counter) {
+  if (counter.losesAt === null) return false;
+  return counter.losesAt >= startingValue(counter)
+    ? counter.value >= counter.losesAt
+    : counter.value <= counter.losesAt;
+}
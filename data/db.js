@@ -1,7 +1,8 @@
 import { openDatabaseSync } from 'expo-sqlite';
+import { commanderPairProblem } from './deckValidation';
 
 const DB_NAME = 'bloodscroll.db';
-const SCHEMA_VERSION = 2;
+const SCHEMA_VERSION = 8;
 
 const db = openDatabaseSync(DB_NAME);
 
@@ -73,6 +74,112 @@ export async function initDb() {
     } catch {
       // Column already exists.
     }
+    await exec('PRAGMA user_version = 2;');
+  }
+
+  if (currentVersion < 3) {
+    await exec(
+      `CREATE TABLE IF NOT EXISTS matches (
+        id TEXT PRIMARY KEY NOT NULL,
+        started_at TEXT NOT NULL,
+        ended_at TEXT NOT NULL,
+        duration_ms INTEGER NOT NULL DEFAULT 0,
+        player_count INTEGER NOT NULL,
+        winner_name TEXT,
+        end_reason TEXT NOT NULL
+      );`
+    );
+    await exec(
+      `CREATE TABLE IF NOT EXISTS match_participants (
+        match_id TEXT NOT NULL,
+        seat INTEGER NOT NULL,
+        player_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        final_life INTEGER NOT NULL DEFAULT 0,
+        final_poison INTEGER NOT NULL DEFAULT 0,
+        final_tax INTEGER NOT NULL DEFAULT 0,
+        final_energy INTEGER NOT NULL DEFAULT 0,
+        commander_damage TEXT,
+        elimination_order INTEGER,
+        is_winner INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (match_id, seat)
+      );`
+    );
+    await exec(
+      'CREATE INDEX IF NOT EXISTS idx_match_participants_match ON match_participants(match_id);'
+    );
+    await exec('PRAGMA user_version = 3;');
+  }
+
+  if (currentVersion < 4) {
+    await exec(
+      `CREATE TABLE IF NOT EXISTS profiles (
+        id TEXT PRIMARY KEY NOT NULL,
+        name TEXT NOT NULL,
+        color TEXT,
+        favorite_deck_ids TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );`
+    );
+    const participantColumns = [
+      'profile_id TEXT',
+      'deck_id TEXT',
+      'commander_name TEXT',
+      'elimination_turn INTEGER',
+    ];
+    for (const column of participantColumns) {
+      try {
+        await exec(`ALTER TABLE match_participants ADD COLUMN ${column};`);
+      } catch {
+        // Column already exists.
+      }
+    }
+    await exec(
+      'CREATE INDEX IF NOT EXISTS idx_match_participants_profile ON match_participants(profile_id);'
+    );
+    await exec('PRAGMA user_version = 4;');
+  }
+
+  if (currentVersion < 5) {
+    for (const column of ['elimination_reason TEXT', 'eliminated_by_seat INTEGER']) {
+      try {
+        await exec(`ALTER TABLE match_participants ADD COLUMN ${column};`);
+      } catch {
+        // Column already exists.
+      }
+    }
+    await exec('PRAGMA user_version = 5;');
+  }
+
+  if (currentVersion < 6) {
+    try {
+      await exec('ALTER TABLE decks ADD COLUMN partner_card_id TEXT;');
+    } catch {
+      // Column already exists.
+    }
+    await exec('PRAGMA user_version = 6;');
+  }
+
+  if (currentVersion < 7) {
+    // Replacing a commander used to leave the old card flagged. Only the
+    // deck's commander and partner keep the flag; the rest stay in the deck
+    // as ordinary cards.
+    await exec(
+      `UPDATE deck_cards SET is_commander = 0
+       WHERE is_commander = 1
+         AND card_id IS NOT (SELECT commander_card_id FROM decks WHERE decks.id = deck_cards.deck_id)
+         AND card_id IS NOT (SELECT partner_card_id FROM decks WHERE decks.id = deck_cards.deck_id);`
+    );
+    await exec('PRAGMA user_version = 7;');
+  }
+
+  if (currentVersion < 8) {
+    try {
+      await exec('ALTER TABLE cards ADD COLUMN mtgo_id INTEGER;');
+    } catch {
+      // Column already exists.
+    }
     await exec(`PRAGMA user_version = ${SCHEMA_VERSION};`);
   }
 }
@@ -87,22 +194,43 @@ export async function listDecksWithCommanderMeta() {
             c.name AS commander_name,
             c.image_uri AS commander_image_uri,
             c.art_image_uri AS commander_art_image_uri,
-            c.color_identity AS commander_color_identity
+            c.color_identity AS commander_color_identity,
+            p.name AS partner_name,
+            p.image_uri AS partner_image_uri,
+            p.art_image_uri AS partner_art_image_uri,
+            p.color_identity AS partner_color_identity
      FROM decks d
      LEFT JOIN cards c ON c.id = d.commander_card_id
+     LEFT JOIN cards p ON p.id = d.partner_card_id
      ORDER BY d.updated_at DESC;`
   );
 }
 
+// Every card of every deck, for checks that run over the whole deck list.
+export async function listAllDeckCards() {
+  return queryAll(
+    `SELECT dc.deck_id, dc.card_id, dc.quantity, dc.is_commander, c.*
+     FROM deck_cards dc
+     JOIN cards c ON c.id = dc.card_id;`
+  );
+}
+
 export async function createDeck(name) {
   const id = `deck_${Date.now()}`;
   const now = new Date().toISOString();
   const finalName = (name ?? '').trim();
   await exec(
-    'INSERT INTO decks (id, name, commander_card_id, created_at, updated_at) VALUES (?, ?, NULL, ?, ?);',
+    'INSERT INTO decks (id, name, commander_card_id, partner_card_id, created_at, updated_at) VALUES (?, ?, NULL, NULL, ?, ?);',
     [id, finalName, now, now]
   );
-  return { id, name: finalName, commander_card_id: null, created_at: now, updated_at: now };
+  return {
+    id,
+    name: finalName,
+    commander_card_id: null,
+    partner_card_id: null,
+    created_at: now,
+    updated_at: now,
+  };
 }
 
 export async function getDeck(deckId) {
@@ -137,8 +265,8 @@ export async function getDeckCardById(deckId, cardId) {
 export async function upsertCard(card) {
   await exec(
     `INSERT OR REPLACE INTO cards
-      (id, name, mana_cost, type_line, oracle_text, colors, color_identity, cmc, legal_commander, image_uri, art_image_uri, set_code, collector_number)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+      (id, name, mana_cost, type_line, oracle_text, colors, color_identity, cmc, legal_commander, image_uri, art_image_uri, set_code, collector_number, mtgo_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
     [
       card.id,
       card.name,
@@ -153,18 +281,54 @@ export async function upsertCard(card) {
       card.art_image_uri ?? null,
       card.set_code ?? null,
       card.collector_number ?? null,
+      card.mtgo_id ?? null,
     ]
   );
 }
 
+// A replaced commander or partner stays in the deck as an ordinary card.
+async function unflagCommander(deckId, cardId) {
+  if (!cardId) return;
+  await exec('UPDATE deck_cards SET is_commander = 0 WHERE deck_id = ? AND card_id = ?;', [
+    deckId,
+    cardId,
+  ]);
+}
+
+// Replaces the deck's first commander. A partner, if any, stays; when the new
+// commander is the current partner it becomes the only commander.
 export async function setCommander(deckId, card) {
   await upsertCard(card);
-  const deck = await queryFirst('SELECT name FROM decks WHERE id = ?;', [deckId]);
+  const deck = await queryFirst(
+    'SELECT name, commander_card_id, partner_card_id FROM decks WHERE id = ?;',
+    [deckId]
+  );
+  if (deck?.commander_card_id !== card.id) {
+    await unflagCommander(deckId, deck?.commander_card_id);
+  }
   const shouldAutoname = isPlaceholderDeckName(deck?.name);
   const nextName = shouldAutoname ? card.name : deck?.name;
-  await exec('UPDATE decks SET commander_card_id = ?, name = ?, updated_at = ? WHERE id = ?;', [
+  const partnerId = deck?.partner_card_id === card.id ? null : deck?.partner_card_id ?? null;
+  await exec(
+    'UPDATE decks SET commander_card_id = ?, partner_card_id = ?, name = ?, updated_at = ? WHERE id = ?;',
+    [card.id, partnerId, nextName, new Date().toISOString(), deckId]
+  );
+  await exec(
+    'INSERT OR REPLACE INTO deck_cards (deck_id, card_id, quantity, is_commander) VALUES (?, ?, ?, 1);',
+    [deckId, card.id, 1]
+  );
+}
+
+// Sets the second commander of a pair. Callers check the pairing first with
+// `commanderPairProblem`.
+export async function setPartner(deckId, card) {
+  await upsertCard(card);
+  const deck = await queryFirst('SELECT partner_card_id FROM decks WHERE id = ?;', [deckId]);
+  if (deck?.partner_card_id !== card.id) {
+    await unflagCommander(deckId, deck?.partner_card_id);
+  }
+  await exec('UPDATE decks SET partner_card_id = ?, updated_at = ? WHERE id = ?;', [
     card.id,
-    nextName,
     new Date().toISOString(),
     deckId,
   ]);
@@ -174,6 +338,55 @@ export async function setCommander(deckId, card) {
   );
 }
 
+export async function removePartner(deckId) {
+  const deck = await queryFirst('SELECT partner_card_id FROM decks WHERE id = ?;', [deckId]);
+  await unflagCommander(deckId, deck?.partner_card_id);
+  await exec('UPDATE decks SET partner_card_id = NULL, updated_at = ? WHERE id = ?;', [
+    new Date().toISOString(),
+    deckId,
+  ]);
+}
+
+// Writes a whole imported list at once, so a failure part way through leaves
+// the deck as it was. Cards already in the deck take the list's quantity, so
+// importing the same list twice doesn't double it. A list with one commander
+// keeps the deck's partner only if the two pair; the removed partner is
+// returned.
+export async function importDeckCards(deckId, commanders, cards) {
+  const quantities = new Map();
+  for (const { card, quantity } of cards) {
+    quantities.set(card.id, (quantities.get(card.id) ?? 0) + quantity);
+  }
+  let removedPartner = null;
+  await db.withTransactionAsync(async () => {
+    if (commanders[0] && !commanders[1]) {
+      const deck = await queryFirst('SELECT partner_card_id FROM decks WHERE id = ?;', [deckId]);
+      const partner =
+        deck?.partner_card_id && deck.partner_card_id !== commanders[0].id
+          ? await getCard(deck.partner_card_id)
+          : null;
+      if (partner && commanderPairProblem(commanders[0], partner)) {
+        await removePartner(deckId);
+        removedPartner = partner;
+      }
+    }
+    if (commanders[0]) await setCommander(deckId, commanders[0]);
+    if (commanders[1]) await setPartner(deckId, commanders[1]);
+    for (const { card } of cards) {
+      await upsertCard(card);
+    }
+    for (const [cardId, quantity] of quantities) {
+      await exec(
+        `INSERT INTO deck_cards (deck_id, card_id, quantity, is_commander) VALUES (?, ?, ?, 0)
+         ON CONFLICT (deck_id, card_id) DO UPDATE SET quantity = excluded.quantity;`,
+        [deckId, cardId, quantity]
+      );
+    }
+    await exec('UPDATE decks SET updated_at = ? WHERE id = ?;', [new Date().toISOString(), deckId]);
+  });
+  return removedPartner;
+}
+
 export async function renameDeck(deckId, name) {
   await exec('UPDATE decks SET name = ?, updated_at = ? WHERE id = ?;', [
     (name ?? '').trim(),
@@ -223,3 +436,163 @@ export async function updateDeckCardQuantity(deckId, cardId, nextQty) {
 export async function updateCardImageUri(cardId, imageUri) {
   await exec('UPDATE cards SET image_uri = ? WHERE id = ?;', [imageUri, cardId]);
 }
+
+export async function saveMatch(match, participants) {
+  await db.withTransactionAsync(async () => {
+    await exec(
+      `INSERT OR REPLACE INTO matches
+        (id, started_at, ended_at, duration_ms, player_count, winner_name, end_reason)
+        VALUES (?, ?, ?, ?, ?, ?, ?);`,
+      [
+        match.id,
+        new Date(match.startedAt).toISOString(),
+        new Date(match.endedAt).toISOString(),
+        match.durationMs,
+        match.playerCount,
+        match.winnerName ?? null,
+        match.endReason,
+      ]
+    );
+    await exec('DELETE FROM match_participants WHERE match_id = ?;', [match.id]);
+    for (const participant of participants) {
+      await exec(
+        `INSERT INTO match_participants
+          (match_id, seat, player_id, name, final_life, final_poison, final_tax, final_energy, commander_damage, elimination_order, is_winner, profile_id, deck_id, commander_name, elimination_turn, elimination_reason, eliminated_by_seat)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?);`,
+        [
+          match.id,
+          participant.seat,
+          participant.playerId,
+          participant.name,
+          participant.finalLife,
+          participant.finalPoison,
+          participant.finalTax,
+          participant.finalEnergy,
+          JSON.stringify(participant.commanderDamage ?? []),
+          participant.eliminationOrder ?? null,
+          participant.isWinner ? 1 : 0,
+          participant.profileId ?? null,
+          participant.deckId ?? null,
+          participant.commanderName ?? null,
+          participant.eliminationTurn ?? null,
+          participant.eliminationReason ?? null,
+          participant.eliminatedBySeat ?? null,
+        ]
+      );
+    }
+  });
+}
+
+export async function listMatchesWithParticipants() {
+  const matches = await queryAll('SELECT * FROM matches ORDER BY ended_at DESC;');
+  const participants = await queryAll(
+    'SELECT * FROM match_participants ORDER BY match_id, seat ASC;'
+  );
+  return matches.map((match) => ({
+    ...match,
+    participants: participants.filter((p) => p.match_id === match.id),
+  }));
+}
+
+export async function deleteMatch(matchId) {
+  await db.withTransactionAsync(async () => {
+    await exec('DELETE FROM match_participants WHERE match_id = ?;', [matchId]);
+    await exec('DELETE FROM matches WHERE id = ?;', [matchId]);
+  });
+}
+
+function parseDeckIds(value) {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function toProfile(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color ?? null,
+    favoriteDeckIds: parseDeckIds(row.favorite_deck_ids),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function listProfiles() {
+  const rows = await queryAll('SELECT * FROM profiles ORDER BY name COLLATE NOCASE ASC;');
+  return rows.map(toProfile);
+}
+
+export async function createProfile({ name, color = null, favoriteDeckIds = [] }) {
+  const id = `profile_${Date.now()}`;
+  const now = new Date().toISOString();
+  await exec(
+    'INSERT INTO profiles (id, name, color, favorite_deck_ids, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?);',
+    [id, (name ?? '').trim(), color, JSON.stringify(favoriteDeckIds), now, now]
+  );
+  return { id, name: (name ?? '').trim(), color, favoriteDeckIds, createdAt: now, updatedAt: now };
+}
+
+export async function updateProfile(profileId, { name, color = null, favoriteDeckIds = [] }) {
+  await exec(
+    'UPDATE profiles SET name = ?, color = ?, favorite_deck_ids = ?, updated_at = ? WHERE id = ?;',
+    [(name ?? '').trim(), color, JSON.stringify(favoriteDeckIds), new Date().toISOString(), profileId]
+  );
+}
+
+// Past games keep their participants; they are only detached from the profile.
+export async function deleteProfile(profileId) {
+  await db.withTransactionAsync(async () => {
+    await exec('UPDATE match_participants SET profile_id = NULL WHERE profile_id = ?;', [profileId]);
+    await exec('DELETE FROM profiles WHERE id = ?;', [profileId]);
+  });
+}
+
+// Statistics only count games that ended with a winner; restarted games are
+// left out.
+export async function getProfileStats(profileId) {
+  const finished = `FROM match_participants mp
+     JOIN matches m ON m.id = mp.match_id
+     WHERE mp.profile_id = ? AND m.end_reason = 'win'`;
+  const totals = await queryFirst(
+    `SELECT COUNT(*) AS games,
+            COALESCE(SUM(mp.is_winner), 0) AS wins,
+            AVG(mp.elimination_turn) AS avg_elimination_turn
+     ${finished};`,
+    [profileId]
+  );
+  const bySeat = await queryAll(
+    `SELECT mp.seat AS seat, COUNT(*) AS games, SUM(mp.is_winner) AS wins
+     ${finished}
+     GROUP BY mp.seat
+     ORDER BY mp.seat ASC;`,
+    [profileId]
+  );
+  const byPlayerCount = await queryAll(
+    `SELECT m.player_count AS player_count, COUNT(*) AS games, SUM(mp.is_winner) AS wins
+     ${finished}
+     GROUP BY m.player_count
+     ORDER BY m.player_count ASC;`,
+    [profileId]
+  );
+  const commanders = await queryAll(
+    `SELECT mp.commander_name AS commander_name, COUNT(*) AS games, SUM(mp.is_winner) AS wins
+     ${finished} AND mp.commander_name IS NOT NULL
+     GROUP BY mp.commander_name
+     ORDER BY games DESC, wins DESC
+     LIMIT 5;`,
+    [profileId]
+  );
+  return {
+    games: totals?.games ?? 0,
+    wins: totals?.wins ?? 0,
+    avgEliminationTurn: totals?.avg_elimination_turn ?? null,
+    bySeat,
+    byPlayerCount,
+    commanders,
+  };
+}
@@ -0,0 +1,185 @@
+import * as FileSystem from 'expo-file-system/legacy';
+import { deckCommanderIds } from './deckValidation';
+import { getCardCollection } from './scryfall';
+
+const EXPORTS_DIR = `${FileSystem.documentDirectory}exports/`;
+
+export const EXPORT_FORMATS = [
+  { id: 'text', label: 'Plain Text', extension: 'txt', mimeType: 'text/plain' },
+  { id: 'arena', label: 'Arena', extension: 'txt', mimeType: 'text/plain' },
+  { id: 'mtgo', label: 'MTGO (.dek)', extension: 'dek', mimeType: 'application/xml' },
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  { id: 'json', label: 'JSON (full backup)', extension: 'json', mimeType: 'application/json' },
+];
+
+// Columns of the `cards` table, all of which the JSON export keeps.
+const CARD_COLUMNS = [
+  'id',
+  'name',
+  'mana_cost',
+  'type_line',
+  'oracle_text',
+  'colors',
+  'color_identity',
+  'cmc',
+  'legal_commander',
+  'image_uri',
+  'art_image_uri',
+  'set_code',
+  'collector_number',
+  'mtgo_id',
+];
+
+function splitDeck(deck) {
+  const cards = [...(deck.cards ?? [])].sort((a, b) => a.name.localeCompare(b.name));
+  const commanderIds = deckCommanderIds(deck);
+  const isCommander = (card) => commanderIds.includes(card.card_id ?? card.id);
+  return {
+    commanders: cards.filter(isCommander),
+    mainboard: cards.filter((card) => !isCommander(card)),
+  };
+}
+
+function printing(card) {
+  if (!card.set_code) return '';
+  return ` (${card.set_code.toUpperCase()})${card.collector_number ? ` ${card.collector_number}` : ''}`;
+}
+
+// Section headers keep the commander apart and are understood when the list
+// is imported again; Arena adds each card's printing.
+function toSections(deck, withPrinting) {
+  const { commanders, mainboard } = splitDeck(deck);
+  const lines = (cards) =>
+    cards.map((card) => `${card.quantity} ${card.name}${withPrinting ? printing(card) : ''}`);
+  const parts = commanders.length ? ['Commander', ...lines(commanders), ''] : [];
+  return [...parts, 'Deck', ...lines(mainboard)].join('\n');
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// MTGO finds cards by catalog id (CatID) and keeps the commander in the
+// sideboard. Run the deck through `withMtgoIds` first; a card with no MTGO
+// printing is written by name only.
+function toMtgo(deck) {
+  const { commanders, mainboard } = splitDeck(deck);
+  const rows = [
+    ...mainboard.map((card) => ({ card, sideboard: false })),
+    ...commanders.map((card) => ({ card, sideboard: true })),
+  ].map(({ card, sideboard }) => {
+    const catId = card.mtgo_id ? `CatID="${card.mtgo_id}" ` : '';
+    return `  <Cards ${catId}Quantity="${card.quantity}" Sideboard="${sideboard}" Name="${escapeXml(card.name)}" />`;
+  });
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<Deck xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <NetDeckID>0</NetDeckID>',
+    '  <PreconstructedDeckID>0</PreconstructedDeckID>',
+    ...rows,
+    '</Deck>',
+  ].join('\n');
+}
+
+// Cards saved before the app kept MTGO ids, or whose printing isn't on MTGO,
+// are looked up on Scryfall: the same printing first, then the card's
+// default printing.
+export async function withMtgoIds(deck) {
+  const cards = deck.cards ?? [];
+  const idOf = (card) => card.card_id ?? card.id;
+  const found = new Map();
+  const missing = cards.filter((card) => !card.mtgo_id);
+  if (missing.length) {
+    const byPrinting = await getCardCollection(missing.map((card) => ({ id: idOf(card) })));
+    byPrinting.found.forEach((card) => {
+      if (card.mtgo_id) found.set(card.id, card.mtgo_id);
+    });
+  }
+  const unnamed = missing.filter((card) => !found.has(idOf(card)));
+  if (unnamed.length) {
+    const byName = await getCardCollection(unnamed.map((card) => ({ name: card.name })));
+    const idsByName = new Map(
+      byName.found.filter((card) => card.mtgo_id).map((card) => [card.name, card.mtgo_id])
+    );
+    unnamed.forEach((card) => {
+      if (idsByName.has(card.name)) found.set(idOf(card), idsByName.get(card.name));
+    });
+  }
+  return {
+    ...deck,
+    cards: cards.map((card) => (card.mtgo_id ? card : { ...card, mtgo_id: found.get(idOf(card)) ?? null })),
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(deck) {
+  const { commanders, mainboard } = splitDeck(deck);
+  const rows = [...commanders, ...mainboard].map((card) =>
+    [card.name, card.quantity, card.set_code, card.collector_number, card.type_line]
+      .map(csvField)
+      .join(',')
+  );
+  return ['Name,Quantity,Set,Collector Number,Type', ...rows].join('\n');
+}
+
+function toJson(deck) {
+  const commanderIds = deckCommanderIds(deck);
+  const cards = (deck.cards ?? []).map((row) => {
+    const card = {};
+    CARD_COLUMNS.forEach((column) => {
+      card[column] = row[column] ?? null;
+    });
+    return { card, quantity: row.quantity, is_commander: commanderIds.includes(row.card_id ?? row.id) ? 1 : 0 };
+  });
+  return JSON.stringify(
+    {
+      format: 'bloodscroll-deck',
+      version: 1,
+      deck: {
+        id: deck.id,
+        name: deck.name,
+        commander_card_id: deck.commander_card_id ?? null,
+        partner_card_id: deck.partner_card_id ?? null,
+        created_at: deck.created_at,
+        updated_at: deck.updated_at,
+      },
+      cards,
+    },
+    null,
+    2
+  );
+}
+
+const WRITERS = {
+  text: (deck) => toSections(deck, false),
+  arena: (deck) => toSections(deck, true),
+  mtgo: toMtgo,
+  csv: toCsv,
+  json: toJson,
+};
+
+export function exportDeck(deck, formatId) {
+  const format = EXPORT_FORMATS.find((item) => item.id === formatId) ?? EXPORT_FORMATS[0];
+  const baseName = (deck.name ?? '').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '_') || 'deck';
+  const suffix = format.id === 'arena' ? '_arena' : '';
+  return {
+    format,
+    fileName: `${baseName}${suffix}.${format.extension}`,
+    contents: WRITERS[format.id](deck),
+  };
+}
+
+export async function writeDeckExport(exported) {
+  await FileSystem.makeDirectoryAsync(EXPORTS_DIR, { intermediates: true });
+  const uri = `${EXPORTS_DIR}${exported.fileName}`;
+  await FileSystem.writeAsStringAsync(uri, exported.contents);
+  return uri;
+}
@@ -0,0 +1,129 @@
+import { parseManaCost } from '../components/decks/ManaSymbols';
+
+export const COLORS = ['W', 'U', 'B', 'R', 'G', 'C'];
+
+export const CARD_TYPES = [
+  'Creature',
+  'Artifact',
+  'Enchantment',
+  'Instant',
+  'Sorcery',
+  'Planeswalker',
+  'Battle',
+  'Land',
+];
+
+export const CURVE_MAX = 7;
+
+const BASIC_TYPES = { Plains: 'W', Island: 'U', Swamp: 'B', Mountain: 'R', Forest: 'G' };
+
+// Modal double-faced cards count as whatever their front face is.
+function frontType(card) {
+  return (card.type_line ?? '').split(' // ')[0];
+}
+
+function isLand(card) {
+  return /\bLand\b/.test(frontType(card));
+}
+
+// Hybrid and Phyrexian symbols ask for each of their colors; generic and X
+// costs ask for none.
+function tokenColors(token) {
+  return token.split('/').filter((part) => COLORS.includes(part));
+}
+
+function countPips(manaCost) {
+  const pips = {};
+  parseManaCost(manaCost).forEach((token) => {
+    tokenColors(token).forEach((color) => {
+      pips[color] = (pips[color] ?? 0) + 1;
+    });
+  });
+  return pips;
+}
+
+// Colors a land can tap for: basic land types, plus any mana symbols or "any
+// color" in its rules text.
+export function landColors(card) {
+  const colors = new Set();
+  const subtypes = frontType(card).split(' — ')[1] ?? '';
+  Object.entries(BASIC_TYPES).forEach(([type, color]) => {
+    if (subtypes.includes(type)) colors.add(color);
+  });
+  const text = card.oracle_text ?? '';
+  if (/mana of any (one )?color|any type of mana/i.test(text)) {
+    ['W', 'U', 'B', 'R', 'G'].forEach((color) => colors.add(color));
+  }
+  (text.match(/Add[^.]*\./g) ?? []).forEach((sentence) => {
+    parseManaCost(sentence).forEach((token) => {
+      tokenColors(token).forEach((color) => colors.add(color));
+    });
+  });
+  return [...colors];
+}
+
+const average = (total, count) => (count ? total / count : 0);
+
+export function buildDeckStats(cards) {
+  const curve = Array.from({ length: CURVE_MAX + 1 }, () => 0);
+  const pips = {};
+  const sources = {};
+  const types = {};
+  let total = 0;
+  let lands = 0;
+  let manaValue = 0;
+  let nonlandManaValue = 0;
+
+  cards.forEach((card) => {
+    const quantity = card.quantity || 0;
+    const cmc = Number(card.cmc) || 0;
+    total += quantity;
+    manaValue += cmc * quantity;
+
+    CARD_TYPES.forEach((type) => {
+      if (new RegExp(`\\b${type}\\b`).test(frontType(card))) {
+        types[type] = (types[type] ?? 0) + quantity;
+      }
+    });
+
+    if (isLand(card)) {
+      lands += quantity;
+      landColors(card).forEach((color) => {
+        sources[color] = (sources[color] ?? 0) + quantity;
+      });
+      return;
+    }
+
+    nonlandManaValue += cmc * quantity;
+    curve[Math.min(CURVE_MAX, Math.floor(cmc))] += quantity;
+    Object.entries(countPips(card.mana_cost)).forEach(([color, count]) => {
+      pips[color] = (pips[color] ?? 0) + count * quantity;
+    });
+  });
+
+  return {
+    total,
+    lands,
+    nonlands: total - lands,
+    averageManaValue: average(manaValue, total),
+    averageNonlandManaValue: average(nonlandManaValue, total - lands),
+    curve,
+    pips,
+    sources,
+    types,
+  };
+}
+
+// Each color's share of the deck's pips next to its share of the land
+// sources, so a color that is asked for more than it is produced stands out.
+export function colorBalance(stats) {
+  const pipTotal = Object.values(stats.pips).reduce((sum, value) => sum + value, 0);
+  const sourceTotal = Object.values(stats.sources).reduce((sum, value) => sum + value, 0);
+  return COLORS.filter((color) => stats.pips[color] || stats.sources[color]).map((color) => ({
+    color,
+    pips: stats.pips[color] ?? 0,
+    sources: stats.sources[color] ?? 0,
+    demand: average(stats.pips[color] ?? 0, pipTotal),
+    supply: average(stats.sources[color] ?? 0, sourceTotal),
+  }));
+}
@@ -0,0 +1,211 @@
+export const DECK_SIZE = 100;
+
+const COLOR_ORDER = ['W', 'U', 'B', 'R', 'G'];
+
+const NUMBER_WORDS = {
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+};
+
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function symbolColors(text) {
+  const colors = new Set();
+  (text.match(/\{[^}]+\}/g) ?? []).forEach((symbol) => {
+    // Hybrid and Phyrexian symbols such as {W/U}, {2/B} or {G/P} carry every
+    // color they name.
+    symbol
+      .slice(1, -1)
+      .split('/')
+      .forEach((part) => {
+        if (COLOR_ORDER.includes(part)) colors.add(part);
+      });
+  });
+  return colors;
+}
+
+// Reminder text is in parentheses and does not count towards color
+// identity, e.g. the {W} inside "(Extort ... you may pay {W/B} ...)".
+function stripReminderText(text) {
+  return (text ?? '').replace(/\([^)]*\)/g, '');
+}
+
+// Scryfall's color identity already follows the rules, so it is used when
+// stored. Cards saved without one fall back to reading the mana cost and the
+// rules text without reminder text.
+export function cardColorIdentity(card) {
+  const stored = parseList(card.color_identity);
+  if (stored) return stored;
+  const colors = symbolColors(`${card.mana_cost ?? ''} ${stripReminderText(card.oracle_text)}`);
+  return COLOR_ORDER.filter((color) => colors.has(color));
+}
+
+// How many copies of a card a deck may hold.
+export function copyLimit(card) {
+  if (/\bBasic\b/.test(card.type_line ?? '')) return Infinity;
+  const text = card.oracle_text ?? '';
+  if (/A deck can have any number of cards named/i.test(text)) return Infinity;
+  const upTo = /A deck can have up to (\w+) cards named/i.exec(text);
+  if (upTo) return NUMBER_WORDS[upTo[1].toLowerCase()] ?? (Number(upTo[1]) || 1);
+  return 1;
+}
+
+function frontFace(card) {
+  return {
+    type: (card.type_line ?? '').split(' // ')[0],
+    text: (card.oracle_text ?? '').split('\n\n')[0],
+  };
+}
+
+function hasKeyword(card, pattern) {
+  return (card.oracle_text ?? '').split('\n').some((line) => pattern.test(line.trim()));
+}
+
+const isPartner = (card) => hasKeyword(card, /^Partner(\s*\(|$)/);
+const partnerWithName = (card) =>
+  /^Partner with ([^(\n]+)/m.exec(card.oracle_text ?? '')?.[1]?.trim();
+const isFriendsForever = (card) => hasKeyword(card, /^Friends forever(\s*\(|$)/);
+const choosesBackground = (card) => hasKeyword(card, /^Choose a Background(\s*\(|$)/);
+const isBackground = (card) => /\bBackground\b/.test(frontFace(card).type);
+const isDoctorsCompanion = (card) => hasKeyword(card, /^Doctor's companion(\s*\(|$)/);
+const isDoctor = (card) =>
+  /\bCreature\b/.test(frontFace(card).type) && /\bTime Lord Doctor\b/.test(frontFace(card).type);
+
+export function canBeCommander(card) {
+  const { type, text } = frontFace(card);
+  if (/\bLegendary\b/.test(type) && /\bCreature\b/.test(type)) return true;
+  if (/can be your commander/i.test(text)) return true;
+  return isBackground(card);
+}
+
+// Returns why two cards cannot share command, or null when they can.
+export function commanderPairProblem(a, b) {
+  if (a.name === b.name) return 'The two commanders must be different cards.';
+  const withA = partnerWithName(a);
+  const withB = partnerWithName(b);
+  if (withA || withB) {
+    return withA === b.name && withB === a.name
+      ? null
+      : `${withA ? a.name : b.name} can only partner with ${withA ?? withB}.`;
+  }
+  if (isPartner(a) && isPartner(b)) return null;
+  if (isFriendsForever(a) && isFriendsForever(b)) return null;
+  if ((choosesBackground(a) && isBackground(b)) || (choosesBackground(b) && isBackground(a))) {
+    return null;
+  }
+  if ((isDoctorsCompanion(a) && isDoctor(b)) || (isDoctorsCompanion(b) && isDoctor(a))) {
+    return null;
+  }
+  return `${a.name} and ${b.name} can't be commanders together.`;
+}
+
+// The deck's commander and partner ids. These, not the `is_commander` flag on
+// each row, decide which cards are the commanders.
+export function deckCommanderIds(deck) {
+  return [deck?.commander_card_id, deck?.partner_card_id].filter(Boolean);
+}
+
+// Checks a whole deck against the Commander deck construction rules, with the
+// commanders given by `commanderIds` (see `deckCommanderIds`). Each problem
+// has a message and the ids of the cards it is about.
+export function validateDeck(cards, commanderIds = []) {
+  const problems = [];
+  const isCommander = (card) => commanderIds.includes(card.card_id ?? card.id);
+  const commanders = cards.filter(isCommander);
+  const total = cards.reduce((sum, card) => sum + (card.quantity || 0), 0);
+
+  if (!commanders.length) {
+    problems.push({ code: 'no-commander', message: 'No commander set.', cardIds: [] });
+  } else if (commanders.length === 2) {
+    const pairProblem = commanderPairProblem(commanders[0], commanders[1]);
+    if (pairProblem) {
+      problems.push({
+        code: 'commander-pair',
+        message: pairProblem,
+        cardIds: commanders.map((card) => card.card_id ?? card.id),
+      });
+    }
+  }
+
+  commanders.forEach((card) => {
+    const lone = commanders.length === 1;
+    if (!canBeCommander(card) || (lone && isBackground(card))) {
+      problems.push({
+        code: 'not-a-commander',
+        message: `${card.name} can't be a commander.`,
+        cardIds: [card.card_id ?? card.id],
+      });
+    }
+  });
+
+  if (total !== DECK_SIZE) {
+    problems.push({
+      code: 'deck-size',
+      message: `The deck has ${total} cards; it needs exactly ${DECK_SIZE}.`,
+      cardIds: [],
+    });
+  }
+
+  cards.forEach((card) => {
+    if (card.legal_commander === 0 || card.legal_commander === false) {
+      problems.push({
+        code: 'banned',
+        message: `${card.name} is banned or not legal in Commander.`,
+        cardIds: [card.card_id ?? card.id],
+      });
+    }
+  });
+
+  // Different printings of a card are separate rows, so copies are counted
+  // by name.
+  const byName = new Map();
+  cards.forEach((card) => byName.set(card.name, [...(byName.get(card.name) ?? []), card]));
+  byName.forEach((printings, name) => {
+    const copies = printings.reduce((sum, card) => sum + (card.quantity || 0), 0);
+    const limit = copyLimit(printings[0]);
+    if (copies > limit) {
+      problems.push({
+        code: 'singleton',
+        message:
+          limit === 1
+            ? `${name} appears ${copies} times; only one copy is allowed.`
+            : `${name} appears ${copies} times; at most ${limit} are allowed.`,
+        cardIds: printings.map((card) => card.card_id ?? card.id),
+      });
+    }
+  });
+
+  if (commanders.length) {
+    const identity = new Set(commanders.flatMap(cardColorIdentity));
+    cards
+      .filter((card) => !isCommander(card))
+      .forEach((card) => {
+        const outside = cardColorIdentity(card).filter((color) => !identity.has(color));
+        if (outside.length) {
+          problems.push({
+            code: 'color-identity',
+            message: `${card.name} is outside the commander's colors (${outside.join('')}).`,
+            cardIds: [card.card_id ?? card.id],
+          });
+        }
+      });
+  }
+
+  return problems;
+}
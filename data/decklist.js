@@ -0,0 +1,134 @@
+import { getCardCollection } from './scryfall';
+
+// Section headers used by Arena, MTGO and Moxfield exports. Only the
+// commander and main deck sections are imported.
+const SECTIONS = {
+  commander: 'commander',
+  commanders: 'commander',
+  deck: 'deck',
+  main: 'deck',
+  mainboard: 'deck',
+  companion: 'skip',
+  sideboard: 'skip',
+  maybeboard: 'skip',
+  considering: 'skip',
+  tokens: 'skip',
+  about: 'about',
+};
+
+// "1 Sol Ring", "1x Sol Ring (C21) 263", "Sol Ring *CMDR*", "1 Sol Ring (C21) 263 *F*"
+const CARD_LINE =
+  /^(?:(\d+)\s*x?\s+)?(.+?)(?:\s+\(([A-Za-z0-9]{2,6})\)(?:\s+([A-Za-z0-9★-]+))?)?((?:\s+\*[A-Za-z]+\*)*)$/;
+
+function sectionOf(line) {
+  const key = line.replace(/:$/, '').replace(/\s*\(\d+\)$/, '').trim().toLowerCase();
+  return SECTIONS[key] ?? null;
+}
+
+// Arena writes split cards with a single slash where Scryfall uses " // ".
+function scryfallName(name) {
+  return name.trim().replace(/\s*\/\/?\s*/g, ' // ');
+}
+
+// Lines are matched back to Scryfall cards by a lower-cased name.
+export function cardNameKey(name) {
+  return scryfallName(name).toLowerCase();
+}
+
+export function parseDecklist(text) {
+  const entries = [];
+  const invalid = [];
+  let section = 'deck';
+
+  (text ?? '').split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('//') || line.startsWith('#')) return;
+    const header = sectionOf(line);
+    if (header) {
+      section = header;
+      return;
+    }
+    if (section === 'skip' || section === 'about') return;
+
+    const match = CARD_LINE.exec(line);
+    const quantity = match ? Number(match[1] ?? 1) : 0;
+    if (!match || quantity < 1) {
+      invalid.push({ line: index + 1, text: line });
+      return;
+    }
+    const markers = (match[5] ?? '').toUpperCase();
+    const name = match[2].trim();
+    const commander = section === 'commander' || markers.includes('*CMDR*');
+    const existing = entries.find(
+      (entry) => cardNameKey(entry.name) === cardNameKey(name) && entry.commander === commander
+    );
+    if (existing) {
+      existing.quantity += quantity;
+      return;
+    }
+    entries.push({
+      line: index + 1,
+      text: line,
+      name,
+      quantity,
+      set: match[3]?.toLowerCase() ?? null,
+      collectorNumber: match[4] ?? null,
+      commander,
+    });
+  });
+
+  return { entries, invalid };
+}
+
+// Scryfall names double-faced and split cards "Front // Back", while lists
+// often only give the front face.
+export function matchesEntry(card, entry) {
+  const key = cardNameKey(entry.name);
+  if (cardNameKey(card.name) === key) return true;
+  return cardNameKey(card.name.split(' // ')[0]) === key;
+}
+
+function printIdentifier(entry) {
+  return entry.set && entry.collectorNumber
+    ? { set: entry.set, collector_number: entry.collectorNumber }
+    : null;
+}
+
+function findCard(cards, entry, byPrint) {
+  return cards.find(
+    (card) =>
+      matchesEntry(card, entry) &&
+      (!byPrint || (card.set === entry.set && card.collector_number === entry.collectorNumber))
+  );
+}
+
+// Entries with a set and collector number ask for that exact printing first;
+// any that Scryfall does not know, such as Arena-only set codes, are retried
+// by name.
+export async function resolveDecklist(entries) {
+  const { found } = await getCardCollection(
+    entries.map((entry) => printIdentifier(entry) ?? { name: scryfallName(entry.name) })
+  );
+  const resolved = [];
+  let missing = [];
+  entries.forEach((entry) => {
+    const card = findCard(found, entry, !!printIdentifier(entry));
+    if (card) resolved.push({ entry, card });
+    else missing.push(entry);
+  });
+
+  const retry = missing.filter((entry) => printIdentifier(entry));
+  if (retry.length) {
+    const { found: byName } = await getCardCollection(
+      retry.map((entry) => ({ name: scryfallName(entry.name) }))
+    );
+    missing = missing.filter((entry) => {
+      const card = printIdentifier(entry) ? findCard(byName, entry, false) : null;
+      if (card) resolved.push({ entry, card });
+      return !card;
+    });
+  }
+
+  resolved.sort((a, b) => a.entry.line - b.entry.line);
+  return { resolved, unresolved: missing };
+}
@@ -0,0 +1,56 @@
+export const UNDERCITY_ROOMS = {
+  "secret-entrance": { name: "Secret Entrance", next: ["forge", "lost-well"] },
+  forge: { name: "Forge", next: ["trap", "arena"] },
+  "lost-well": { name: "Lost Well", next: ["arena", "stash"] },
+  trap: { name: "Trap!", next: ["archives"] },
+  arena: { name: "Arena", next: ["archives", "catacombs"] },
+  stash: { name: "Stash", next: ["catacombs"] },
+  archives: { name: "Archives", next: ["throne"] },
+  catacombs: { name: "Catacombs", next: ["throne"] },
+  throne: { name: "Throne of the Dead Three", next: [] },
+};
+
+export const UNDERCITY_ENTRANCE = "secret-entrance";
+
+export const DAY_NIGHT = ["day", "night"];
+
+export const PLAYER_FLAGS = [{ id: "citysBlessing", label: "City's Blessing", icon: "city" }];
+
+export function createDesignations() {
+  return { monarchId: null, initiativeId: null, undercity: {}, dayNight: null };
+}
+
+// Venturing from the last room completes the dungeon and starts over at the
+// entrance, as with any other dungeon.
+export function getNextRooms(roomId) {
+  if (!roomId || !UNDERCITY_ROOMS[roomId]?.next.length) return [UNDERCITY_ENTRANCE];
+  return UNDERCITY_ROOMS[roomId].next;
+}
+
+export function roomName(roomId) {
+  return UNDERCITY_ROOMS[roomId]?.name ?? null;
+}
+
+export function normalizeFlags(rawFlags) {
+  const flags = {};
+  PLAYER_FLAGS.forEach(({ id }) => {
+    if (rawFlags?.[id] === true) flags[id] = true;
+  });
+  return flags;
+}
+
+export function normalizeDesignations(rawDesignations, playerIds) {
+  const base = createDesignations();
+  if (!rawDesignations || typeof rawDesignations !== "object") return base;
+  const toPlayer = (id) => (playerIds.includes(id) ? id : null);
+  const undercity = {};
+  Object.entries(rawDesignations.undercity ?? {}).forEach(([id, roomId]) => {
+    if (playerIds.includes(id) && UNDERCITY_ROOMS[roomId]) undercity[id] = roomId;
+  });
+  return {
+    monarchId: toPlayer(rawDesignations.monarchId),
+    initiativeId: toPlayer(rawDesignations.initiativeId),
+    undercity,
+    dayNight: DAY_NIGHT.includes(rawDesignations.dayNight) ? rawDesignations.dayNight : null,
+  };
+}
@@ -0,0 +1,61 @@
+export const QUICK_DICE = ["d4", "d6", "d8", "d10", "d12", "d20", "2d6", "d100"];
+
+export const MAX_DICE = 50;
+export const MAX_SIDES = 1000;
+export const MAX_COINS = 50;
+export const MAX_THUMBS = 4;
+export const ROLL_HISTORY_LIMIT = 40;
+
+const PLANAR_FACES = ["planeswalk", "chaos", "blank", "blank", "blank", "blank"];
+
+const randomInt = (max) => Math.floor(Math.random() * max) + 1;
+
+// Accepts the usual "NdX+M" notation: "d20", "3d6+2", "2d8 - 1".
+export function parseDicePool(text) {
+  const match = /^(\d*)d(\d+)(?:([+-])(\d+))?$/i.exec(String(text).replace(/\s+/g, ""));
+  if (!match) return null;
+  const count = match[1] ? Number(match[1]) : 1;
+  const sides = Number(match[2]);
+  const modifier = match[3] ? Number(`${match[3]}${match[4]}`) : 0;
+  if (count < 1 || count > MAX_DICE || sides < 2 || sides > MAX_SIDES) return null;
+  return { count, sides, modifier };
+}
+
+export function formatDicePool({ count, sides, modifier }) {
+  const base = `${count === 1 ? "" : count}d${sides}`;
+  if (!modifier) return base;
+  return `${base}${modifier > 0 ? "+" : "-"}${Math.abs(modifier)}`;
+}
+
+export function rollDicePool(pool) {
+  const rolls = Array.from({ length: pool.count }, () => randomInt(pool.sides));
+  return { rolls, total: rolls.reduce((sum, roll) => sum + roll, 0) + pool.modifier };
+}
+
+// Each Krark's Thumb doubles the coins flipped per flip, and you keep the one
+// you like, so a flip comes up heads when any of its coins does.
+export function flipCoins(count, thumbs = 0) {
+  const perFlip = 2 ** thumbs;
+  const flips = Array.from({ length: count }, () =>
+    Array.from({ length: perFlip }, () => Math.random() < 0.5).some(Boolean)
+  );
+  return { flips, heads: flips.filter(Boolean).length };
+}
+
+export function rollPlanarDie() {
+  return PLANAR_FACES[randomInt(PLANAR_FACES.length) - 1];
+}
+
+export function planarFaceLabel(face) {
+  if (face === "planeswalk") return "Planeswalk";
+  if (face === "chaos") return "Chaos";
+  return "Blank";
+}
+
+// Eliminated players are never picked; `excludeId` leaves out the player
+// asking, for "random opponent".
+export function pickRandomPlayer(players, excludeId = null) {
+  const candidates = players.filter((p) => !p.isDead && p.id !== excludeId);
+  if (!candidates.length) return null;
+  return candidates[randomInt(candidates.length) - 1];
+}
@@ -0,0 +1,48 @@
+import { counterHasLost } from "./counters";
+
+// Labels for why a player is out. The first four are checked from the board;
+// the rest are declared by the players themselves.
+export const ELIMINATION_REASONS = {
+  commander: "Commander damage",
+  poison: "Poison",
+  counter: "Counter limit",
+  life: "Life loss",
+  concede: "Conceded",
+  milled: "Milled out",
+  "alternate-win": "Alternate win",
+};
+
+export const MANUAL_REASONS = ["concede", "milled", "alternate-win"];
+
+// Reasons that only say how a player lost, not to whom; those are credited
+// to whoever caused the final change.
+export const UNATTRIBUTED_REASONS = ["life", "poison", "counter"];
+
+// Every loss condition the player currently meets, most specific first, so
+// lethal commander damage is reported as such rather than as life loss.
+export function lossReasons(player, format) {
+  const reasons = [];
+  if (format.commanderDamageLimit) {
+    const sourceId = Object.keys(player.commanderDamage || {}).find((fromId) =>
+      player.commanderDamage[fromId].some((value) => value >= format.commanderDamageLimit)
+    );
+    if (sourceId) reasons.push({ reason: "commander", by: sourceId });
+  }
+  if (format.poisonLimit && player.poison >= format.poisonLimit) {
+    reasons.push({ reason: "poison", by: null });
+  }
+  if ((player.counters ?? []).some(counterHasLost)) reasons.push({ reason: "counter", by: null });
+  if (player.life <= 0) reasons.push({ reason: "life", by: null });
+  return reasons;
+}
+
+export function normalizeElimination(raw) {
+  if (!raw || typeof raw.reason !== "string" || !ELIMINATION_REASONS[raw.reason]) return null;
+  return { reason: raw.reason, by: typeof raw.by === "string" ? raw.by : null };
+}
+
+export function describeElimination(reason, byName) {
+  const label = ELIMINATION_REASONS[reason] ?? "Eliminated";
+  if (!byName) return label;
+  return `${label} ${reason === "alternate-win" ? "by" : "from"} ${byName}`;
+}
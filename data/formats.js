@@ -0,0 +1,106 @@
+import { COMMANDER_DAMAGE_LIMIT } from "./commanders";
+
+export const POISON_LIMIT = 10;
+
+export const FORMAT_PRESETS = [
+  {
+    id: "commander",
+    name: "Commander",
+    startingLife: 40,
+    poisonLimit: POISON_LIMIT,
+    commanderDamageLimit: COMMANDER_DAMAGE_LIMIT,
+    counters: { poison: true, energy: true, tax: true },
+  },
+  {
+    id: "duel-commander",
+    name: "Duel Commander",
+    startingLife: 20,
+    poisonLimit: POISON_LIMIT,
+    commanderDamageLimit: COMMANDER_DAMAGE_LIMIT,
+    counters: { poison: true, energy: true, tax: true },
+  },
+  {
+    id: "brawl",
+    name: "Brawl",
+    startingLife: 25,
+    poisonLimit: POISON_LIMIT,
+    commanderDamageLimit: null,
+    counters: { poison: true, energy: true, tax: true },
+  },
+  {
+    id: "brawl-multiplayer",
+    name: "Brawl (Multiplayer)",
+    startingLife: 30,
+    poisonLimit: POISON_LIMIT,
+    commanderDamageLimit: null,
+    counters: { poison: true, energy: true, tax: true },
+  },
+  {
+    id: "oathbreaker",
+    name: "Oathbreaker",
+    startingLife: 20,
+    poisonLimit: POISON_LIMIT,
+    commanderDamageLimit: null,
+    counters: { poison: true, energy: true, tax: true },
+  },
+  {
+    id: "two-headed-giant",
+    name: "Two-Headed Giant",
+    startingLife: 30,
+    poisonLimit: 15,
+    commanderDamageLimit: COMMANDER_DAMAGE_LIMIT,
+    counters: { poison: true, energy: true, tax: true },
+    teams: true,
+  },
+  {
+    id: "constructed",
+    name: "60-card",
+    startingLife: 20,
+    poisonLimit: POISON_LIMIT,
+    commanderDamageLimit: null,
+    counters: { poison: true, energy: true, tax: false },
+  },
+];
+
+export const DEFAULT_FORMAT = FORMAT_PRESETS[0];
+
+export function createCustomFormat(fields, at = Date.now()) {
+  return normalizeFormat({ ...DEFAULT_FORMAT, ...fields, id: `custom_${at}`, custom: true });
+}
+
+function toLimit(value, fallback) {
+  if (value === null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : fallback;
+}
+
+export function normalizeFormat(rawFormat) {
+  if (!rawFormat || typeof rawFormat !== "object" || typeof rawFormat.id !== "string") {
+    return DEFAULT_FORMAT;
+  }
+  const life = Number(rawFormat.startingLife);
+  return {
+    id: rawFormat.id,
+    name:
+      typeof rawFormat.name === "string" && rawFormat.name.trim()
+        ? rawFormat.name.trim()
+        : "Custom",
+    startingLife: Number.isFinite(life) && life > 0 ? Math.round(life) : DEFAULT_FORMAT.startingLife,
+    poisonLimit: toLimit(rawFormat.poisonLimit, POISON_LIMIT),
+    commanderDamageLimit: toLimit(rawFormat.commanderDamageLimit, COMMANDER_DAMAGE_LIMIT),
+    counters: {
+      poison: rawFormat.counters?.poison !== false,
+      energy: rawFormat.counters?.energy !== false,
+      tax: rawFormat.counters?.tax !== false,
+    },
+    ...(rawFormat.teams ? { teams: true } : null),
+    ...(rawFormat.custom ? { custom: true } : null),
+  };
+}
+
+export function normalizeCustomFormats(rawFormats) {
+  if (!Array.isArray(rawFormats)) return [];
+  return rawFormats
+    .filter((format) => format?.custom && typeof format.id === "string")
+    .map(normalizeFormat);
+}
@@ -0,0 +1,120 @@
+import { getEliminationOrder, getMatchEvents } from "./matchLog";
+import { getAliveSides } from "./teams";
+
+export const LIFE_GRAPH_LIMIT = 400;
+
+function lifeByPlayer(players) {
+  const life = {};
+  players.forEach((p) => {
+    life[p.id] = p.life;
+  });
+  return life;
+}
+
+function sameLife(a, b) {
+  const ids = Object.keys(b);
+  return ids.length === Object.keys(a).length && ids.every((id) => a[id] === b[id]);
+}
+
+// The life graph keeps every player's life each time any of it changes, so
+// undo, shared team life and group actions all show up as they happened.
+export function createLifeGraph(match, players) {
+  if (!match || !players.length) return null;
+  return { matchId: match.id, points: [{ at: match.startedAt, life: lifeByPlayer(players) }] };
+}
+
+// A burst of taps inside the merge window moves the last point instead of
+// adding one per tap. The starting point is never merged away.
+export function recordLife(graph, match, players, at, mergeWindowMs) {
+  if (!match || !players.length) return null;
+  if (!graph || graph.matchId !== match.id) return createLifeGraph(match, players);
+  const life = lifeByPlayer(players);
+  const { points } = graph;
+  const last = points[points.length - 1];
+  if (sameLife(last.life, life)) return graph;
+  const merge = points.length > 1 && at - last.at <= mergeWindowMs;
+  const kept = merge ? points.slice(0, -1) : points;
+  const next = [...kept, { at, life }];
+  return {
+    ...graph,
+    points: next.length > LIFE_GRAPH_LIMIT ? [next[0], ...next.slice(-LIFE_GRAPH_LIMIT + 1)] : next,
+  };
+}
+
+export function normalizeLifeGraph(raw, match, players) {
+  const valid =
+    raw &&
+    raw.matchId === match?.id &&
+    Array.isArray(raw.points) &&
+    raw.points.length > 0 &&
+    raw.points.every((point) => Number.isFinite(point?.at) && !!point.life);
+  if (!valid) return createLifeGraph(match, players);
+  return { matchId: raw.matchId, points: raw.points.slice(-LIFE_GRAPH_LIMIT) };
+}
+
+// Ranges for the chart axes; the time range always covers at least a minute
+// so a fresh game does not draw a single vertical line.
+export function lifeGraphBounds(graph, endAt) {
+  let minLife = 0;
+  let maxLife = 0;
+  graph.points.forEach((point) => {
+    Object.values(point.life).forEach((life) => {
+      minLife = Math.min(minLife, life);
+      maxLife = Math.max(maxLife, life);
+    });
+  });
+  const startAt = graph.points[0].at;
+  return {
+    startAt,
+    endAt: Math.max(endAt, startAt + 60000),
+    minLife,
+    maxLife: Math.max(maxLife, minLife + 1),
+  };
+}
+
+// Total commander damage each player took from each opponent, summed over
+// both commanders of a partner pair. Lethal marks a single commander that
+// reached the limit on its own.
+export function commanderDamageMatrix(players, limit) {
+  return players.map((target) => {
+    const from = {};
+    players.forEach((source) => {
+      if (source.id === target.id) return;
+      const damage = target.commanderDamage?.[source.id] ?? [];
+      from[source.id] = {
+        total: damage.reduce((sum, value) => sum + value, 0),
+        lethal: !!limit && damage.some((value) => value >= limit),
+      };
+    });
+    return { playerId: target.id, from };
+  });
+}
+
+// The game ends with the elimination or alternate win that left one side
+// standing; until then the clock keeps running.
+export function matchEndedAt(match, players, log, now) {
+  if (!match || getAliveSides(players).length > 1) return now;
+  const finish = getMatchEvents(log, match.id)
+    .filter((event) => event.kind === "eliminated" || event.kind === "alternate-win")
+    .pop();
+  return finish?.at ?? now;
+}
+
+export function formatDuration(ms) {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  return hours ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+export function buildSummary(state, now) {
+  const endedAt = matchEndedAt(state.match, state.players, state.eventLog, now);
+  const sides = getAliveSides(state.players);
+  return {
+    durationMs: state.match ? endedAt - state.match.startedAt : 0,
+    endedAt,
+    finished: sides.length <= 1,
+    winners: sides.length === 1 ? sides[0].map((p) => p.id) : [],
+    eliminationOrder: state.match ? getEliminationOrder(state.eventLog, state.match.id) : [],
+    commanderDamage: commanderDamageMatrix(state.players, state.format.commanderDamageLimit),
+  };
+}
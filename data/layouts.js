@@ -0,0 +1,130 @@
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+export const PLAYER_COUNTS = Array.from(
+  { length: MAX_PLAYERS - MIN_PLAYERS + 1 },
+  (_, index) => MIN_PLAYERS + index
+);
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+const SIDES = (count) => Array.from({ length: count }, () => [90, 270]);
+
+// Each preset lists its rows from the top of the screen; a number is the
+// rotation of the card in that cell, so 90 and 270 face the long sides of the
+// phone and 180 faces the far end.
+export const LAYOUT_PRESETS = {
+  2: [
+    { id: "facing", name: "Facing", rows: [[180], [0]] },
+    { id: "sides", name: "Long sides", rows: [[90, 270]] },
+  ],
+  3: [
+    { id: "classic", name: "Classic", rows: [[90], [90, 270]] },
+    { id: "head", name: "Head of table", rows: [[180], [90, 270]] },
+  ],
+  4: [
+    { id: "classic", name: "Classic", rows: SIDES(2) },
+    { id: "ends", name: "Both ends", rows: [[180], [90, 270], [0]] },
+    { id: "rows", name: "Two rows", rows: [[180, 180], [0, 0]] },
+  ],
+  5: [
+    { id: "classic", name: "Classic", rows: [...SIDES(2), [90]] },
+    { id: "head", name: "Head of table", rows: [[180], ...SIDES(2)] },
+  ],
+  6: [
+    { id: "classic", name: "Classic", rows: SIDES(3) },
+    { id: "ends", name: "Both ends", rows: [[180], ...SIDES(2), [0]] },
+    { id: "rows", name: "Two rows", rows: [[180, 180, 180], [0, 0, 0]] },
+  ],
+  7: [
+    { id: "classic", name: "Classic", rows: [...SIDES(3), [0]] },
+    { id: "head", name: "Head of table", rows: [[180], ...SIDES(3)] },
+  ],
+  8: [
+    { id: "classic", name: "Classic", rows: SIDES(4) },
+    { id: "ends", name: "Both ends", rows: [[180], ...SIDES(3), [0]] },
+    { id: "rows", name: "Two rows", rows: [[180, 180, 180, 180], [0, 0, 0, 0]] },
+  ],
+};
+
+export function getPreset(count, presetId) {
+  const presets = LAYOUT_PRESETS[count] ?? LAYOUT_PRESETS[4];
+  return presets.find((preset) => preset.id === presetId) ?? presets[0];
+}
+
+// A layout keeps which seat sits in each slot of the preset and each slot's
+// rotation, so a player at the end of the table can turn their card alone.
+export function createLayout(count, presetId) {
+  const preset = getPreset(count, presetId);
+  return {
+    presetId: preset.id,
+    order: Array.from({ length: count }, (_, seat) => seat),
+    rotations: preset.rows.flat(),
+  };
+}
+
+export function normalizeLayout(raw, count) {
+  const fallback = createLayout(count, raw?.presetId);
+  if (!raw || typeof raw !== "object") return fallback;
+  const order = Array.isArray(raw.order) ? raw.order.map(Number) : [];
+  const validOrder =
+    order.length === count &&
+    new Set(order).size === count &&
+    order.every((seat) => Number.isInteger(seat) && seat >= 0 && seat < count);
+  const rotations = Array.isArray(raw.rotations) ? raw.rotations.map(Number) : [];
+  const validRotations =
+    rotations.length === fallback.rotations.length &&
+    rotations.every((rotation) => ROTATIONS.includes(rotation));
+  return {
+    presetId: fallback.presetId,
+    order: validOrder ? order : fallback.order,
+    rotations: validRotations ? rotations : fallback.rotations,
+  };
+}
+
+export function normalizeLayouts(raw) {
+  const layouts = {};
+  if (!raw || typeof raw !== "object") return layouts;
+  PLAYER_COUNTS.forEach((count) => {
+    if (raw[count]) layouts[count] = normalizeLayout(raw[count], count);
+  });
+  return layouts;
+}
+
+// Rows of cells ready to render: which seat (player index) sits in each slot
+// and which way its card faces.
+export function layoutRows(count, layout) {
+  const current = normalizeLayout(layout, count);
+  const preset = getPreset(count, current.presetId);
+  let slot = 0;
+  return preset.rows.map((row) =>
+    row.map(() => {
+      const cell = { slot, seat: current.order[slot], rotation: current.rotations[slot] };
+      slot += 1;
+      return cell;
+    })
+  );
+}
+
+export function swapSeats(layout, fromSlot, toSlot) {
+  const order = [...layout.order];
+  [order[fromSlot], order[toSlot]] = [order[toSlot], order[fromSlot]];
+  return { ...layout, order };
+}
+
+export function rotateSlot(layout, slot) {
+  return {
+    ...layout,
+    rotations: layout.rotations.map((rotation, index) =>
+      index === slot ? ROTATIONS[(ROTATIONS.indexOf(rotation) + 1) % ROTATIONS.length] : rotation
+    ),
+  };
+}
+
+// The menu button sits where the cards meet nearest the middle of the board:
+// between two rows, or on the split of the middle row when the row count is
+// odd. A single-card middle row pushes it up to the row boundary above.
+export function menuOffset(rows) {
+  const middle = Math.floor(rows.length / 2);
+  if (rows.length % 2 === 0 || rows[middle].length % 2 === 0) return "50%";
+  return `${(middle / rows.length) * 100}%`;
+}
@@ -1,23 +1,237 @@
 import * as FileSystem from "expo-file-system/legacy";
 
-const SESSION_FILE = `${FileSystem.documentDirectory}life-session.json`;
+const LEGACY_FILE = `${FileSystem.documentDirectory}life-session.json`;
+const SESSIONS_DIR = `${FileSystem.documentDirectory}life-sessions/`;
 
-export async function loadLifeSession() {
+export const SESSION_VERSION = 2;
+
+// Each step upgrades a stored document by one version, so a file written by
+// any older build can be brought up to date in order.
+const MIGRATIONS = {
+  // Version 1 was the bare session object kept in life-session.json.
+  1: (doc, fallbackAt) => ({
+    version: 2,
+    id: `session_${fallbackAt}`,
+    name: "",
+    createdAt: fallbackAt,
+    updatedAt: fallbackAt,
+    session: doc,
+  }),
+};
+
+function migrate(doc, fallbackAt) {
+  let current = doc;
+  let version = typeof doc.version === "number" ? doc.version : 1;
+  while (version < SESSION_VERSION) {
+    current = MIGRATIONS[version](current, fallbackAt);
+    version = current.version;
+  }
+  return current;
+}
+
+// The saved game inside a document has its own version in `schema`. Its
+// steps only touch what changed, so fields they don't know are kept.
+export const SESSION_SCHEMA = 2;
+
+function withCommanderList(player) {
+  if (!player || typeof player !== "object" || Array.isArray(player.commanders)) return player;
+  const { tax, ...rest } = player;
+  return { ...rest, commanders: [{ name: "", tax }] };
+}
+
+function upgradeHistoryEntries(entries, upgradePlayers) {
+  if (!Array.isArray(entries)) return entries;
+  return entries.map((entry) =>
+    entry?.snapshot
+      ? { ...entry, snapshot: { ...entry.snapshot, players: upgradePlayers(entry.snapshot.players) } }
+      : entry
+  );
+}
+
+const SCHEMA_MIGRATIONS = {
+  // Schema 1 had a single `tax` number per player; schema 2 keeps a list of
+  // commanders, each with its own tax.
+  1: (session) => {
+    const upgradePlayers = (players) =>
+      Array.isArray(players) ? players.map(withCommanderList) : players;
+    const history =
+      session.history && typeof session.history === "object"
+        ? {
+            ...session.history,
+            past: upgradeHistoryEntries(session.history.past, upgradePlayers),
+            future: upgradeHistoryEntries(session.history.future, upgradePlayers),
+          }
+        : session.history;
+    return { ...session, schema: 2, players: upgradePlayers(session.players), history };
+  },
+};
+
+function migrateSession(session) {
+  if (!session || typeof session !== "object") return session;
+  let current = session;
+  let schema = typeof session.schema === "number" ? session.schema : 1;
+  while (schema < SESSION_SCHEMA) {
+    current = SCHEMA_MIGRATIONS[schema](current);
+    schema = current.schema;
+  }
+  return current;
+}
+
+// Written by a newer version of the app; opening it here could misread
+// what this version does not understand.
+function isNewer(doc) {
+  return doc.version > SESSION_VERSION || doc.session?.schema > SESSION_SCHEMA;
+}
+
+function sessionFile(id) {
+  return `${SESSIONS_DIR}${id}.json`;
+}
+
+export function createSessionMeta(at = Date.now()) {
+  return { id: `session_${at}`, name: "", createdAt: at };
+}
+
+function summarize(session) {
+  const players = Array.isArray(session?.players) ? session.players : [];
+  return {
+    playerNames: players.map((p, index) =>
+      typeof p?.name === "string" && p.name !== "Player name" ? p.name : `Player ${index + 1}`
+    ),
+    playerCount: players.length || Number(session?.playerCount) || 0,
+  };
+}
+
+let pendingWrite = Promise.resolve();
+
+// File changes run one after another so two quick saves never swap the same
+// file at once, and a delete cannot be undone by a save still in flight.
+function queueWrite(task) {
+  const write = pendingWrite.then(task);
+  pendingWrite = write.catch(() => {});
+  return write;
+}
+
+// The new copy is written next to the old one and only then swapped in, so
+// a crash mid-write leaves either the previous file or a complete new one.
+function writeAtomic(file, contents) {
+  return queueWrite(async () => {
+    const temp = `${file}.tmp`;
+    await FileSystem.writeAsStringAsync(temp, contents);
+    await FileSystem.deleteAsync(file, { idempotent: true });
+    await FileSystem.moveAsync({ from: temp, to: file });
+  });
+}
+
+async function readJson(file) {
   try {
-    const info = await FileSystem.getInfoAsync(SESSION_FILE);
+    const info = await FileSystem.getInfoAsync(file);
     if (!info.exists) return null;
-    const raw = await FileSystem.readAsStringAsync(SESSION_FILE);
-    if (!raw) return null;
-    return JSON.parse(raw);
+    const raw = await FileSystem.readAsStringAsync(file);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Falls back to a finished temporary copy left behind by an interrupted swap.
+async function readDocument(id) {
+  const file = sessionFile(id);
+  const doc = (await readJson(file)) ?? (await readJson(`${file}.tmp`));
+  if (!doc || typeof doc !== "object") return null;
+  const current = migrate(doc, Date.now());
+  return isNewer(current) ? current : { ...current, session: migrateSession(current.session) };
+}
+
+async function ensureSessionsDir() {
+  const info = await FileSystem.getInfoAsync(SESSIONS_DIR);
+  if (!info.exists) await FileSystem.makeDirectoryAsync(SESSIONS_DIR, { intermediates: true });
+}
+
+// The single file used before saved sessions becomes the first saved session.
+async function migrateLegacyFile() {
+  const legacy = await readJson(LEGACY_FILE);
+  if (!legacy) return;
+  const doc = migrate(legacy, Date.now());
+  await writeAtomic(sessionFile(doc.id), JSON.stringify(doc));
+  await FileSystem.deleteAsync(LEGACY_FILE, { idempotent: true });
+}
+
+async function sessionIds() {
+  const names = await FileSystem.readDirectoryAsync(SESSIONS_DIR);
+  const ids = new Set();
+  names.forEach((name) => {
+    const match = /^(.+)\.json(\.tmp)?$/.exec(name);
+    if (match) ids.add(match[1]);
+  });
+  return [...ids];
+}
+
+export async function listLifeSessions() {
+  try {
+    await ensureSessionsDir();
+    await migrateLegacyFile();
+    const docs = await Promise.all((await sessionIds()).map(readDocument));
+    return docs
+      .filter(Boolean)
+      .map((doc) => ({
+        id: doc.id,
+        name: doc.name ?? "",
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt,
+        newer: isNewer(doc),
+        ...summarize(doc.session),
+      }))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+  } catch {
+    return [];
+  }
+}
+
+export async function loadLifeSession(id) {
+  try {
+    const doc = await readDocument(id);
+    if (!doc || isNewer(doc)) return null;
+    return {
+      meta: { id: doc.id, name: doc.name ?? "", createdAt: doc.createdAt },
+      session: doc.session,
+    };
   } catch {
     return null;
   }
 }
 
-export async function saveLifeSession(session) {
+export async function loadLatestLifeSession() {
+  const latest = (await listLifeSessions()).find((entry) => !entry.newer);
+  return latest ? loadLifeSession(latest.id) : null;
+}
+
+export async function saveLifeSession(meta, session) {
   try {
-    await FileSystem.writeAsStringAsync(SESSION_FILE, JSON.stringify(session));
+    await ensureSessionsDir();
+    const doc = {
+      version: SESSION_VERSION,
+      id: meta.id,
+      name: meta.name,
+      createdAt: meta.createdAt,
+      updatedAt: Date.now(),
+      session: { ...session, schema: SESSION_SCHEMA },
+    };
+    await writeAtomic(sessionFile(meta.id), JSON.stringify(doc));
   } catch {
     // Ignore persistence errors to avoid blocking gameplay.
   }
 }
+
+export async function renameLifeSession(id, name) {
+  const doc = await readDocument(id);
+  if (!doc || isNewer(doc)) return;
+  await writeAtomic(sessionFile(id), JSON.stringify({ ...doc, name }));
+}
+
+export function deleteLifeSession(id) {
+  const file = sessionFile(id);
+  return queueWrite(async () => {
+    await FileSystem.deleteAsync(file, { idempotent: true });
+    await FileSystem.deleteAsync(`${file}.tmp`, { idempotent: true });
+  });
+}
@@ -0,0 +1,517 @@
+import { commanderLabel } from "./commanders";
+import { PLAYER_FLAGS, roomName } from "./designations";
+import { planarFaceLabel } from "./dice";
+import { describeElimination } from "./elimination";
+
+export const LOG_LIMIT = 1000;
+
+const COUNTER_KINDS = {
+  ADJUST_LIFE: "life",
+  ADJUST_POISON: "poison",
+  ADJUST_ENERGY: "energy",
+};
+
+const GROUP_KINDS = {
+  DRAIN_OPPONENTS: "drain",
+  LOSE_LIFE_ALL: "lose-all",
+  PROLIFERATE: "proliferate",
+};
+
+const COUNTER_LABELS = {
+  life: "life",
+  poison: "poison",
+  tax: "commander tax",
+  energy: "energy",
+};
+
+function findPlayer(players, id) {
+  return players.find((p) => p.id === id);
+}
+
+function displayName(player) {
+  if (!player) return "Unknown";
+  return player.name === "Player name" ? `Player ${player.id}` : player.name;
+}
+
+function signed(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+// Group actions touch many players at once; each change is logged the same
+// way a single tap would be.
+function playerChangeEvents(prevState, nextState, at) {
+  const events = [];
+  nextState.players.forEach((after) => {
+    const before = findPlayer(prevState.players, after.id);
+    if (!before) return;
+    Object.values(COUNTER_KINDS).forEach((kind) => {
+      if (before[kind] === after[kind]) return;
+      events.push({
+        at,
+        kind,
+        playerId: after.id,
+        playerName: displayName(after),
+        delta: after[kind] - before[kind],
+        value: after[kind],
+      });
+    });
+    after.counters.forEach((counter) => {
+      const prevCounter = before.counters.find((c) => c.id === counter.id);
+      if (!prevCounter || prevCounter.value === counter.value) return;
+      events.push({
+        at,
+        kind: "counter",
+        playerId: after.id,
+        playerName: displayName(after),
+        counterId: counter.id,
+        counterName: counter.name,
+        delta: counter.value - prevCounter.value,
+        value: counter.value,
+      });
+    });
+  });
+  return events;
+}
+
+export function buildEvents(prevState, nextState, action) {
+  const at = action.at ?? Date.now();
+  const events = [];
+  const before = findPlayer(prevState.players, action.playerId);
+  const after = findPlayer(nextState.players, action.playerId);
+
+  switch (action.type) {
+    case "INIT_PLAYERS":
+      events.push({ at, kind: "start", playerCount: nextState.players.length });
+      break;
+    case "RESET_MATCH":
+      events.push({ at, kind: "restart" });
+      break;
+    case "UNDO":
+    case "REDO":
+      if (prevState.history !== nextState.history) {
+        events.push({ at, kind: action.type === "UNDO" ? "undo" : "redo" });
+      }
+      break;
+    case "SET_NAME":
+      if (before && after && before.name !== after.name) {
+        events.push({
+          at,
+          kind: "rename",
+          playerId: after.id,
+          playerName: displayName(after),
+          previousName: displayName(before),
+        });
+      }
+      break;
+    case "ADJUST_TAX": {
+      const index = action.commanderIndex ?? 0;
+      const prevTax = before?.commanders?.[index]?.tax ?? 0;
+      const nextTax = after?.commanders?.[index]?.tax ?? 0;
+      if (!after || prevTax === nextTax) break;
+      events.push({
+        at,
+        kind: "tax",
+        playerId: after.id,
+        playerName: displayName(after),
+        commanderIndex: index,
+        commanderName: after.commanders.length > 1 ? commanderLabel(after, index) : null,
+        delta: nextTax - prevTax,
+        value: nextTax,
+      });
+      break;
+    }
+    case "ADJUST_LIFE":
+    case "ADJUST_POISON":
+    case "ADJUST_ENERGY": {
+      const kind = COUNTER_KINDS[action.type];
+      if (!before || !after || before[kind] === after[kind]) break;
+      events.push({
+        at,
+        kind,
+        playerId: after.id,
+        playerName: displayName(after),
+        delta: after[kind] - before[kind],
+        value: after[kind],
+      });
+      break;
+    }
+    case "SET_LIFE":
+      events.push(...playerChangeEvents(prevState, nextState, at));
+      break;
+    case "DRAIN_OPPONENTS":
+    case "LOSE_LIFE_ALL":
+    case "PROLIFERATE": {
+      const changes = playerChangeEvents(prevState, nextState, at);
+      if (!changes.length) break;
+      events.push({
+        at,
+        kind: GROUP_KINDS[action.type],
+        playerId: after?.id ?? null,
+        playerName: after ? displayName(after) : null,
+        amount: action.amount ?? null,
+      });
+      events.push(...changes);
+      break;
+    }
+    case "ADJUST_CMD_DAMAGE": {
+      if (!before || !after) break;
+      const index = action.commanderIndex ?? 0;
+      const prevDamage = before.commanderDamage?.[action.fromId]?.[index] ?? 0;
+      const nextDamage = after.commanderDamage?.[action.fromId]?.[index] ?? 0;
+      if (prevDamage === nextDamage) break;
+      const source = findPlayer(nextState.players, action.fromId);
+      events.push({
+        at,
+        kind: "commander",
+        playerId: after.id,
+        playerName: displayName(after),
+        sourceId: action.fromId,
+        sourceName: displayName(source),
+        commanderIndex: index,
+        commanderName: source?.commanders?.length > 1 ? commanderLabel(source, index) : null,
+        delta: nextDamage - prevDamage,
+        value: nextDamage,
+        life: after.life,
+      });
+      break;
+    }
+    case "ASSIGN_DECK":
+      if (!after || before?.deck?.id === after.deck?.id) break;
+      events.push({
+        at,
+        kind: "deck",
+        playerId: after.id,
+        playerName: displayName(after),
+        deckName: after.deck?.name ?? null,
+      });
+      break;
+    case "ADJUST_COUNTER": {
+      const prevCounter = before?.counters?.find((c) => c.id === action.counterId);
+      const nextCounter = after?.counters?.find((c) => c.id === action.counterId);
+      if (!prevCounter || !nextCounter || prevCounter.value === nextCounter.value) break;
+      events.push({
+        at,
+        kind: "counter",
+        playerId: after.id,
+        playerName: displayName(after),
+        counterId: nextCounter.id,
+        counterName: nextCounter.name,
+        delta: nextCounter.value - prevCounter.value,
+        value: nextCounter.value,
+      });
+      break;
+    }
+    case "ADD_COUNTER":
+    case "REMOVE_COUNTER": {
+      const added = action.type === "ADD_COUNTER";
+      const counters = (added ? after : before)?.counters ?? [];
+      const others = (added ? before : after)?.counters ?? [];
+      const counter = counters.find((c) => !others.some((other) => other.id === c.id));
+      if (!counter) break;
+      events.push({
+        at,
+        kind: added ? "counter-added" : "counter-removed",
+        playerId: action.playerId,
+        playerName: displayName(after),
+        counterId: counter.id,
+        counterName: counter.name,
+      });
+      break;
+    }
+    case "SET_MONARCH":
+    case "TAKE_INITIATIVE": {
+      const key = action.type === "SET_MONARCH" ? "monarchId" : "initiativeId";
+      const holderId = nextState.designations[key];
+      if (prevState.designations[key] === holderId) break;
+      const holder = findPlayer(nextState.players, holderId);
+      events.push({
+        at,
+        kind: action.type === "SET_MONARCH" ? "monarch" : "initiative",
+        playerId: holder?.id ?? null,
+        playerName: holder ? displayName(holder) : null,
+      });
+      break;
+    }
+    case "VENTURE_UNDERCITY": {
+      const roomId = nextState.designations.undercity[action.playerId];
+      if (!after || prevState.designations.undercity[action.playerId] === roomId) break;
+      events.push({
+        at,
+        kind: "venture",
+        playerId: after.id,
+        playerName: displayName(after),
+        room: roomName(roomId),
+      });
+      break;
+    }
+    case "SET_DAY_NIGHT":
+      if (prevState.designations.dayNight === nextState.designations.dayNight) break;
+      events.push({ at, kind: "daynight", value: nextState.designations.dayNight });
+      break;
+    case "TOGGLE_PLAYER_FLAG": {
+      const flag = PLAYER_FLAGS.find((f) => f.id === action.flag);
+      if (!flag || !after || !!before?.flags[flag.id] === !!after.flags[flag.id]) break;
+      events.push({
+        at,
+        kind: "flag",
+        playerId: after.id,
+        playerName: displayName(after),
+        flag: flag.label,
+        value: !!after.flags[flag.id],
+      });
+      break;
+    }
+    case "SET_ACTIVE_PLAYER":
+    case "PASS_TURN": {
+      const active = findPlayer(nextState.players, nextState.turn.activeId);
+      if (!active || prevState.turn === nextState.turn) break;
+      events.push({
+        at,
+        kind: "turn",
+        playerId: active.id,
+        playerName: displayName(active),
+        number: nextState.turn.number,
+      });
+      break;
+    }
+    case "SET_COMMANDER_COUNT":
+      if (!after || before?.commanders.length === after.commanders.length) break;
+      events.push({
+        at,
+        kind: "commanders",
+        playerId: after.id,
+        playerName: displayName(after),
+        value: after.commanders.length,
+      });
+      break;
+    case "ROLL_PLANAR_DIE":
+    case "PLANESWALK": {
+      const prev = prevState.planechase;
+      const next = nextState.planechase;
+      if (!prev || !next || prev === next) break;
+      if (action.type === "ROLL_PLANAR_DIE") {
+        events.push({ at, kind: "planar-roll", face: next.lastRoll, cost: next.rolls - 1 });
+      }
+      if (prev.index !== next.index) {
+        events.push({ at, kind: "planeswalk", planeName: next.deck[next.index].name });
+      }
+      break;
+    }
+    case "SET_SCHEME_IN_MOTION": {
+      const next = nextState.archenemy;
+      if (!next || prevState.archenemy === next) break;
+      events.push({ at, kind: "scheme", schemeName: next.deck[next.index].name });
+      break;
+    }
+    case "ABANDON_SCHEME": {
+      const scheme = prevState.archenemy?.deck.find((card) => card.id === action.schemeId);
+      if (!scheme || !prevState.archenemy.ongoing.includes(scheme.id)) break;
+      events.push({ at, kind: "scheme-abandoned", schemeName: scheme.name });
+      break;
+    }
+    case "ALTERNATE_WIN":
+      if (after && nextState.players.some((p) => p.isDead && p.elimination?.by === after.id)) {
+        events.push({ at, kind: "alternate-win", playerId: after.id, playerName: displayName(after) });
+      }
+      break;
+    case "CALL_TIME":
+      events.push({ at, kind: "time", extraTurns: nextState.clock.extraTurns });
+      break;
+    default:
+      break;
+  }
+
+  if (action.type !== "INIT_PLAYERS") {
+    nextState.players.forEach((player) => {
+      const prev = findPlayer(prevState.players, player.id);
+      if (!prev || prev.isDead === player.isDead) return;
+      const by = player.isDead ? findPlayer(nextState.players, player.elimination?.by) : null;
+      events.push({
+        at,
+        kind: player.isDead ? "eliminated" : "revived",
+        playerId: player.id,
+        playerName: displayName(player),
+        turn: nextState.turn.number || null,
+        reason: player.isDead ? player.elimination?.reason ?? null : null,
+        byId: by?.id ?? null,
+        byName: by ? displayName(by) : null,
+      });
+    });
+  }
+
+  return events;
+}
+
+const PROGRESS_KINDS = ["life", "poison", "tax", "energy", "commander", "counter"];
+
+function mergeKey(event) {
+  if (!PROGRESS_KINDS.includes(event.kind)) return null;
+  return [
+    event.kind,
+    event.playerId,
+    event.sourceId ?? event.counterId ?? "",
+    event.commanderIndex ?? 0,
+  ].join(":");
+}
+
+// Consecutive changes to the same counter within the window collapse into a
+// single entry, so a burst of taps reads as "-7 life" instead of seven lines.
+export function appendEvents(log, events, mergeWindowMs) {
+  if (!events.length) return log;
+  const next = [...log];
+  events.forEach((event) => {
+    const last = next[next.length - 1];
+    const key = mergeKey(event);
+    if (key && last && mergeKey(last) === key && event.at - last.at <= mergeWindowMs) {
+      next[next.length - 1] = {
+        ...event,
+        startedAt: last.startedAt ?? last.at,
+        delta: last.delta + event.delta,
+      };
+      return;
+    }
+    next.push(event);
+  });
+  return next.slice(-LOG_LIMIT);
+}
+
+export function normalizeLog(rawLog) {
+  if (!Array.isArray(rawLog)) return [];
+  return rawLog
+    .filter((event) => event && typeof event.kind === "string" && Number.isFinite(event.at))
+    .slice(-LOG_LIMIT);
+}
+
+export function getMatchEvents(log, matchId) {
+  return log.filter((event) => event.matchId === matchId);
+}
+
+export function hasMatchProgress(log, matchId) {
+  return getMatchEvents(log, matchId).some((event) => PROGRESS_KINDS.includes(event.kind));
+}
+
+export function getEliminationOrder(log, matchId) {
+  const order = [];
+  getMatchEvents(log, matchId).forEach((event) => {
+    const index = order.indexOf(event.playerId);
+    if (event.kind === "eliminated" && index === -1) order.push(event.playerId);
+    if (event.kind === "revived" && index !== -1) order.splice(index, 1);
+  });
+  return order;
+}
+
+export function getEliminationTurns(log, matchId) {
+  const turns = {};
+  getMatchEvents(log, matchId).forEach((event) => {
+    if (event.kind === "eliminated") turns[event.playerId] = event.turn ?? null;
+    if (event.kind === "revived") delete turns[event.playerId];
+  });
+  return turns;
+}
+
+export function describeEvent(event) {
+  switch (event.kind) {
+    case "start":
+      return `Match started with ${event.playerCount} players`;
+    case "restart":
+      return "Match restarted";
+    case "undo":
+      return "Last action undone";
+    case "redo":
+      return "Action redone";
+    case "rename":
+      return `${event.previousName} renamed to ${event.playerName}`;
+    case "life":
+    case "poison":
+    case "energy":
+      return `${event.playerName} ${signed(event.delta)} ${COUNTER_LABELS[event.kind]} (${event.value})`;
+    case "tax":
+      return `${event.playerName} ${signed(event.delta)} ${COUNTER_LABELS.tax}${
+        event.commanderName ? ` on ${event.commanderName}` : ""
+      } (${event.value})`;
+    case "commander": {
+      const source = event.commanderName
+        ? `${event.sourceName} (${event.commanderName})`
+        : event.sourceName;
+      return `${source} dealt ${signed(event.delta)} commander damage to ${event.playerName} (${event.value} total, ${event.life} life)`;
+    }
+    case "deck":
+      return event.deckName
+        ? `${event.playerName} is playing ${event.deckName}`
+        : `${event.playerName} unlinked their deck`;
+    case "counter":
+      return `${event.playerName} ${signed(event.delta)} ${event.counterName} (${event.value})`;
+    case "drain":
+      return `${event.playerName} drained each opponent for ${event.amount}`;
+    case "lose-all":
+      return `Each player lost ${event.amount} life`;
+    case "proliferate":
+      return "Proliferate";
+    case "counter-added":
+      return `${event.playerName} added a ${event.counterName} counter`;
+    case "counter-removed":
+      return `${event.playerName} removed the ${event.counterName} counter`;
+    case "commanders":
+      return `${event.playerName} now plays ${event.value === 1 ? "a single commander" : `${event.value} commanders`}`;
+    case "turn":
+      return `Turn ${event.number}: ${event.playerName}`;
+    case "monarch":
+      return event.playerName ? `${event.playerName} became the monarch` : "No one is the monarch";
+    case "initiative":
+      return event.playerName
+        ? `${event.playerName} took the initiative`
+        : "No one has the initiative";
+    case "venture":
+      return `${event.playerName} ventured into ${event.room}`;
+    case "daynight":
+      return event.value ? `It became ${event.value}` : "Day/night cleared";
+    case "flag":
+      return event.value
+        ? `${event.playerName} got ${event.flag}`
+        : `${event.playerName} lost ${event.flag}`;
+    case "planar-roll":
+      return `Planar die (${event.cost ? `${event.cost} mana` : "free"}): ${planarFaceLabel(event.face)}`;
+    case "planeswalk":
+      return `Planeswalked to ${event.planeName}`;
+    case "scheme":
+      return `Archenemy set ${event.schemeName} in motion`;
+    case "scheme-abandoned":
+      return `Archenemy abandoned ${event.schemeName}`;
+    case "time":
+      return `Time called, ${event.extraTurns} more turns`;
+    case "alternate-win":
+      return `${event.playerName} won the game`;
+    case "eliminated":
+      return event.reason
+        ? `${event.playerName} was eliminated (${describeElimination(event.reason, event.byName)})`
+        : `${event.playerName} was eliminated`;
+    case "revived":
+      return `${event.playerName} is back in the game`;
+    default:
+      return event.kind;
+  }
+}
+
+export function formatEventTime(at) {
+  return new Date(at).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+}
+
+export function formatLogAsText(log) {
+  return log.map((event) => `[${formatEventTime(event.at)}] ${describeEvent(event)}`).join("\n");
+}
+
+export function formatLogAsJson(log) {
+  return JSON.stringify(
+    log.map((event) => ({
+      ...event,
+      time: new Date(event.at).toISOString(),
+      description: describeEvent(event),
+    })),
+    null,
+    2
+  );
+}
@@ -0,0 +1,40 @@
+export const CARD_COLORS = [
+  "#2b6cb0", // blue
+  "#2f855a", // green
+  "#c05621", // orange
+  "#b83280", // magenta
+  "#805ad5", // purple
+  "#d69e2e", // yellow
+  "#718096", // gray
+  "#38b2ac", // teal
+];
+
+export const PROFILE_NAME_LENGTH = 18;
+
+// Seats keep a copy of the profile they were given, like linked decks, so a
+// game in progress is not affected by later profile edits.
+export function normalizeSeatProfile(rawProfile) {
+  if (!rawProfile || typeof rawProfile !== "object" || typeof rawProfile.id !== "string") {
+    return null;
+  }
+  const name = typeof rawProfile.name === "string" ? rawProfile.name.trim() : "";
+  if (!name) return null;
+  return {
+    id: rawProfile.id,
+    name: name.slice(0, PROFILE_NAME_LENGTH),
+    color: CARD_COLORS.includes(rawProfile.color) ? rawProfile.color : null,
+    favoriteDeckIds: Array.isArray(rawProfile.favoriteDeckIds)
+      ? rawProfile.favoriteDeckIds.filter((id) => typeof id === "string")
+      : [],
+  };
+}
+
+export function normalizeSeatProfiles(rawProfiles, count) {
+  return Array.from({ length: count }, (_, index) =>
+    normalizeSeatProfile(Array.isArray(rawProfiles) ? rawProfiles[index] : null)
+  );
+}
+
+export function winRate(wins, games) {
+  return games ? Math.round((wins / games) * 100) : 0;
+}
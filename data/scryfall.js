@@ -2,13 +2,13 @@ import * as FileSystem from 'expo-file-system/legacy';
 
 const API_BASE = 'https://api.scryfall.com';
 
-function getPrimaryImage(card) {
+export function getPrimaryImage(card) {
   if (card.image_uris?.normal) return card.image_uris.normal;
   if (card.card_faces?.[0]?.image_uris?.normal) return card.card_faces[0].image_uris.normal;
   return null;
 }
 
-function getPrimaryArtImage(card) {
+export function getPrimaryArtImage(card) {
   if (card.image_uris?.art_crop) return card.image_uris.art_crop;
   if (card.card_faces?.[0]?.image_uris?.art_crop) return card.card_faces[0].image_uris.art_crop;
   return null;
@@ -42,6 +42,20 @@ export async function searchCards(query) {
   return data.data || [];
 }
 
+// Follows `next_page` so callers get every match, not just the first 175.
+export async function searchAllCards(query) {
+  let url = `${API_BASE}/cards/search?q=${encodeURIComponent(query)}&unique=cards`;
+  const cards = [];
+  while (url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error('Search failed');
+    const data = await res.json();
+    cards.push(...(data.data || []));
+    url = data.has_more ? data.next_page : null;
+  }
+  return cards;
+}
+
 export async function autocomplete(query) {
   const url = `${API_BASE}/cards/autocomplete?q=${encodeURIComponent(query)}`;
   const res = await fetch(url);
@@ -50,6 +64,32 @@ export async function autocomplete(query) {
   return data.data || [];
 }
 
+const COLLECTION_BATCH = 75;
+const COLLECTION_DELAY_MS = 100;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Looks up many cards at once through the collection endpoint, which takes at
+// most 75 identifiers per request. Batches run one after another with a short
+// pause, as Scryfall asks of API clients.
+export async function getCardCollection(identifiers) {
+  const found = [];
+  const notFound = [];
+  for (let start = 0; start < identifiers.length; start += COLLECTION_BATCH) {
+    if (start) await wait(COLLECTION_DELAY_MS);
+    const res = await fetch(`${API_BASE}/cards/collection`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ identifiers: identifiers.slice(start, start + COLLECTION_BATCH) }),
+    });
+    if (!res.ok) throw new Error('Collection lookup failed');
+    const data = await res.json();
+    found.push(...(data.data || []));
+    notFound.push(...(data.not_found || []));
+  }
+  return { found, notFound };
+}
+
 export async function getCachedImageUri(card) {
   const imageUrl = getPrimaryImage(card);
   if (!imageUrl) return null;
@@ -64,6 +104,15 @@ export async function getCachedArtImageUri(card) {
   return cacheImageFromUrl(imageUrl, fileUri);
 }
 
+export async function cacheCardImage(cardId, imageUrl) {
+  if (!cardId || !imageUrl) return null;
+  try {
+    return await cacheImageFromUrl(imageUrl, `${FileSystem.cacheDirectory}cards/${cardId}.jpg`);
+  } catch {
+    return null;
+  }
+}
+
 export async function ensureCardImage(card) {
   if (card?.image_uri) {
     return card.image_uri;
@@ -144,5 +193,6 @@ export function normalizeCard(card, imageUri, artImageUri) {
     art_image_uri: artImageUri ?? null,
     set_code: card.set ?? null,
     collector_number: card.collector_number ?? null,
+    mtgo_id: card.mtgo_id ?? null,
   };
 }
@@ -0,0 +1,73 @@
+const IDENTITY_ORDER = ["W", "U", "B", "R", "G"];
+
+const IDENTITY_COLORS = {
+  W: "#b59a45",
+  U: "#2b6cb0",
+  B: "#4b3a5a",
+  R: "#b13a3a",
+  G: "#2f855a",
+};
+
+const COLORLESS = "#718096";
+
+function parseIdentity(value) {
+  if (Array.isArray(value)) return value;
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function sortIdentity(identity) {
+  return IDENTITY_ORDER.filter((color) => identity.includes(color));
+}
+
+// Both commanders of a pair, for showing the deck in one line.
+export function deckCommanderLabel(deck) {
+  return [deck?.commanderName, deck?.partnerName].filter(Boolean).join(" + ") || null;
+}
+
+// Builds the seat's copy of a deck from a `listDecksWithCommanderMeta` row, so
+// the life counter keeps working if the deck is later edited or deleted.
+export function deckFromRow(row) {
+  if (!row?.id) return null;
+  const deck = {
+    commanderName: row.commander_name?.trim() || null,
+    partnerName: row.partner_name?.trim() || null,
+  };
+  return {
+    id: row.id,
+    name: row.name?.trim() || deckCommanderLabel(deck) || "Untitled deck",
+    ...deck,
+    artUri: row.commander_art_image_uri || row.commander_image_uri || null,
+    colorIdentity: sortIdentity([
+      ...parseIdentity(row.commander_color_identity),
+      ...parseIdentity(row.partner_color_identity),
+    ]),
+  };
+}
+
+export function identityColor(identity) {
+  return identity?.length ? IDENTITY_COLORS[identity[0]] : COLORLESS;
+}
+
+export function normalizeSeatDeck(rawDeck) {
+  if (!rawDeck || typeof rawDeck !== "object" || typeof rawDeck.id !== "string") return null;
+  return {
+    id: rawDeck.id,
+    name: typeof rawDeck.name === "string" && rawDeck.name ? rawDeck.name : "Untitled deck",
+    commanderName: typeof rawDeck.commanderName === "string" ? rawDeck.commanderName : null,
+    partnerName: typeof rawDeck.partnerName === "string" ? rawDeck.partnerName : null,
+    artUri: typeof rawDeck.artUri === "string" ? rawDeck.artUri : null,
+    colorIdentity: sortIdentity(parseIdentity(rawDeck.colorIdentity)),
+  };
+}
+
+export function normalizeSeatDecks(rawDecks, count) {
+  return Array.from({ length: count }, (_, index) =>
+    normalizeSeatDeck(Array.isArray(rawDecks) ? rawDecks[index] : null)
+  );
+}
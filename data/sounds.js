@@ -0,0 +1,180 @@
+import * as DocumentPicker from "expo-document-picker";
+import * as FileSystem from "expo-file-system/legacy";
+
+const SETTINGS_FILE = `${FileSystem.documentDirectory}sound-settings.json`;
+const SOUNDS_DIR = `${FileSystem.documentDirectory}sounds/`;
+
+export const SOUND_EVENTS = [
+  { id: "commander-lethal", label: "Lethal commander damage" },
+  { id: "poison-lethal", label: "Lethal poison" },
+  { id: "elimination", label: "Elimination" },
+  { id: "monarch", label: "New monarch" },
+  { id: "turn", label: "Turn passed" },
+];
+
+export const VOLUME_OPTIONS = [0.25, 0.5, 0.75, 1];
+
+export const BUILTIN_PACK_ID = "builtin";
+
+const BUILTIN_PACK = {
+  id: BUILTIN_PACK_ID,
+  name: "Classic",
+  sounds: [
+    { id: "builtin_emotional_damage", name: "Emotional damage", source: require("../assets/sfx/emotional_damage.mp3") },
+    { id: "builtin_gta_wasted", name: "Wasted", source: require("../assets/sfx/gta_wasted.mp3") },
+    { id: "builtin_roblox_oof", name: "Oof", source: require("../assets/sfx/roblox_oof.mp3") },
+    { id: "builtin_xp_shutdown", name: "Shutdown", source: require("../assets/sfx/xp_shutdown.mp3") },
+  ],
+};
+
+export function createSoundSettings() {
+  const events = {};
+  SOUND_EVENTS.forEach((event) => {
+    events[event.id] = { soundIds: [], volume: 1 };
+  });
+  events.elimination.soundIds = BUILTIN_PACK.sounds.map((sound) => sound.id);
+  return { packs: [{ id: BUILTIN_PACK_ID, name: BUILTIN_PACK.name, enabled: true }], events };
+}
+
+function normalizeSound(raw) {
+  if (!raw || typeof raw.id !== "string" || typeof raw.uri !== "string") return null;
+  return { id: raw.id, name: typeof raw.name === "string" ? raw.name : "Sound", uri: raw.uri };
+}
+
+// The built-in pack ships with the app, so only whether it is enabled is
+// stored; imported packs keep the list of copied files.
+function normalizePack(raw) {
+  if (!raw || typeof raw.id !== "string") return null;
+  const enabled = raw.enabled !== false;
+  if (raw.id === BUILTIN_PACK_ID) return { id: BUILTIN_PACK_ID, name: BUILTIN_PACK.name, enabled };
+  return {
+    id: raw.id,
+    name: typeof raw.name === "string" && raw.name.trim() ? raw.name : "Custom sounds",
+    enabled,
+    sounds: Array.isArray(raw.sounds) ? raw.sounds.map(normalizeSound).filter(Boolean) : [],
+  };
+}
+
+export function normalizeSoundSettings(raw) {
+  const fallback = createSoundSettings();
+  if (!raw || typeof raw !== "object") return fallback;
+  const packs = Array.isArray(raw.packs) ? raw.packs.map(normalizePack).filter(Boolean) : [];
+  if (!packs.some((pack) => pack.id === BUILTIN_PACK_ID)) packs.unshift(fallback.packs[0]);
+  const events = {};
+  SOUND_EVENTS.forEach((event) => {
+    const rawEvent = raw.events?.[event.id];
+    const volume = Number(rawEvent?.volume);
+    events[event.id] = {
+      soundIds: Array.isArray(rawEvent?.soundIds)
+        ? rawEvent.soundIds.filter((id) => typeof id === "string")
+        : fallback.events[event.id].soundIds,
+      volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : 1,
+    };
+  });
+  return { packs, events };
+}
+
+export function packSounds(pack) {
+  return pack.id === BUILTIN_PACK_ID ? BUILTIN_PACK.sounds : pack.sounds;
+}
+
+export function soundSource(sound) {
+  return sound.source ?? { uri: sound.uri };
+}
+
+export function findSound(settings, soundId) {
+  for (const pack of settings.packs) {
+    const sound = packSounds(pack).find((entry) => entry.id === soundId);
+    if (sound) return { sound, pack };
+  }
+  return null;
+}
+
+// A random sound assigned to the event from an enabled pack, avoiding the one
+// played last when there is a choice.
+export function pickSound(settings, eventId, lastSoundId = null) {
+  const event = settings.events[eventId];
+  if (!event || event.volume <= 0) return null;
+  const sounds = event.soundIds
+    .map((id) => findSound(settings, id))
+    .filter((entry) => entry?.pack.enabled)
+    .map((entry) => entry.sound);
+  if (!sounds.length) return null;
+  const choices = sounds.length > 1 ? sounds.filter((sound) => sound.id !== lastSoundId) : sounds;
+  return { sound: choices[Math.floor(Math.random() * choices.length)], volume: event.volume };
+}
+
+// Events raised by a state change, most specific first. Only the first one
+// that has a sound is played, so a commander kill does not also play the
+// generic elimination sound.
+export function soundEventsBetween(prev, next) {
+  const events = [];
+  const newlyDead = next.players.filter((p) => {
+    const before = prev.players.find((x) => x.id === p.id);
+    return before && !before.isDead && p.isDead;
+  });
+  if (newlyDead.some((p) => p.elimination?.reason === "commander")) events.push("commander-lethal");
+  if (newlyDead.some((p) => p.elimination?.reason === "poison")) events.push("poison-lethal");
+  if (newlyDead.length) events.push("elimination");
+  if (next.designations.monarchId && next.designations.monarchId !== prev.designations.monarchId) {
+    events.push("monarch");
+  }
+  if (next.turn.activeId && next.turn.number > prev.turn.number) events.push("turn");
+  return events;
+}
+
+export async function loadSoundSettings() {
+  try {
+    const info = await FileSystem.getInfoAsync(SETTINGS_FILE);
+    if (!info.exists) return createSoundSettings();
+    return normalizeSoundSettings(JSON.parse(await FileSystem.readAsStringAsync(SETTINGS_FILE)));
+  } catch {
+    return createSoundSettings();
+  }
+}
+
+export async function saveSoundSettings(settings) {
+  try {
+    await FileSystem.writeAsStringAsync(SETTINGS_FILE, JSON.stringify(settings));
+  } catch {
+    // Ignore persistence errors; the settings stay in memory.
+  }
+}
+
+// Picked files are copied out of the picker's cache into the app's documents
+// so they survive cache clean-ups. Returns the new sounds, or an empty list if
+// the picker was cancelled.
+export async function importSounds(packId) {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: "audio/*",
+    multiple: true,
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled) return [];
+  await FileSystem.makeDirectoryAsync(`${SOUNDS_DIR}${packId}/`, { intermediates: true });
+  const sounds = [];
+  for (const [index, asset] of result.assets.entries()) {
+    const id = `sound_${Date.now()}_${index}`;
+    const extension = /\.[a-z0-9]+$/i.exec(asset.name ?? "")?.[0] ?? "";
+    const uri = `${SOUNDS_DIR}${packId}/${id}${extension}`;
+    await FileSystem.copyAsync({ from: asset.uri, to: uri });
+    sounds.push({ id, name: (asset.name ?? "Sound").replace(/\.[a-z0-9]+$/i, ""), uri });
+  }
+  return sounds;
+}
+
+export async function deletePackFiles(packId) {
+  try {
+    await FileSystem.deleteAsync(`${SOUNDS_DIR}${packId}/`, { idempotent: true });
+  } catch {
+    // Leftover files only cost storage.
+  }
+}
+
+export async function deleteSoundFile(sound) {
+  try {
+    await FileSystem.deleteAsync(sound.uri, { idempotent: true });
+  } catch {
+    // Leftover files only cost storage.
+  }
+}
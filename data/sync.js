@@ -0,0 +1,334 @@
+// Multi-device play: one device hosts and is the single source of truth. Guests
+// apply their own taps right away, send them to the host as proposals, and
+// rebuild their state whenever the host commits an action, so every device
+// ends up with the same actions applied in the host's order.
+
+export const SYNC_PORT = 8787;
+
+export const SYNCED_ACTIONS = new Set([
+  "INIT_PLAYERS",
+  "RESET_MATCH",
+  "UNDO",
+  "REDO",
+  "SET_NAME",
+  "ADJUST_LIFE",
+  "ADJUST_POISON",
+  "ADJUST_TAX",
+  "ADJUST_ENERGY",
+  "ADJUST_CMD_DAMAGE",
+  "SET_LIFE",
+  "DRAIN_OPPONENTS",
+  "LOSE_LIFE_ALL",
+  "PROLIFERATE",
+  "CONCEDE",
+  "ALTERNATE_WIN",
+  "REVIVE_PLAYER",
+  "SET_ELIMINATED_BY",
+  "SET_COMMANDER_COUNT",
+  "ASSIGN_DECK",
+  "ADD_COUNTER",
+  "REMOVE_COUNTER",
+  "ADJUST_COUNTER",
+  "SET_MONARCH",
+  "TAKE_INITIATIVE",
+  "VENTURE_UNDERCITY",
+  "SET_DAY_NIGHT",
+  "TOGGLE_PLAYER_FLAG",
+  "SET_ACTIVE_PLAYER",
+  "PASS_TURN",
+  "TOGGLE_CLOCK",
+  "SET_CLOCK_OPTIONS",
+  "TOGGLE_CLOCK_PAUSE",
+  "CALL_TIME",
+  "ROLL_PLANAR_DIE",
+  "PLANESWALK",
+  "RESET_PLANAR_COST",
+  "SET_SCHEME_IN_MOTION",
+  "ABANDON_SCHEME",
+]);
+
+// These shuffle card colors, so guests take the host's resulting state instead
+// of replaying them.
+const SNAPSHOT_ACTIONS = new Set(["INIT_PLAYERS", "RESET_MATCH"]);
+
+// Counter taps add up in any order, but these only make sense against the
+// state the player saw. If another device committed something in between,
+// the host rejects them rather than, say, passing the turn twice.
+const STALE_SENSITIVE_ACTIONS = new Set([
+  "RESET_MATCH",
+  "UNDO",
+  "REDO",
+  "SET_ACTIVE_PLAYER",
+  "PASS_TURN",
+  "TOGGLE_CLOCK",
+  "TOGGLE_CLOCK_PAUSE",
+  "ROLL_PLANAR_DIE",
+  "PLANESWALK",
+  "SET_SCHEME_IN_MOTION",
+]);
+
+const SYNCED_KEYS = [
+  "playerCount",
+  "players",
+  "match",
+  "turn",
+  "clock",
+  "format",
+  "teams",
+  "designations",
+  "planechase",
+  "archenemy",
+  "history",
+  "eventLog",
+  "lifeGraph",
+];
+
+const RECENT_LIMIT = 200;
+
+export function createSync() {
+  return {
+    role: null,
+    peerId: null,
+    room: null,
+    status: "offline",
+    seq: 0,
+    nextId: 0,
+    confirmed: null,
+    pending: [],
+    recent: [],
+    outbox: [],
+  };
+}
+
+export function createRoomCode() {
+  const letters = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+  return Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join("");
+}
+
+export function createPeerId() {
+  return `peer_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function pickSynced(state) {
+  const snapshot = {};
+  SYNCED_KEYS.forEach((key) => {
+    snapshot[key] = state[key];
+  });
+  return snapshot;
+}
+
+function restore(state, snapshot) {
+  return { ...state, ...snapshot, showSetup: snapshot.players.length ? false : state.showSetup };
+}
+
+function rebase(baseReducer, state, confirmed, pending) {
+  return pending.reduce(
+    (current, entry) => baseReducer(current, entry.action),
+    restore(state, confirmed)
+  );
+}
+
+function helloMessage(sync) {
+  return { t: "hello", peerId: sync.peerId, lastSeq: sync.seq };
+}
+
+function proposeMessage(sync, entry) {
+  return { t: "propose", peerId: sync.peerId, id: entry.id, baseSeq: entry.baseSeq, action: entry.action };
+}
+
+function isStale(sync, proposal) {
+  return sync.recent.some(
+    (commit) => commit.seq > proposal.baseSeq && commit.peerId !== proposal.peerId
+  );
+}
+
+function changesSynced(state, next) {
+  return SYNCED_KEYS.some((key) => next[key] !== state[key]);
+}
+
+// Host side: run the action, give it the next sequence number and queue the
+// commit for every device. Guests replay synced actions themselves; for
+// anything else that changed the shared state, such as loading a planar deck,
+// they are sent the host's result.
+function commit(baseReducer, state, action, origin, next = baseReducer(state, action)) {
+  const seq = state.sync.seq + 1;
+  const sendState = SNAPSHOT_ACTIONS.has(action.type) || !SYNCED_ACTIONS.has(action.type);
+  return {
+    ...next,
+    sync: {
+      ...state.sync,
+      seq,
+      recent: [...state.sync.recent, { seq, ...origin }].slice(-RECENT_LIMIT),
+      outbox: [
+        ...state.sync.outbox,
+        {
+          t: "commit",
+          seq,
+          action,
+          origin,
+          state: sendState ? pickSynced(next) : undefined,
+        },
+      ],
+    },
+  };
+}
+
+function handleHostMessage(baseReducer, state, message) {
+  const { sync } = state;
+  if (message.t === "hello") {
+    return {
+      ...state,
+      sync: {
+        ...sync,
+        outbox: [
+          ...sync.outbox,
+          {
+            t: "snapshot",
+            to: message.peerId,
+            seq: sync.seq,
+            state: pickSynced(state),
+            committedIds: sync.recent
+              .filter((entry) => entry.peerId === message.peerId)
+              .map((entry) => entry.id),
+          },
+        ],
+      },
+    };
+  }
+  if (message.t === "propose") {
+    if (!SYNCED_ACTIONS.has(message.action?.type)) return state;
+    // A guest resends its unconfirmed taps after reconnecting; skip the ones
+    // that already made it through before the connection dropped.
+    if (sync.recent.some((entry) => entry.peerId === message.peerId && entry.id === message.id)) {
+      return state;
+    }
+    if (STALE_SENSITIVE_ACTIONS.has(message.action.type) && isStale(sync, message)) {
+      return {
+        ...state,
+        sync: {
+          ...sync,
+          outbox: [...sync.outbox, { t: "reject", to: message.peerId, id: message.id }],
+        },
+      };
+    }
+    return commit(baseReducer, state, message.action, { peerId: message.peerId, id: message.id });
+  }
+  return state;
+}
+
+function handleGuestMessage(baseReducer, state, message) {
+  const { sync } = state;
+  if (message.t === "snapshot") {
+    if (message.to && message.to !== sync.peerId) return state;
+    const confirmed = message.state;
+    const committedIds = message.committedIds ?? [];
+    const pending = sync.pending.filter((entry) => !committedIds.includes(entry.id));
+    return {
+      ...rebase(baseReducer, state, confirmed, pending),
+      sync: {
+        ...sync,
+        seq: message.seq,
+        confirmed,
+        pending,
+        outbox: [...sync.outbox, ...pending.map((entry) => proposeMessage(sync, entry))],
+      },
+    };
+  }
+  if (message.t === "host-online") {
+    return { ...state, sync: { ...sync, outbox: [...sync.outbox, helloMessage(sync)] } };
+  }
+  if (message.t === "commit") {
+    if (!sync.confirmed || message.seq <= sync.seq) return state;
+    // A missed commit means this device can no longer replay in order; ask
+    // the host for its full state instead.
+    if (message.seq !== sync.seq + 1) {
+      return { ...state, sync: { ...sync, outbox: [...sync.outbox, helloMessage(sync)] } };
+    }
+    const base = restore(state, sync.confirmed);
+    const next = message.state ? restore(base, message.state) : baseReducer(base, message.action);
+    const confirmed = pickSynced(next);
+    const pending = sync.pending.filter(
+      (entry) => !(message.origin?.peerId === sync.peerId && entry.id === message.origin.id)
+    );
+    return {
+      ...rebase(baseReducer, state, confirmed, pending),
+      sync: { ...sync, seq: message.seq, confirmed, pending },
+    };
+  }
+  if (message.t === "reject") {
+    if (message.to && message.to !== sync.peerId) return state;
+    const pending = sync.pending.filter((entry) => entry.id !== message.id);
+    if (!sync.confirmed) return { ...state, sync: { ...sync, pending } };
+    return {
+      ...rebase(baseReducer, state, sync.confirmed, pending),
+      sync: { ...sync, pending },
+    };
+  }
+  return state;
+}
+
+export function withSync(baseReducer) {
+  return (state, action) => {
+    const sync = state.sync ?? createSync();
+
+    switch (action.type) {
+      case "SYNC_START": {
+        const next = {
+          ...createSync(),
+          role: action.role,
+          peerId: action.peerId,
+          room: action.room,
+          status: "connecting",
+        };
+        return { ...state, syncServer: action.server ?? state.syncServer, sync: next };
+      }
+      case "SYNC_STOP":
+        return { ...state, sync: createSync() };
+      case "SYNC_STATUS": {
+        if (!sync.role) return state;
+        const reconnected = action.status === "online" && sync.role === "guest";
+        return {
+          ...state,
+          sync: {
+            ...sync,
+            status: action.status,
+            outbox: reconnected ? [...sync.outbox, helloMessage(sync)] : sync.outbox,
+          },
+        };
+      }
+      case "SYNC_MESSAGE":
+        if (sync.role === "host") return handleHostMessage(baseReducer, state, action.message);
+        if (sync.role === "guest") return handleGuestMessage(baseReducer, state, action.message);
+        return state;
+      case "SYNC_FLUSHED":
+        return { ...state, sync: { ...sync, outbox: sync.outbox.slice(action.count) } };
+      default:
+        break;
+    }
+
+    if (!sync.role) return baseReducer(state, action);
+
+    if (sync.role === "host") {
+      const current = { ...state, sync };
+      const next = baseReducer(current, action);
+      if (!SYNCED_ACTIONS.has(action.type) && !changesSynced(current, next)) return next;
+      return commit(baseReducer, current, action, { peerId: sync.peerId, id: null }, next);
+    }
+
+    if (!SYNCED_ACTIONS.has(action.type)) return baseReducer(state, action);
+
+    // Guests wait for the host's state before changing anything, and only the
+    // host can set up a new table.
+    if (!sync.confirmed || action.type === "INIT_PLAYERS") return state;
+    const entry = { id: `${sync.peerId}:${sync.nextId}`, baseSeq: sync.seq, action };
+    return {
+      ...baseReducer(state, action),
+      sync: {
+        ...sync,
+        nextId: sync.nextId + 1,
+        pending: [...sync.pending, entry],
+        outbox: [...sync.outbox, proposeMessage(sync, entry)],
+      },
+    };
+  };
+}
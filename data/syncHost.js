@@ -0,0 +1,46 @@
+import * as Crypto from "expo-crypto";
+import * as Network from "expo-network";
+import { NativeModules } from "react-native";
+import { SYNC_PORT } from "./sync";
+import { createRelay } from "./syncRelay";
+
+// Hosting needs a TCP server, which is a native module: it is in the app's
+// own builds but not in Expo Go.
+export function canHostOnDevice() {
+  return !!NativeModules.TcpSockets;
+}
+
+const digest = (text) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA1, text, {
+    encoding: Crypto.CryptoEncoding.BASE64,
+  });
+
+// Starts the relay on this device so guests on the same network connect
+// straight to it. Resolves with the address guests should enter once the
+// server is listening.
+export async function startSyncHost() {
+  if (!canHostOnDevice()) throw new Error("This build can't host games.");
+  // Loaded only here: importing the module without its native side throws.
+  const TcpSocket = require("react-native-tcp-socket").default;
+  const relay = createRelay({ digest });
+  const sockets = new Set();
+  const server = TcpSocket.createServer({ noDelay: true }, (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    relay.attach(socket);
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen({ port: SYNC_PORT, host: "0.0.0.0", reuseAddress: true }, resolve);
+  });
+
+  const ip = await Network.getIpAddressAsync().catch(() => null);
+  return {
+    address: ip && ip !== "0.0.0.0" ? ip : null,
+    close() {
+      sockets.forEach((socket) => socket.destroy());
+      server.close();
+    },
+  };
+}
@@ -0,0 +1,198 @@
+import { Buffer } from "buffer";
+
+// Room relay for multi-device games. The hosting phone runs it next to its own
+// game so guests on the same network can connect straight to it; the
+// `npm run sync-relay` script runs the same code on a computer. Guests'
+// messages are passed to the host of their room, and the host's messages go to
+// one guest (`to`) or all of them. Game logic lives entirely in data/sync.js.
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_REQUEST_BYTES = 8192;
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length % 0x100000000, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Reads every complete frame at the front of `buffer` and returns the unread
+// remainder. Client frames are always masked.
+function decodeFrames(buffer, onFrame) {
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length - cursor < 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length - cursor < 8) break;
+      length = buffer.readUInt32BE(cursor) * 0x100000000 + buffer.readUInt32BE(cursor + 4);
+      cursor += 8;
+    }
+    const masked = (second & 0x80) !== 0;
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    if (masked) cursor += 4;
+    if (buffer.length - cursor < length) break;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+    }
+    onFrame({ fin: (first & 0x80) !== 0, opcode: first & 0x0f, payload });
+    offset = cursor + length;
+  }
+  return buffer.subarray(offset);
+}
+
+// `digest` returns the base64 SHA-1 of a string, which the WebSocket
+// handshake needs; Node and the phone each bring their own.
+export function createRelay({ digest, log = () => {} }) {
+  const rooms = new Map();
+
+  const send = (peer, message) => {
+    if (!peer || peer.closed) return;
+    peer.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  };
+
+  const getRoom = (code) => {
+    if (!rooms.has(code)) rooms.set(code, { host: null, guests: new Map() });
+    return rooms.get(code);
+  };
+
+  const leave = (peer) => {
+    const room = peer.room && rooms.get(peer.room);
+    if (!room) return;
+    if (peer.role === "host" && room.host === peer) room.host = null;
+    if (peer.role === "guest" && room.guests.get(peer.peerId) === peer) {
+      room.guests.delete(peer.peerId);
+    }
+    if (!room.host && !room.guests.size) rooms.delete(peer.room);
+  };
+
+  const handleMessage = (peer, message) => {
+    if (message.t === "join") {
+      if (typeof message.room !== "string" || typeof message.peerId !== "string") return;
+      leave(peer);
+      peer.room = message.room.toUpperCase();
+      peer.role = message.role === "host" ? "host" : "guest";
+      peer.peerId = message.peerId;
+      const room = getRoom(peer.room);
+      if (peer.role === "host") {
+        room.host = peer;
+        room.guests.forEach((guest) => send(guest, { t: "host-online" }));
+      } else {
+        room.guests.set(peer.peerId, peer);
+      }
+      log(`${peer.role} ${peer.peerId} joined ${peer.room}`);
+      return;
+    }
+
+    const room = peer.room && rooms.get(peer.room);
+    if (!room) return;
+    if (peer.role === "guest") {
+      send(room.host, { ...message, peerId: peer.peerId });
+    } else if (message.to) {
+      send(room.guests.get(message.to), message);
+    } else {
+      room.guests.forEach((guest) => send(guest, message));
+    }
+  };
+
+  // Answers the handshake for `key`, then reads frames from the socket. Bytes
+  // that came in with the request (`head`) are the first frames.
+  const upgrade = (socket, key, head = Buffer.alloc(0)) => {
+    const peer = { socket, room: null, role: null, peerId: null, closed: false };
+    let pending = Buffer.from(head);
+    let fragments = [];
+    let open = false;
+
+    const read = () => {
+      pending = decodeFrames(pending, ({ fin, opcode, payload }) => {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+          return;
+        }
+        if (opcode === 0x9) {
+          socket.write(encodeFrame(0xa, payload));
+          return;
+        }
+        if (opcode !== 0x1 && opcode !== 0x0) return;
+        fragments.push(payload);
+        if (!fin) return;
+        const text = Buffer.concat(fragments).toString("utf8");
+        fragments = [];
+        try {
+          handleMessage(peer, JSON.parse(text));
+        } catch {
+          // Drop malformed messages; the app resyncs on its own.
+        }
+      });
+    };
+
+    socket.on("data", (chunk) => {
+      pending = Buffer.concat([pending, Buffer.from(chunk)]);
+      if (open) read();
+    });
+    socket.on("close", () => {
+      peer.closed = true;
+      if (peer.peerId) log(`${peer.role} ${peer.peerId} left ${peer.room}`);
+      leave(peer);
+    });
+    socket.on("error", () => socket.destroy());
+
+    digest(key + WS_GUID).then((accept) => {
+      if (peer.closed) return;
+      socket.write(
+        "HTTP/1.1 101 Switching Protocols\r\n" +
+          "Upgrade: websocket\r\n" +
+          "Connection: Upgrade\r\n" +
+          `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+      );
+      open = true;
+      read();
+    });
+  };
+
+  // Takes a raw TCP connection: reads the HTTP upgrade request, then hands
+  // the socket to `upgrade`.
+  const attach = (socket) => {
+    let request = Buffer.alloc(0);
+    const onData = (chunk) => {
+      request = Buffer.concat([request, Buffer.from(chunk)]);
+      const end = request.indexOf("\r\n\r\n");
+      if (end === -1) {
+        if (request.length > MAX_REQUEST_BYTES) socket.destroy();
+        return;
+      }
+      socket.removeListener("data", onData);
+      const headers = request.subarray(0, end).toString("utf8");
+      const key = /^sec-websocket-key:\s*(\S+)/im.exec(headers)?.[1];
+      if (!key) {
+        socket.end("HTTP/1.1 426 Upgrade Required\r\nContent-Length: 0\r\n\r\n");
+        return;
+      }
+      upgrade(socket, key, request.subarray(end + 4));
+    };
+    socket.on("data", onData);
+    socket.on("error", () => socket.destroy());
+  };
+
+  return { upgrade, attach };
+}
@@ -0,0 +1,58 @@
+import { SYNC_PORT } from "./sync";
+
+const RETRY_DELAYS = [500, 1000, 2000, 4000, 8000];
+
+export function syncUrl(server) {
+  const trimmed = server.trim().replace(/\/+$/, "");
+  if (/^wss?:\/\//.test(trimmed)) return trimmed;
+  return /:\d+$/.test(trimmed) ? `ws://${trimmed}` : `ws://${trimmed}:${SYNC_PORT}`;
+}
+
+// Keeps one socket to the relay open for as long as the device is in a synced
+// game, reconnecting with a growing delay whenever the network drops.
+export function connectSync({ server, room, role, peerId, onMessage, onStatus }) {
+  let socket = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let closed = false;
+
+  const open = () => {
+    onStatus(attempt ? "reconnecting" : "connecting");
+    socket = new WebSocket(syncUrl(server));
+    socket.onopen = () => {
+      attempt = 0;
+      socket.send(JSON.stringify({ t: "join", room, role, peerId }));
+      onStatus("online");
+    };
+    socket.onmessage = (event) => {
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch {
+        // Ignore anything that isn't one of our messages.
+      }
+    };
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+      onStatus("offline");
+      retryTimer = setTimeout(open, RETRY_DELAYS[Math.min(attempt, RETRY_DELAYS.length - 1)]);
+      attempt += 1;
+    };
+    socket.onerror = () => {};
+  };
+
+  open();
+
+  return {
+    send(message) {
+      if (!socket || socket.readyState !== 1) return false;
+      socket.send(JSON.stringify(message));
+      return true;
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+    },
+  };
+}
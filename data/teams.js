@@ -0,0 +1,92 @@
+export const TEAM_IDS = ["A", "B", "C"];
+
+export function teamOptions(count) {
+  return TEAM_IDS.slice(0, Math.max(2, Math.min(TEAM_IDS.length, Math.floor(count / 2))));
+}
+
+// Default assignment splits the seats into the most teams of equal size,
+// neighbouring seats together: A A B B C C, or A A A A B B B B for eight.
+export function defaultTeams(count) {
+  const options = teamOptions(count);
+  const teamCount =
+    options
+      .map((_, index) => options.length - index)
+      .find((n) => n >= 2 && count % n === 0) ?? 2;
+  const size = Math.ceil(count / teamCount);
+  return Array.from({ length: count }, (_, index) => options[Math.floor(index / size)]);
+}
+
+export function teamLabel(teamId) {
+  return `Team ${teamId}`;
+}
+
+export function sideKey(player) {
+  return player.teamId ?? player.id;
+}
+
+// Keeps the first of `playerIds` from each side. Teammates share one poison
+// total, so proliferating it once per side is enough.
+export function onePerSide(players, playerIds) {
+  const sides = new Set();
+  return playerIds.filter((id) => {
+    const player = players.find((p) => p.id === id);
+    if (!player || sides.has(sideKey(player))) return false;
+    sides.add(sideKey(player));
+    return true;
+  });
+}
+
+// Players still in the game grouped by team; a player without a team is a
+// side of their own.
+export function getAliveSides(players) {
+  const sides = new Map();
+  players
+    .filter((p) => !p.isDead)
+    .forEach((p) => sides.set(sideKey(p), [...(sides.get(sideKey(p)) ?? []), p]));
+  return [...sides.values()];
+}
+
+// A team setup needs at least two distinct teams, otherwise it is treated as
+// free-for-all.
+export function normalizeTeams(rawTeams, count) {
+  if (!Array.isArray(rawTeams) || rawTeams.length !== count) return null;
+  const options = teamOptions(count);
+  if (!rawTeams.every((teamId) => options.includes(teamId))) return null;
+  return new Set(rawTeams).size >= 2 ? [...rawTeams] : null;
+}
+
+// Orders the seats of a layout clockwise around the table: along the far end,
+// down the right side, back along the near end and up the left side. A card's
+// rotation tells which side its player sits on. `rows` are the cells from
+// `layoutRows`, so seats the players swapped or turned in the layout editor
+// are placed where they now sit.
+export function tableOrder(rows) {
+  const cells = rows.flatMap((row, y) =>
+    row.map((cell, col) => ({ ...cell, x: (col + 0.5) / row.length, y }))
+  );
+  const side = (rotation) => cells.filter((cell) => cell.rotation === rotation);
+  return [
+    ...side(180).sort((a, b) => a.x - b.x || a.y - b.y),
+    ...side(270).sort((a, b) => a.y - b.y || a.x - b.x),
+    ...side(0).sort((a, b) => b.x - a.x || b.y - a.y),
+    ...side(90).sort((a, b) => b.y - a.y || b.x - a.x),
+  ].map((cell) => cell.seat);
+}
+
+// Which setup seat goes to each seat on the board. Filling seats in table
+// order keeps teammates next to each other; the setup seat's deck and profile
+// move along with its team.
+export function teamSeating(teams, rows) {
+  const setupSeats = Array.from({ length: rows.flat().length }, (_, seat) => seat);
+  if (!teams) return setupSeats;
+  const grouped = [...setupSeats].sort((a, b) =>
+    (teams[a] ?? "").localeCompare(teams[b] ?? "")
+  );
+  const seating = [];
+  tableOrder(rows).forEach((seat, position) => {
+    seating[seat] = grouped[position];
+  });
+  return seating.filter((seat) => seat !== undefined).length === setupSeats.length
+    ? seating
+    : setupSeats;
+}
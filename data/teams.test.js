@@ -0,0 +1,23 @@
+const assert = require("node:assert/strict");
+const { before, test } = require("node:test");
+
+let teams;
+
+before(async () => {
+  teams = await import("./teams.js");
+});
+
+test("proliferate adds one poison per team however many teammates are chosen", () => {
+  const players = [
+    { id: "1", teamId: "A" },
+    { id: "2", teamId: "B" },
+    { id: "3", teamId: "A" },
+    { id: "4", teamId: "B" },
+  ];
+  assert.deepEqual(teams.onePerSide(players, ["1", "3", "4"]), ["1", "4"]);
+});
+
+test("proliferate counts every player without a team", () => {
+  const players = [{ id: "1" }, { id: "2" }, { id: "3" }];
+  assert.deepEqual(teams.onePerSide(players, ["1", "2", "3"]), ["1", "2", "3"]);
+});
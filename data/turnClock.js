@@ -0,0 +1,105 @@
+export const PLAYER_TIME_OPTIONS = [10, 20, 30].map((min) => min * 60000);
+export const ROUND_TIME_OPTIONS = [0, 50, 80].map((min) => min * 60000);
+export const EXTRA_TURN_OPTIONS = [3, 5];
+
+export function createTurn() {
+  return { activeId: null, startingId: null, number: 0, round: 0 };
+}
+
+export function createClock(settings = {}) {
+  return {
+    enabled: settings.enabled ?? false,
+    budgetMs: settings.budgetMs ?? PLAYER_TIME_OPTIONS[1],
+    roundLimitMs: settings.roundLimitMs ?? ROUND_TIME_OPTIONS[1],
+    extraTurns: settings.extraTurns ?? EXTRA_TURN_OPTIONS[1],
+    used: {},
+    roundElapsedMs: 0,
+    runningSince: null,
+    timeCalledTurn: null,
+  };
+}
+
+export function resetClock(clock) {
+  return createClock(clock);
+}
+
+// Moves the time elapsed since the clock last started onto the player whose
+// turn it was, and onto the round timer.
+export function settleClock(clock, activeId, at) {
+  if (clock.runningSince === null) return clock;
+  const elapsed = Math.max(0, at - clock.runningSince);
+  return {
+    ...clock,
+    used: activeId
+      ? { ...clock.used, [activeId]: (clock.used[activeId] ?? 0) + elapsed }
+      : clock.used,
+    roundElapsedMs: clock.roundElapsedMs + elapsed,
+    runningSince: at,
+  };
+}
+
+export function getPlayerTimeLeft(clock, playerId, activeId, now) {
+  const running =
+    clock.runningSince !== null && playerId === activeId ? now - clock.runningSince : 0;
+  return Math.max(0, clock.budgetMs - (clock.used[playerId] ?? 0) - running);
+}
+
+export function getRoundTimeLeft(clock, now) {
+  if (!clock.roundLimitMs) return null;
+  const running = clock.runningSince !== null ? now - clock.runningSince : 0;
+  return Math.max(0, clock.roundLimitMs - clock.roundElapsedMs - running);
+}
+
+export function getExtraTurnsLeft(clock, turn) {
+  if (clock.timeCalledTurn === null) return null;
+  return Math.max(0, clock.extraTurns - (turn.number - clock.timeCalledTurn));
+}
+
+export function formatClock(ms) {
+  const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function toCount(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+export function normalizeTurn(rawTurn, playerIds) {
+  const turn = createTurn();
+  if (!rawTurn || typeof rawTurn !== "object") return turn;
+  const activeId = playerIds.includes(rawTurn.activeId) ? rawTurn.activeId : null;
+  if (!activeId) return turn;
+  return {
+    activeId,
+    startingId: playerIds.includes(rawTurn.startingId) ? rawTurn.startingId : activeId,
+    number: Math.max(1, toCount(rawTurn.number, 1)),
+    round: Math.max(1, toCount(rawTurn.round, 1)),
+  };
+}
+
+// A clock restored from disk always comes back paused: the time the app
+// spent closed should not be charged to anyone.
+export function normalizeClock(rawClock) {
+  const base = createClock();
+  if (!rawClock || typeof rawClock !== "object") return base;
+  const used = {};
+  Object.entries(rawClock.used ?? {}).forEach(([id, value]) => {
+    used[id] = toCount(value, 0);
+  });
+  const timeCalledTurn = Number(rawClock.timeCalledTurn);
+  return {
+    enabled: typeof rawClock.enabled === "boolean" ? rawClock.enabled : base.enabled,
+    budgetMs: toCount(rawClock.budgetMs, base.budgetMs) || base.budgetMs,
+    roundLimitMs: toCount(rawClock.roundLimitMs, base.roundLimitMs),
+    extraTurns: toCount(rawClock.extraTurns, base.extraTurns),
+    used,
+    roundElapsedMs: toCount(rawClock.roundElapsedMs, 0),
+    runningSince: null,
+    timeCalledTurn:
+      rawClock.timeCalledTurn !== null && Number.isFinite(timeCalledTurn) ? timeCalledTurn : null,
+  };
+}
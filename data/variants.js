@@ -0,0 +1,183 @@
+export const PLANECHASE_QUERY = "(t:plane or t:phenomenon) -t:planeswalker";
+export const SCHEME_QUERY = "t:scheme";
+export const PLANAR_DECK_SIZE = 40;
+export const SCHEME_DECK_SIZE = 20;
+export const ARCHENEMY_LIFE_OPTIONS = [30, 40, 60, 80];
+export const DEFAULT_ARCHENEMY_LIFE = 40;
+
+const PLANAR_FACES = ["planeswalk", "chaos", "blank"];
+
+function shuffleCards(cards) {
+  const list = [...cards];
+  for (let i = list.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [list[i], list[j]] = [list[j], list[i]];
+  }
+  return list;
+}
+
+export function variantCardFromScryfall(card, imageUrl) {
+  return {
+    id: card.id,
+    name: card.name,
+    typeLine: card.type_line ?? "",
+    oracleText: card.oracle_text ?? "",
+    imageUrl: imageUrl ?? null,
+    landscape: card.layout === "planar",
+  };
+}
+
+function normalizeCard(rawCard) {
+  if (!rawCard || typeof rawCard.id !== "string" || typeof rawCard.name !== "string") return null;
+  return {
+    id: rawCard.id,
+    name: rawCard.name,
+    typeLine: typeof rawCard.typeLine === "string" ? rawCard.typeLine : "",
+    oracleText: typeof rawCard.oracleText === "string" ? rawCard.oracleText : "",
+    imageUrl: typeof rawCard.imageUrl === "string" ? rawCard.imageUrl : null,
+    landscape: !!rawCard.landscape,
+  };
+}
+
+function normalizeDeck(rawDeck) {
+  return Array.isArray(rawDeck) ? rawDeck.map(normalizeCard).filter(Boolean) : [];
+}
+
+function cyclicIndex(value, length) {
+  const index = Number(value);
+  return Number.isInteger(index) && index >= 0 && index < length ? index : 0;
+}
+
+export const isPhenomenon = (card) => /phenomenon/i.test(card?.typeLine ?? "");
+export const isOngoing = (card) => /ongoing/i.test(card?.typeLine ?? "");
+
+export function createPlanechase(cards) {
+  return {
+    deck: shuffleCards(cards).slice(0, PLANAR_DECK_SIZE),
+    index: 0,
+    rolls: 0,
+    rollTurn: null,
+    rollPlayerId: null,
+    lastRoll: null,
+  };
+}
+
+export function restartPlanechase(planechase) {
+  return createPlanechase(planechase.deck);
+}
+
+export function currentPlane(planechase) {
+  return planechase?.deck[planechase.index] ?? null;
+}
+
+export function nextPlane(planechase) {
+  if (!planechase?.deck.length) return null;
+  return planechase.deck[(planechase.index + 1) % planechase.deck.length];
+}
+
+// The first roll each turn is free and every further roll costs one more mana.
+// A turn is told apart by its number and its active player, so the cost also
+// resets when the active player is picked by hand without counting turns.
+export function planarRollCost(planechase, turn) {
+  return planechase.rollTurn === turn.number && planechase.rollPlayerId === turn.activeId
+    ? planechase.rolls
+    : 0;
+}
+
+// Leaving a plane puts it on the bottom, so walking the shuffled deck in a
+// loop matches the real thing.
+export function planeswalk(planechase) {
+  if (!planechase.deck.length) return planechase;
+  return { ...planechase, index: (planechase.index + 1) % planechase.deck.length, lastRoll: null };
+}
+
+export function rollPlanechase(planechase, face, turn) {
+  if (!PLANAR_FACES.includes(face)) return planechase;
+  const rolled = {
+    ...planechase,
+    rolls: planarRollCost(planechase, turn) + 1,
+    rollTurn: turn.number,
+    rollPlayerId: turn.activeId,
+  };
+  return face === "planeswalk"
+    ? { ...planeswalk(rolled), lastRoll: face }
+    : { ...rolled, lastRoll: face };
+}
+
+export function normalizePlanechase(rawPlanechase) {
+  if (!rawPlanechase || typeof rawPlanechase !== "object") return null;
+  const deck = normalizeDeck(rawPlanechase.deck);
+  if (!deck.length) return null;
+  const rolls = Number(rawPlanechase.rolls);
+  const rollTurn = Number(rawPlanechase.rollTurn);
+  return {
+    deck,
+    index: cyclicIndex(rawPlanechase.index, deck.length),
+    rolls: Number.isInteger(rolls) && rolls > 0 ? rolls : 0,
+    rollTurn: rawPlanechase.rollTurn !== null && Number.isFinite(rollTurn) ? rollTurn : null,
+    rollPlayerId: typeof rawPlanechase.rollPlayerId === "string" ? rawPlanechase.rollPlayerId : null,
+    lastRoll: PLANAR_FACES.includes(rawPlanechase.lastRoll) ? rawPlanechase.lastRoll : null,
+  };
+}
+
+export function createArchenemy(cards, seat = 0, startingLife = DEFAULT_ARCHENEMY_LIFE) {
+  return {
+    seat,
+    startingLife,
+    deck: shuffleCards(cards).slice(0, SCHEME_DECK_SIZE),
+    index: null,
+    ongoing: [],
+  };
+}
+
+export function restartArchenemy(archenemy) {
+  return createArchenemy(archenemy.deck, archenemy.seat, archenemy.startingLife);
+}
+
+export function currentScheme(archenemy) {
+  return archenemy?.index === null ? null : archenemy?.deck[archenemy.index] ?? null;
+}
+
+export function nextScheme(archenemy) {
+  if (!archenemy?.deck.length) return null;
+  return archenemy.deck[archenemy.index === null ? 0 : (archenemy.index + 1) % archenemy.deck.length];
+}
+
+// Ongoing schemes stay in play until the archenemy abandons them; the rest are
+// done once the next scheme is set in motion.
+export function setSchemeInMotion(archenemy) {
+  if (!archenemy.deck.length) return archenemy;
+  const index = archenemy.index === null ? 0 : (archenemy.index + 1) % archenemy.deck.length;
+  const scheme = archenemy.deck[index];
+  return {
+    ...archenemy,
+    index,
+    ongoing:
+      isOngoing(scheme) && !archenemy.ongoing.includes(scheme.id)
+        ? [...archenemy.ongoing, scheme.id]
+        : archenemy.ongoing,
+  };
+}
+
+export function abandonScheme(archenemy, schemeId) {
+  return { ...archenemy, ongoing: archenemy.ongoing.filter((id) => id !== schemeId) };
+}
+
+export function normalizeArchenemy(rawArchenemy, playerCount) {
+  if (!rawArchenemy || typeof rawArchenemy !== "object") return null;
+  const deck = normalizeDeck(rawArchenemy.deck);
+  if (!deck.length) return null;
+  const seat = Number(rawArchenemy.seat);
+  const startingLife = Number(rawArchenemy.startingLife);
+  const deckIds = deck.map((card) => card.id);
+  return {
+    seat: Number.isInteger(seat) && seat >= 0 && seat < playerCount ? seat : 0,
+    startingLife:
+      Number.isInteger(startingLife) && startingLife > 0 ? startingLife : DEFAULT_ARCHENEMY_LIFE,
+    deck,
+    index: Number.isInteger(rawArchenemy.index) ? cyclicIndex(rawArchenemy.index, deck.length) : null,
+    ongoing: Array.isArray(rawArchenemy.ongoing)
+      ? rawArchenemy.ongoing.filter((id) => deckIds.includes(id))
+      : [],
+  };
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Stand-alone relay for multi-device life counter games. The hosting phone
+ * normally runs the relay itself; this script runs the same relay
+ * (data/syncRelay.js) on a computer, for devices that can't host and for
+ * testing the protocol without phones.
+ *
+ * Usage: `npm run sync-relay [port]`.
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+const { createRelay } = require("../data/syncRelay");
+
+function log(line) {
+  console.log(`[${new Date().toLocaleTimeString()}] ${line}`);
+}
+
+function startRelay(port, { quiet = false } = {}) {
+  const relay = createRelay({
+    digest: async (text) => crypto.createHash("sha1").update(text).digest("base64"),
+    log: quiet ? undefined : log,
+  });
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end("Bloodscroll sync relay. Connect with a WebSocket.\n");
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key) {
+      socket.destroy();
+      return;
+    }
+    socket.setNoDelay(true);
+    relay.upgrade(socket, key, head);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, () => resolve(server));
+  });
+}
+
+module.exports = { startRelay };
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || process.env.PORT || 8787);
+  startRelay(port).then(() => log(`Sync relay listening on port ${port}`));
+}
@@ -0,0 +1,242 @@
+/**
+ * Drives a host and guests through the sync protocol over a local relay, with
+ * the same transport and sync layer the app uses. Run with `npm test`.
+ */
+
+const assert = require("node:assert/strict");
+const net = require("node:net");
+const { register } = require("node:module");
+const { after, before, test } = require("node:test");
+const { startRelay } = require("./sync-relay");
+
+// The app's modules import each other without file extensions, as Metro
+// allows; let Node find them the same way.
+register(
+  `data:text/javascript,${encodeURIComponent(`
+    export async function resolve(specifier, context, next) {
+      try {
+        return await next(specifier, context);
+      } catch (error) {
+        if (!specifier.startsWith(".")) throw error;
+        return next(specifier + ".js", context);
+      }
+    }
+  `)}`
+);
+
+let sync;
+let transport;
+let relay;
+let port;
+const sockets = new Set();
+const devices = [];
+
+// A small stand-in for the life counter: enough state to check ordering,
+// conflicts and actions whose result is random.
+function gameReducer(state, action) {
+  switch (action.type) {
+    case "INIT_PLAYERS":
+      return {
+        ...state,
+        playerCount: 4,
+        players: ["1", "2", "3", "4"].map((id) => ({ id, life: 40, color: Math.random() })),
+        turn: { activeId: "1", number: 1 },
+      };
+    case "ADJUST_LIFE":
+      return {
+        ...state,
+        players: state.players.map((p) =>
+          p.id === action.playerId ? { ...p, life: p.life + action.delta } : p
+        ),
+      };
+    case "PASS_TURN": {
+      const index = state.players.findIndex((p) => p.id === state.turn.activeId);
+      const next = state.players[(index + 1) % state.players.length];
+      return { ...state, turn: { activeId: next.id, number: state.turn.number + 1 } };
+    }
+    case "SET_PLANECHASE":
+      return { ...state, planechase: { deck: [...action.cards].sort(() => Math.random() - 0.5) } };
+    case "TOGGLE_MENU":
+      return { ...state, menuOpen: !state.menuOpen };
+    default:
+      return state;
+  }
+}
+
+function createDevice(role, peerId) {
+  const reducer = sync.withSync(gameReducer);
+  const device = {
+    state: { playerCount: 0, players: [], showSetup: true, sync: sync.createSync() },
+    connection: null,
+  };
+
+  // Same as the app: send what is queued whenever the socket is up.
+  const flush = () => {
+    const { outbox, status } = device.state.sync;
+    if (!device.connection || status !== "online" || !outbox.length) return;
+    let sent = 0;
+    while (sent < outbox.length && device.connection.send(outbox[sent])) sent += 1;
+    if (sent) device.state = reducer(device.state, { type: "SYNC_FLUSHED", count: sent });
+  };
+
+  device.dispatch = (action) => {
+    device.state = reducer(device.state, action);
+    flush();
+  };
+
+  device.start = (room) => {
+    device.dispatch({ type: "SYNC_START", role, peerId, room });
+    device.connection = transport.connectSync({
+      server: `127.0.0.1:${port}`,
+      room,
+      role,
+      peerId,
+      onMessage: (message) => device.dispatch({ type: "SYNC_MESSAGE", message }),
+      onStatus: (status) => device.dispatch({ type: "SYNC_STATUS", status }),
+    });
+  };
+
+  device.game = () => ({
+    players: device.state.players,
+    turn: device.state.turn,
+    planechase: device.state.planechase,
+  });
+
+  devices.push(device);
+  return device;
+}
+
+async function waitFor(check, label, timeoutMs = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeoutMs) throw new Error(`Timed out waiting for ${label}`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+const settled = (host, ...guests) =>
+  guests.every(
+    (guest) =>
+      guest.state.sync.seq === host.state.sync.seq &&
+      !guest.state.sync.pending.length &&
+      JSON.stringify(guest.game()) === JSON.stringify(host.game())
+  );
+
+async function startGame(room, guestCount) {
+  const host = createDevice("host", `host-${room}`);
+  host.start(room);
+  await waitFor(() => host.state.sync.status === "online", "host online");
+  host.dispatch({ type: "INIT_PLAYERS" });
+  const guests = Array.from({ length: guestCount }, (_, index) =>
+    createDevice("guest", `guest-${room}-${index}`)
+  );
+  guests.forEach((guest) => guest.start(room));
+  await waitFor(() => guests.every((guest) => guest.state.sync.confirmed), "guests to join");
+  return { host, guests };
+}
+
+before(async () => {
+  sync = await import("../data/sync.js");
+  transport = await import("../data/syncTransport.js");
+  relay = await startRelay(0, { quiet: true });
+  relay.on("upgrade", (req, socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  port = relay.address().port;
+});
+
+after(() => {
+  devices.forEach((device) => device.connection?.close());
+  sockets.forEach((socket) => socket.destroy());
+  relay.close();
+});
+
+test("a guest joining late gets the host's table", async () => {
+  const { host, guests } = await startGame("JOIN", 1);
+  await waitFor(() => settled(host, ...guests), "guest to match the host");
+  assert.equal(guests[0].state.players.length, 4);
+  assert.equal(guests[0].state.showSetup, false);
+});
+
+test("taps from every device are applied in the host's order", async () => {
+  const { host, guests } = await startGame("TAPS", 2);
+  host.dispatch({ type: "ADJUST_LIFE", playerId: "1", delta: -1 });
+  guests[0].dispatch({ type: "ADJUST_LIFE", playerId: "2", delta: -3 });
+  guests[1].dispatch({ type: "ADJUST_LIFE", playerId: "2", delta: -2 });
+  guests[1].dispatch({ type: "ADJUST_LIFE", playerId: "1", delta: 5 });
+  await waitFor(() => settled(host, ...guests), "all devices to agree");
+  assert.deepEqual(
+    host.state.players.map((p) => p.life),
+    [44, 35, 40, 40]
+  );
+});
+
+test("two devices passing the turn at once only pass it once", async () => {
+  const { host, guests } = await startGame("TURN", 1);
+  await waitFor(() => settled(host, ...guests), "guest to match the host");
+  host.dispatch({ type: "PASS_TURN" });
+  guests[0].dispatch({ type: "PASS_TURN" });
+  await waitFor(() => settled(host, ...guests), "the conflict to resolve");
+  assert.equal(host.state.turn.activeId, "2");
+  assert.equal(host.state.turn.number, 2);
+});
+
+test("host-only changes to shared state reach the guests", async () => {
+  const { host, guests } = await startGame("PLAN", 1);
+  host.dispatch({ type: "SET_PLANECHASE", cards: ["a", "b", "c", "d", "e"] });
+  host.dispatch({ type: "TOGGLE_MENU" });
+  await waitFor(() => settled(host, ...guests), "the planar deck to reach the guest");
+  assert.deepEqual(guests[0].state.planechase, host.state.planechase);
+  assert.equal(guests[0].state.menuOpen, undefined);
+});
+
+test("a dropped connection resyncs from the host's full state", async () => {
+  const { host, guests } = await startGame("DROP", 1);
+  await waitFor(() => settled(host, ...guests), "guest to match the host");
+  sockets.forEach((socket) => socket.destroy());
+  await waitFor(() => guests[0].state.sync.status !== "online", "the guest to notice");
+  host.dispatch({ type: "ADJUST_LIFE", playerId: "3", delta: -7 });
+  guests[0].dispatch({ type: "ADJUST_LIFE", playerId: "4", delta: -4 });
+  await waitFor(() => settled(host, ...guests), "the guest to resync", 15000);
+  assert.deepEqual(
+    host.state.players.map((p) => p.life),
+    [40, 40, 33, 36]
+  );
+});
+
+// Frames sent in the same packet as the upgrade request arrive in the
+// relay's `head` buffer and must not be lost.
+test("frames sent along with the handshake are read", async () => {
+  const frame = (message) => {
+    const payload = Buffer.from(JSON.stringify(message));
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const masked = payload.map((byte, index) => byte ^ mask[index % 4]);
+    return Buffer.concat([Buffer.from([0x81, 0x80 | payload.length]), mask, masked]);
+  };
+  const raw = net.connect(port, "127.0.0.1");
+  sockets.add(raw);
+  let received = "";
+  raw.on("data", (chunk) => {
+    received += chunk.toString("latin1");
+  });
+  await new Promise((resolve) => raw.once("connect", resolve));
+  raw.write(
+    Buffer.concat([
+      Buffer.from(
+        "GET / HTTP/1.1\r\n" +
+          `Host: 127.0.0.1:${port}\r\n` +
+          "Upgrade: websocket\r\n" +
+          "Connection: Upgrade\r\n" +
+          "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n" +
+          "Sec-WebSocket-Version: 13\r\n\r\n"
+      ),
+      frame({ t: "join", room: "HEAD", role: "host", peerId: "raw-host" }),
+    ])
+  );
+  await waitFor(() => received.includes("101 Switching Protocols"), "the handshake");
+  const guest = createDevice("guest", "guest-head");
+  guest.start("HEAD");
+  await waitFor(() => received.includes('"t":"hello"'), "the guest's hello to reach the host");
+  raw.destroy();
+});